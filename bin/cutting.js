@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+/* ===== Cutting Center on the command line ===== */
+// Runs the same layout engine as the app for one job given as options or a
+// CSV of many jobs, and prints the result as a table or JSON (optionally
+// writing one 1:1 SVG per job).
+
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { computeJob } from "../src/engine/computeJob.js";
+import { PIECE_GRAINS, SHEET_GRAINS } from "../src/engine/grain.js";
+import { NO_IMPOSITION } from "../src/engine/imposition.js";
+import { UNIT_FACTORS, isUnit, toDisplay, toMM } from "../src/engine/units.js";
+import { parseRecords } from "../src/components/Cutting/csv.js";
+import { layoutToSvg } from "../src/components/Cutting/exportSvg.js";
+
+const HELP = `Usage: cutting [options]
+       cutting --jobs jobs.csv [options]
+
+Lays out one cut size on a sheet and prints pieces, waste and orientation.
+
+Options:
+  --sheet WxH          sheet size, e.g. 1000x700
+  --cut WxH            cut size
+  --unit U             mm, cm, meter, inch, ft, pt, pc, px or px@DPI
+                       (pixels at that dpi, plain px is 96; default mm)
+  --kerf N             blade thickness (default 0)
+  --margin T[,R,B,L]   sheet margins, one value or four (default 0)
+  --no-rotation        no rotated fill pieces or mixed layouts (the whole
+                       layout may still lie turned)
+  --algorithm A        grid or recursive (default grid)
+  --sheet-grain G      none, horizontal or vertical (default none)
+  --piece-grain G      any, along or across (default any)
+  --jobs FILE          CSV / TSV of jobs, one per row (see below)
+  --format F           table or json (default table)
+  --pieces             list piece coordinates in the table
+  --svg DIR            write a 1:1 SVG drawing per job into DIR
+  -h, --help           show this help
+
+Job files have a header row; columns are matched by name:
+  name, sheet_w, sheet_h, cut_w, cut_h, unit, kerf, margin, rotation,
+  algorithm, sheet_grain, piece_grain
+Missing columns take the value given on the command line.
+
+Exit status: 0 done, 1 bad input, 2 a layout check failed.`;
+
+class UsageError extends Error {}
+
+function dims(text, what) {
+  const m = /^\s*([\d.]+)\s*[x×*]\s*([\d.]+)\s*$/i.exec(text || "");
+  if (!m || !(Number(m[1]) > 0) || !(Number(m[2]) > 0)) {
+    throw new UsageError(`${what} must look like WxH, got "${text ?? ""}"`);
+  }
+  return [Number(m[1]), Number(m[2])];
+}
+
+function number(text, what) {
+  const n = Number(text);
+  if (text === "" || !(n >= 0)) {
+    throw new UsageError(`${what} must be a number of 0 or more`);
+  }
+  return n;
+}
+
+function size(text, what) {
+  const n = Number(text);
+  if (text === "" || !(n > 0)) {
+    throw new UsageError(`${what} must be a number above 0`);
+  }
+  return n;
+}
+
+function margins(text) {
+  const v = String(text)
+    .split(",")
+    .map((s) => number(s.trim(), "margin"));
+  if (v.length === 1) return [v[0], v[0], v[0], v[0]];
+  if (v.length === 4) return v;
+  throw new UsageError(
+    "margin takes one value or four (top,right,bottom,left)",
+  );
+}
+
+function oneOf(value, allowed, what) {
+  if (!allowed.includes(value)) {
+    throw new UsageError(`${what} must be one of ${allowed.join(", ")}`);
+  }
+  return value;
+}
+
+function bool(text) {
+  return !/^(0|no|false|off)$/i.test(String(text).trim());
+}
+
+// Job as plain values in its own unit (from options, then a CSV row)
+function jobFrom(values, row = {}) {
+  const get = (key) =>
+    row[key] != null && row[key] !== "" ? row[key] : values[key];
+  const unit = get("unit");
+  if (!isUnit(unit)) {
+    throw new UsageError(
+      `unit must be one of ${Object.keys(UNIT_FACTORS).join(", ")} or px@DPI`,
+    );
+  }
+  const sheet = row.sheet_w
+    ? [size(row.sheet_w, "sheet_w"), size(row.sheet_h, "sheet_h")]
+    : dims(values.sheet, "sheet");
+  const cut = row.cut_w
+    ? [size(row.cut_w, "cut_w"), size(row.cut_h, "cut_h")]
+    : dims(values.cut, "cut");
+  return {
+    name: get("name"),
+    unit,
+    sheet,
+    cut,
+    kerf: number(get("kerf"), "kerf"),
+    margins: margins(get("margin")),
+    rotation: bool(get("rotation")),
+    algorithm: oneOf(get("algorithm"), ["grid", "recursive"], "algorithm"),
+    sheetGrain: oneOf(get("sheet_grain"), SHEET_GRAINS, "sheet grain"),
+    pieceGrain: oneOf(get("piece_grain"), PIECE_GRAINS, "piece grain"),
+  };
+}
+
+function run(job) {
+  const mm = (v) => toMM(v, job.unit);
+  const [top, right, bottom, left] = job.margins.map(mm);
+  const margins = { top, right, bottom, left };
+  const input = {
+    mode: "single",
+    sheetW: mm(job.sheet[0]),
+    sheetH: mm(job.sheet[1]),
+    cutW: mm(job.cut[0]),
+    cutH: mm(job.cut[1]),
+    cutList: [],
+    targetQty: "",
+    margins,
+    bladeThickness: mm(job.kerf),
+    imposition: NO_IMPOSITION,
+    sheetGrain: job.sheetGrain,
+    pieceGrain: job.pieceGrain,
+    algorithm: job.algorithm,
+    enableRotation: job.rotation,
+    selectedCandidate: null,
+    offcuts: [],
+    press: { enabled: false, wmm: 0, hmm: 0 },
+  };
+  const result = computeJob(input);
+  const chosen = result.candidates.find((c) => c.key === result.chosenKey);
+  return { input, chosen, problems: result.problems };
+}
+
+// Lengths in the job's unit, rounded the way the app shows them
+function report(job, { chosen, problems }) {
+  const d = (v) => Number(toDisplay(v, job.unit));
+  const layout = chosen.layout;
+  return {
+    name: job.name,
+    unit: job.unit,
+    sheet: { w: job.sheet[0], h: job.sheet[1] },
+    cut: { w: job.cut[0], h: job.cut[1] },
+    layout: chosen.label,
+    orientation: layout.chosenOrientation,
+    pieceCount: layout.totalPieces,
+    wastePercent: Math.round(layout.wastePercent * 100) / 100,
+    cuts: chosen.cutPlan.cutCount,
+    problems: problems.map((p) => p.message),
+    pieces: layout.pieces.map((p) => ({
+      x: d(p.x),
+      y: d(p.y),
+      w: d(p.w),
+      h: d(p.h),
+      rotated: !!p.rotated,
+    })),
+  };
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, i) =>
+    rows.reduce((m, r) => Math.max(m, String(r[i]).length), 0),
+  );
+  return rows
+    .map((r) =>
+      r
+        .map((c, i) =>
+          typeof c === "number"
+            ? String(c).padStart(widths[i])
+            : String(c).padEnd(widths[i]),
+        )
+        .join("  ")
+        .trimEnd(),
+    )
+    .join("\n");
+}
+
+function printTable(reports, withPieces) {
+  const summary = [
+    [
+      "Job",
+      "Sheet",
+      "Cut",
+      "Unit",
+      "Pieces",
+      "Waste %",
+      "Orientation",
+      "Layout",
+    ],
+    ...reports.map((r) => [
+      r.name,
+      `${r.sheet.w}x${r.sheet.h}`,
+      `${r.cut.w}x${r.cut.h}`,
+      r.unit,
+      r.pieceCount,
+      r.wastePercent.toFixed(2),
+      r.orientation,
+      r.layout,
+    ]),
+  ];
+  console.log(table(summary));
+  for (const r of reports) {
+    for (const message of r.problems) {
+      console.error(`warning: ${r.name}: ${message}`);
+    }
+    if (!withPieces) continue;
+    console.log(`\n${r.name} (${r.unit})`);
+    console.log(
+      table([
+        ["#", "x", "y", "w", "h", "rotated"],
+        ...r.pieces.map((p, i) => [
+          i + 1,
+          p.x,
+          p.y,
+          p.w,
+          p.h,
+          p.rotated ? "yes" : "",
+        ]),
+      ]),
+    );
+  }
+}
+
+function readJobs(file, values) {
+  const [header, ...rows] = parseRecords(readFileSync(file, "utf8"));
+  if (!header) throw new UsageError(`${file} has no rows`);
+  const keys = header.cells.map((h) => h.toLowerCase().replace(/[\s-]+/g, "_"));
+  return rows.map(({ line, cells }, i) => {
+    const row = Object.fromEntries(keys.map((k, j) => [k, cells[j] ?? ""]));
+    try {
+      return jobFrom({ ...values, name: `job-${i + 1}` }, row);
+    } catch (e) {
+      if (e instanceof UsageError) {
+        throw new UsageError(`${file} line ${line}: ${e.message}`);
+      }
+      throw e;
+    }
+  });
+}
+
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      sheet: { type: "string" },
+      cut: { type: "string" },
+      unit: { type: "string", default: "mm" },
+      kerf: { type: "string", default: "0" },
+      margin: { type: "string", default: "0" },
+      "no-rotation": { type: "boolean", default: false },
+      algorithm: { type: "string", default: "grid" },
+      "sheet-grain": { type: "string", default: "none" },
+      "piece-grain": { type: "string", default: "any" },
+      jobs: { type: "string" },
+      format: { type: "string", default: "table" },
+      pieces: { type: "boolean", default: false },
+      svg: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+  oneOf(values.format, ["table", "json"], "format");
+
+  const defaults = {
+    name: "job-1",
+    sheet: values.sheet,
+    cut: values.cut,
+    unit: values.unit,
+    kerf: values.kerf,
+    margin: values.margin,
+    rotation: String(!values["no-rotation"]),
+    algorithm: values.algorithm,
+    sheet_grain: values["sheet-grain"],
+    piece_grain: values["piece-grain"],
+  };
+  const jobs = values.jobs
+    ? readJobs(values.jobs, defaults)
+    : [jobFrom(defaults)];
+
+  // jobs sharing a name get numbered files rather than overwriting
+  const svgNames = new Set();
+  const svgName = (name) => {
+    const base = name.replace(/[^\w.-]+/g, "_");
+    let file = base;
+    for (let n = 2; svgNames.has(file.toLowerCase()); n++)
+      file = `${base}-${n}`;
+    svgNames.add(file.toLowerCase());
+    return `${file}.svg`;
+  };
+
+  const reports = jobs.map((job) => {
+    const result = run(job);
+    if (values.svg) {
+      mkdirSync(values.svg, { recursive: true });
+      const file = join(values.svg, svgName(job.name));
+      writeFileSync(
+        file,
+        layoutToSvg({
+          sheetW: result.input.sheetW,
+          sheetH: result.input.sheetH,
+          layout: result.chosen.layout,
+          margins: result.input.margins,
+          bladeThickness: result.input.bladeThickness,
+          cutPlan: result.chosen.cutPlan,
+          unit: job.unit,
+        }),
+      );
+    }
+    return report(job, result);
+  });
+
+  if (values.format === "json") {
+    console.log(JSON.stringify(values.jobs ? reports : reports[0], null, 2));
+  } else {
+    printTable(reports, values.pieces);
+  }
+  return reports.some((r) => r.problems.length > 0) ? 2 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  const expected =
+    e instanceof UsageError ||
+    e.code === "ENOENT" ||
+    String(e.code).startsWith("ERR_PARSE_ARGS");
+  if (!expected) throw e;
+  console.error(`cutting: ${e.message}\n\nRun "cutting --help" for usage.`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,141 @@
+import React from "react";
+import { HiX } from "react-icons/hi";
+import DimensionInput from "./DimensionInput";
+import { sizeColor } from "./palette";
+import { makeCutListRow } from "../../engine/nesting";
+import { toMM } from "../../engine/units";
+import { PIECE_GRAINS } from "../../engine/grain";
+
+/* Editable table of cut sizes: width, height, quantity and per-row rotation
+   (imported rows also show their label) */
+export default function CutList({
+  rows,
+  onChange,
+  unit,
+  precision,
+  unplacedCounts,
+  showGrain = false,
+}) {
+  const updateRow = (id, patch) =>
+    onChange(rows.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  const removeRow = (id) => onChange(rows.filter((r) => r.id !== id));
+
+  const addRow = () =>
+    onChange([...rows, makeCutListRow(toMM(5, "inch"), toMM(7, "inch"))]);
+
+  const cellInput = "w-full border rounded px-2 py-1.5 text-sm";
+  // the grain column only matters on a sheet with grain
+  const columns = showGrain
+    ? "grid-cols-[12px_1fr_1fr_48px_64px_28px_20px]"
+    : "grid-cols-[12px_1fr_1fr_56px_28px_20px]";
+
+  return (
+    <div className="space-y-2">
+      <div
+        className={`grid ${columns} gap-2 items-center text-xs text-gray-500`}
+      >
+        <span />
+        <span>W ({unit})</span>
+        <span>H ({unit})</span>
+        <span>Qty</span>
+        {showGrain && <span title="Width along / across the grain">Grain</span>}
+        <span title="Allow rotation">Rot</span>
+        <span />
+      </div>
+
+      {rows.map((row, i) => {
+        const color = sizeColor(i);
+        const unplaced = unplacedCounts ? (unplacedCounts[i] ?? 0) : 0;
+        return (
+          <div key={row.id}>
+            <div className={`grid ${columns} gap-2 items-center`}>
+              <span
+                className="w-3 h-3 rounded-sm"
+                style={{
+                  background: color.fill,
+                  border: `1px solid ${color.stroke}`,
+                }}
+              />
+              <DimensionInput
+                valueMm={row.wmm}
+                unit={unit}
+                precision={precision}
+                onChange={(mm) => updateRow(row.id, { wmm: mm })}
+                className={cellInput}
+                ariaLabel={`Row ${i + 1} width`}
+              />
+              <DimensionInput
+                valueMm={row.hmm}
+                unit={unit}
+                precision={precision}
+                onChange={(mm) => updateRow(row.id, { hmm: mm })}
+                className={cellInput}
+                ariaLabel={`Row ${i + 1} height`}
+              />
+              <input
+                type="text"
+                inputMode="numeric"
+                value={row.qty}
+                onChange={(e) =>
+                  updateRow(row.id, {
+                    qty: Number(e.target.value.replace(/[^0-9]/g, "")) || 0,
+                  })
+                }
+                className={cellInput}
+                aria-label={`Row ${i + 1} quantity`}
+              />
+              {showGrain && (
+                <select
+                  value={row.grain}
+                  onChange={(e) => updateRow(row.id, { grain: e.target.value })}
+                  className="w-full border rounded px-1 py-1.5 text-xs"
+                  aria-label={`Row ${i + 1} grain`}
+                >
+                  {PIECE_GRAINS.map((g) => (
+                    <option key={g} value={g}>
+                      {g}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <input
+                type="checkbox"
+                checked={row.allowRotation}
+                onChange={(e) =>
+                  updateRow(row.id, { allowRotation: e.target.checked })
+                }
+                className="w-4 h-4 accent-indigo-600"
+                aria-label={`Row ${i + 1} allow rotation`}
+              />
+              <button
+                onClick={() => removeRow(row.id)}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Remove row ${i + 1}`}
+              >
+                <HiX />
+              </button>
+            </div>
+            {row.label && (
+              <div className="text-xs text-gray-500 pl-5 pt-0.5 truncate">
+                {row.label}
+              </div>
+            )}
+            {unplaced > 0 && (
+              <div className="text-xs text-red-600 pl-5 pt-0.5">
+                {unplaced} of {row.qty} do not fit on a sheet
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <button
+        onClick={addRow}
+        className="w-full border border-dashed border-indigo-300 text-indigo-700 rounded py-2 text-sm hover:bg-indigo-50"
+      >
+        + Add size
+      </button>
+    </div>
+  );
+}
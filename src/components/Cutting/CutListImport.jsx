@@ -0,0 +1,250 @@
+import React, { useMemo, useState } from "react";
+import {
+  IMPORT_FIELDS,
+  detectUnit,
+  guessMapping,
+  parseCutList,
+  readTable,
+} from "./cutListCsv";
+import { unitOptions } from "../../engine/units";
+import { formatDimension } from "../../engine/dimension";
+
+const PREVIEW_ROWS = 50;
+const SHOWN_ERRORS = 20;
+
+const SOURCES = {
+  header: "from the column headers",
+  "unit column": "from the unit column",
+  values: "from the values",
+  sizes: "from the sizes",
+};
+
+/* Paste cells from a spreadsheet or drop a CSV / TSV, check the column
+   mapping, unit and preview, then replace or extend the cut list. */
+export default function CutListImport({
+  initialText = "",
+  unit,
+  precision,
+  onImport,
+  onClose,
+}) {
+  const [text, setText] = useState(initialText);
+  // null follows the guess for the current text
+  const [mapping, setMapping] = useState(null);
+  const [sourceUnit, setSourceUnit] = useState(null);
+  const [fileError, setFileError] = useState("");
+
+  const table = useMemo(() => readTable(text), [text]);
+  const guessed = useMemo(() => guessMapping(table), [table]);
+  const columns = mapping || guessed;
+  const detected = useMemo(
+    () => detectUnit(table, columns, unit),
+    [table, columns, unit],
+  );
+  const importUnit = sourceUnit || detected.unit;
+  const result = useMemo(
+    () => parseCutList(table, columns, importUnit),
+    [table, columns, importUnit],
+  );
+
+  const load = (next) => {
+    setText(next);
+    setMapping(null);
+    setSourceUnit(null);
+    setFileError("");
+  };
+
+  const readFile = async (file) => {
+    if (!file) return;
+    if (/\.xlsx?$/i.test(file.name)) {
+      setFileError("Save the sheet as CSV first, or copy and paste its cells.");
+      return;
+    }
+    load(await file.text());
+  };
+
+  const columnName = (i) =>
+    table.header && table.header[i]
+      ? `${i + 1}: ${table.header[i]}`
+      : `Column ${i + 1}`;
+
+  const fmt = (mm) => formatDimension(mm, unit, precision);
+  const { rows, errors } = result;
+  const pieces = rows.reduce((s, r) => s + r.qty, 0);
+  const cellInput = "w-full border rounded px-2 py-1.5 text-sm";
+
+  return (
+    <div
+      className="border rounded-lg p-3 space-y-3 text-sm"
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        readFile(e.dataTransfer.files[0]);
+      }}
+    >
+      <div className="flex items-center justify-between">
+        <div className="font-medium">Import cut list</div>
+        <label className="text-indigo-700 hover:underline cursor-pointer">
+          Open file…
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+            onChange={(e) => {
+              readFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => load(e.target.value)}
+        placeholder={
+          "Paste cells from a spreadsheet or drop a CSV / TSV file here\n\nLabel, Width, Height, Qty\nDoor, 600, 400, 2"
+        }
+        aria-label="Cut list to import"
+        rows={5}
+        className={`${cellInput} font-mono text-xs`}
+      />
+      {fileError && <div className="text-xs text-red-600">{fileError}</div>}
+
+      {table.records.length > 0 && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            {IMPORT_FIELDS.map(([field, name]) => (
+              <label key={field} className="block text-xs text-gray-500">
+                {name}
+                <select
+                  value={columns[field]}
+                  onChange={(e) =>
+                    setMapping({ ...columns, [field]: Number(e.target.value) })
+                  }
+                  className={`${cellInput} mt-0.5 text-gray-900`}
+                >
+                  <option value={-1}>
+                    {field === "qty"
+                      ? "None (1 each)"
+                      : field === "rotation"
+                        ? "None (allowed)"
+                        : "None"}
+                  </option>
+                  {Array.from({ length: table.columns }, (_, i) => (
+                    <option key={i} value={i}>
+                      {columnName(i)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            <label className="block text-xs text-gray-500 col-span-2">
+              Sizes are in
+              <select
+                value={importUnit}
+                onChange={(e) => setSourceUnit(e.target.value)}
+                className={`${cellInput} mt-0.5 text-gray-900`}
+              >
+                {unitOptions(importUnit).map((u) => (
+                  <option key={u} value={u}>
+                    {u}
+                  </option>
+                ))}
+              </select>
+              {!sourceUnit && (
+                <span className="block mt-0.5">
+                  {detected.source
+                    ? `Detected ${SOURCES[detected.source]}.`
+                    : "Not detected – using the current unit."}
+                  {columns.unit >= 0 && " Rows with a unit keep their own."}
+                </span>
+              )}
+            </label>
+          </div>
+
+          {rows.length > 0 && (
+            <div className="max-h-60 overflow-auto border rounded">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 text-gray-500 sticky top-0">
+                  <tr>
+                    <th className="px-2 py-1 text-left">Line</th>
+                    <th className="px-2 py-1 text-left">Label</th>
+                    <th className="px-2 py-1 text-right">W ({unit})</th>
+                    <th className="px-2 py-1 text-right">H ({unit})</th>
+                    <th className="px-2 py-1 text-right">Qty</th>
+                    <th className="px-2 py-1">Rot</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, PREVIEW_ROWS).map((r) => (
+                    <tr key={r.line} className="border-t">
+                      <td className="px-2 py-1 text-gray-400">{r.line}</td>
+                      <td className="px-2 py-1 truncate max-w-[8rem]">
+                        {r.label}
+                      </td>
+                      <td className="px-2 py-1 text-right">{fmt(r.wmm)}</td>
+                      <td className="px-2 py-1 text-right">{fmt(r.hmm)}</td>
+                      <td className="px-2 py-1 text-right">{r.qty}</td>
+                      <td className="px-2 py-1 text-center">
+                        {r.allowRotation ? "✓" : "–"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rows.length > PREVIEW_ROWS && (
+                <div className="px-2 py-1 text-xs text-gray-500">
+                  … and {rows.length - PREVIEW_ROWS} more sizes
+                </div>
+              )}
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <ul className="text-xs text-red-600 space-y-0.5">
+              {errors.slice(0, SHOWN_ERRORS).map((e, i) => (
+                <li key={i}>
+                  {e.line ? `Line ${e.line}: ${e.message}` : e.message}
+                </li>
+              ))}
+              {errors.length > SHOWN_ERRORS && (
+                <li>… and {errors.length - SHOWN_ERRORS} more problems</li>
+              )}
+            </ul>
+          )}
+        </>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onImport(rows, true)}
+          disabled={rows.length === 0}
+          className="px-3 py-1.5 rounded bg-indigo-600 text-white font-medium disabled:opacity-50"
+        >
+          Replace list
+        </button>
+        <button
+          onClick={() => onImport(rows, false)}
+          disabled={rows.length === 0}
+          className="px-3 py-1.5 rounded border text-gray-700 disabled:opacity-50"
+        >
+          Add to list
+        </button>
+        <button
+          onClick={onClose}
+          className="px-3 py-1.5 rounded text-gray-500 hover:text-gray-700"
+        >
+          Cancel
+        </button>
+        {rows.length > 0 && (
+          <span className="text-xs text-gray-500">
+            {rows.length} {rows.length === 1 ? "size" : "sizes"}, {pieces}{" "}
+            pieces
+            {errors.length > 0 && " – lines with problems are left out"}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
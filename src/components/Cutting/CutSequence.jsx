@@ -0,0 +1,99 @@
+import React from "react";
+import { describeStep } from "../../engine/cutPlan";
+
+/* Step-by-step guillotine instructions; the selected step is highlighted in
+   the preview */
+export default function CutSequence({
+  cutPlan,
+  stepIndex,
+  onStepChange,
+  unit,
+  precision,
+}) {
+  const { steps } = cutPlan;
+  if (steps.length === 0) {
+    return <div className="text-sm text-gray-500">No cuts needed.</div>;
+  }
+
+  const current = stepIndex == null ? null : steps[stepIndex];
+  const go = (i) => onStepChange(Math.max(0, Math.min(steps.length - 1, i)));
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-gray-500">
+        <span>
+          <span className="font-semibold text-gray-800">
+            {cutPlan.cutCount}
+          </span>{" "}
+          cuts
+        </span>
+        <span>
+          <span className="font-semibold text-gray-800">
+            {cutPlan.rotations}
+          </span>{" "}
+          rotations
+        </span>
+        {!cutPlan.guillotine && (
+          <span className="text-red-600">
+            {cutPlan.blocked.length} area(s) need non-through cuts
+          </span>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => go((stepIndex ?? 0) - 1)}
+          disabled={stepIndex == null || stepIndex === 0}
+          className="px-3 py-1.5 rounded border disabled:opacity-40"
+        >
+          Prev
+        </button>
+        <button
+          onClick={() => go(stepIndex == null ? 0 : stepIndex + 1)}
+          disabled={stepIndex === steps.length - 1}
+          className="px-3 py-1.5 rounded bg-indigo-600 text-white disabled:opacity-40"
+        >
+          {stepIndex == null ? "Start" : "Next"}
+        </button>
+        {current && (
+          <button
+            onClick={() => onStepChange(null)}
+            className="px-3 py-1.5 rounded text-gray-500 hover:text-gray-800"
+          >
+            Clear
+          </button>
+        )}
+        {current && (
+          <span className="ml-auto text-gray-500">
+            Step {stepIndex + 1} of {steps.length}
+          </span>
+        )}
+      </div>
+
+      <ol className="max-h-64 overflow-y-auto divide-y border rounded-lg">
+        {steps.map((step, i) => (
+          <li key={step.index}>
+            <button
+              onClick={() => onStepChange(i)}
+              className={`w-full text-left px-3 py-2 flex gap-3 ${
+                i === stepIndex
+                  ? "bg-amber-50 text-amber-900"
+                  : "hover:bg-gray-50"
+              }`}
+            >
+              <span className="w-8 shrink-0 text-gray-400">{i + 1}.</span>
+              <span className="flex-1">
+                {describeStep(step, steps[i - 1], unit, precision)}
+              </span>
+              <span className="shrink-0 text-gray-500">
+                {step.pieceIndices.length > 0
+                  ? `${step.pieceIndices.length} pcs`
+                  : "waste"}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
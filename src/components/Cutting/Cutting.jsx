@@ -1,325 +1,648 @@
 import React, { useMemo, useState, useEffect } from "react";
+import { useLocation, useSearchParams } from "react-router";
+import { HiX } from "react-icons/hi";
+import {
+  UNIT_FACTORS,
+  baseUnit,
+  pxUnit,
+  toMM,
+  unitDpi,
+} from "../../engine/units";
+import { formatDimension, shownMm } from "../../engine/dimension";
+import {
+  DEFAULT_CONFIG,
+  configFromParams,
+  configToParams,
+  cutListRows,
+} from "./config";
+import { NO_MARGINS } from "../../engine/margins";
+import { hasImposition } from "../../engine/imposition";
+import { buildCutPlan } from "../../engine/cutPlan";
+import { roundedFit } from "../../engine/candidates";
+import { makeCutListRow } from "../../engine/nesting";
+import {
+  DEFAULT_PRESETS,
+  groupPresets,
+  loadPresets,
+  presetLabel,
+  savePresets,
+} from "./presets";
+import { sizeColor } from "./palette";
+import {
+  PIECE_GRAINS,
+  SHEET_GRAINS,
+  allowedOrientations,
+  grainItems,
+} from "../../engine/grain";
+import {
+  addDefect,
+  editedLayout,
+  movePiece,
+  repackEdit,
+  snapMove,
+} from "../../engine/manualEdit";
+import { computeQuote, loadPricing, quoteRows, savePricing } from "./pricing";
+import useEngine from "./useEngine";
+import useLayoutEdit from "./useLayoutEdit";
+import CutList from "./CutList";
+import CutListImport from "./CutListImport";
+import DimensionInput from "./DimensionInput";
+import JobPlan from "./JobPlan";
+import SheetPreview from "./SheetPreview";
+import CutSequence from "./CutSequence";
+import LayoutCompare from "./LayoutCompare";
+import ExportMenu from "./ExportMenu";
+import PresetManager from "./PresetManager";
+import {
+  loadDisplay,
+  precisionChoices,
+  precisionFor,
+  precisionLabel,
+  saveDisplay,
+} from "./display";
+import PricingPanel from "./PricingPanel";
+import ParentPlan from "./ParentPlan";
+import EditToolbar from "./EditToolbar";
+import SaveJob from "../Jobs/SaveJob";
+import { createJob, getJob, updateJob } from "../Jobs/jobsStore";
+import StockPanel from "../Inventory/StockPanel";
+import {
+  loadInventory,
+  materialsOf,
+  offcutUnits,
+  recordCutJob,
+  saveInventory,
+  sheetsInStock,
+} from "../Inventory/inventoryStore";
 
-/* ===== Unit helpers ===== */
-const UNIT_FACTORS = {
-  mm: 1,
-  cm: 10,
-  inch: 25.4,
-  meter: 1000,
+// cut plan of a sheet with nothing on it
+const EMPTY_CUT_PLAN = buildCutPlan({
+  sheetW: 0,
+  sheetH: 0,
+  pieces: [],
+  bladeThickness: 0,
+});
+
+// cut list with nothing planned yet
+const EMPTY_SHEET = {
+  pieces: [],
+  totalPieces: 0,
+  wastePercent: 100,
+  placedCounts: [],
 };
 
-function toDisplay(mmValue, unit) {
-  const v = mmValue / (UNIT_FACTORS[unit] || 1);
-  if (!isFinite(v)) return "";
-  return Number.isInteger(v)
-    ? String(v)
-    : v.toFixed(3).replace(/(?:\.0+|(\.\d+?)0+)$/, "$1");
-}
+// engine result until the first layout comes back from the worker
+const EMPTY_CANDIDATE = {
+  key: "empty",
+  label: "—",
+  algorithm: "grid",
+  usesRotationFill: false,
+  layout: { ...EMPTY_SHEET, chosenOrientation: "normal" },
+  duplicateOf: null,
+  cuts: EMPTY_CUT_PLAN,
+  cutPlan: EMPTY_CUT_PLAN,
+};
+const EMPTY_RESULT = {
+  candidates: [EMPTY_CANDIDATE],
+  autoKey: EMPTY_CANDIDATE.key,
+  chosenKey: EMPTY_CANDIDATE.key,
+  gridKey: EMPTY_CANDIDATE.key,
+  plan: null,
+  groupCutPlans: [],
+  parentCut: null,
+  parents: null,
+  quoteGroups: [],
+  problems: [],
+};
 
-function toMM(displayValue, unit) {
-  const n = Number(displayValue);
-  if (isNaN(n)) return 0;
-  return n * (UNIT_FACTORS[unit] || 1);
-}
+/* ===== Component ===== */
+export default function CuttingEngine() {
+  // a job opened from the jobs library seeds the inputs, then a shared link's
+  // query string, otherwise defaults
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [initial] = useState(() => {
+    const job = location.state?.jobId ? getJob(location.state.jobId) : null;
+    if (job) return { job, config: job.config, warnings: [] };
+    const fromUrl = configFromParams(searchParams);
+    return {
+      job: null,
+      config: fromUrl.present ? fromUrl.config : DEFAULT_CONFIG,
+      warnings: fromUrl.warnings,
+    };
+  });
+  const init = initial.config;
+  const [urlWarnings, setUrlWarnings] = useState(initial.warnings);
+  // saved job the current inputs belong to (null = unsaved)
+  const [currentJob, setCurrentJob] = useState(initial.job);
+  const [showSaveJob, setShowSaveJob] = useState(false);
+  // "copied", or "failed" to show the link for copying by hand
+  const [linkCopy, setLinkCopy] = useState(null);
 
-/* Accepts free-typing strings; allows single dot and leading dot like ".5" */
-function sanitizeNumberInput(value) {
-  if (value == null) return "";
-  let cleaned = String(value).replace(/[^0-9.]/g, "");
-  const parts = cleaned.split(".");
-  if (parts.length > 2) {
-    cleaned = parts[0] + "." + parts.slice(1).join("");
-  }
-  return cleaned;
-}
+  // canonical internal units = mm
+  const [unit, setUnit] = useState(init.unit);
 
-/* ===== Packing / math utilities ===== */
-const EPS = 1e-9;
-
-function packIntoWaste({ strip, pieceW, pieceH, bladeThickness }) {
-  if (!strip || strip.w <= 0 || strip.h <= 0) return [];
-  const spacing = Math.max(0, bladeThickness);
-
-  const fitCountX =
-    pieceW <= 0
-      ? 0
-      : Math.floor((strip.w + spacing + EPS) / (pieceW + spacing));
-  const fitCountY =
-    pieceH <= 0
-      ? 0
-      : Math.floor((strip.h + spacing + EPS) / (pieceH + spacing));
-
-  const pieces = [];
-  for (let ix = 0; ix < fitCountX; ix++) {
-    for (let iy = 0; iy < fitCountY; iy++) {
-      const x = strip.x + ix * (pieceW + spacing);
-      const y = strip.y + iy * (pieceH + spacing);
-      pieces.push({ x, y, w: pieceW, h: pieceH, rotated: true });
-    }
-  }
-  return pieces;
-}
+  // internal mm values (math uses these)
+  const [sheetWmm, setSheetWmm] = useState(init.sheetWmm);
+  const [sheetHmm, setSheetHmm] = useState(init.sheetHmm);
+  const [cutWmm, setCutWmm] = useState(init.cutWmm);
+  const [cutHmm, setCutHmm] = useState(init.cutHmm);
 
-function computeForOrientation({
-  sheetW,
-  sheetH,
-  pieceW,
-  pieceH,
-  edgeDistance,
-  bladeThickness,
-  enableRotation = false,
-}) {
-  const effW = Math.max(0, sheetW - 2 * edgeDistance);
-  const effH = Math.max(0, sheetH - 2 * edgeDistance);
-  const spacing = Math.max(0, bladeThickness);
-
-  const fitCountX =
-    pieceW <= 0 ? 0 : Math.floor((effW + spacing + EPS) / (pieceW + spacing));
-  const fitCountY =
-    pieceH <= 0 ? 0 : Math.floor((effH + spacing + EPS) / (pieceH + spacing));
-
-  const piecesPrimary = [];
-  for (let ix = 0; ix < fitCountX; ix++) {
-    for (let iy = 0; iy < fitCountY; iy++) {
-      const x = edgeDistance + ix * (pieceW + spacing);
-      const y = edgeDistance + iy * (pieceH + spacing);
-      piecesPrimary.push({ x, y, w: pieceW, h: pieceH, rotated: false });
-    }
-  }
+  // decimals (or inch fractions) shown per unit and the last pixel density
+  // picked (persisted in the browser); only the text is rounded
+  const [display, setDisplay] = useState(() => loadDisplay());
+  const precision = precisionFor(display, unit);
 
-  const usedW = fitCountX * pieceW + Math.max(0, fitCountX - 1) * spacing;
-  const usedH = fitCountY * pieceH + Math.max(0, fitCountY - 1) * spacing;
-  const leftoverInsideW = Math.max(0, effW - usedW);
-  const leftoverInsideH = Math.max(0, effH - usedH);
+  const [enableRotation, setEnableRotation] = useState(init.enableRotation);
+  // grain runs along the sheet's width / height; the cut must lie along it,
+  // across it or any way (see grain.js)
+  const [sheetGrain, setSheetGrain] = useState(init.sheetGrain);
+  const [pieceGrain, setPieceGrain] = useState(init.pieceGrain);
+  // "grid" = fast grid + one rotated pass, "recursive" = recursive strip packing
+  const [algorithm, setAlgorithm] = useState(init.algorithm);
+  // candidate picked in the compare panel (null = best automatically)
+  const [selectedCandidate, setSelectedCandidate] = useState(null);
 
-  const rightStrip =
-    leftoverInsideW > 0
-      ? {
-          x: edgeDistance + usedW,
-          y: edgeDistance,
-          w: leftoverInsideW,
-          h: effH,
-        }
-      : null;
+  // "single" = one cut size, "list" = mixed sizes nested on one sheet
+  const [mode, setMode] = useState(init.mode);
+  const [cutList, setCutList] = useState(() => cutListRows(init));
+  // text for the import panel, null while it is closed
+  const [importText, setImportText] = useState(null);
 
-  const bottomStrip =
-    leftoverInsideH > 0
-      ? {
-          x: edgeDistance,
-          y: edgeDistance + usedH,
-          w: effW,
-          h: leftoverInsideH,
-        }
-      : null;
+  // pieces wanted for the whole job (single-size mode); empty = one sheet
+  const [targetQty, setTargetQty] = useState(init.targetQty);
+  const [selectedSheet, setSelectedSheet] = useState(0);
+  // highlighted step of the cut sequence (null = none)
+  const [cutStep, setCutStep] = useState(null);
 
-  let rotatedInRight = [];
-  let rotatedInBottom = [];
-  if (enableRotation) {
-    const rightStripPack = rightStrip
-      ? { ...rightStrip, h: Math.max(0, rightStrip.h - leftoverInsideH) }
-      : null;
-    const bottomStripPack = bottomStrip
-      ? { ...bottomStrip, w: Math.max(0, bottomStrip.w - leftoverInsideW) }
-      : null;
-    const rotatedW = pieceH;
-    const rotatedH = pieceW;
-
-    rotatedInRight = packIntoWaste({
-      strip: rightStripPack,
-      pieceW: rotatedW,
-      pieceH: rotatedH,
-      bladeThickness: spacing,
-    });
-    rotatedInBottom = packIntoWaste({
-      strip: bottomStripPack,
-      pieceW: rotatedW,
-      pieceH: rotatedH,
-      bladeThickness: spacing,
-    });
-  }
-
-  const allPieces = [...piecesPrimary, ...rotatedInRight, ...rotatedInBottom];
-
-  const sheetArea = sheetW * sheetH;
-  const piecesAreaPrimary = piecesPrimary.length * pieceW * pieceH;
-  const rotatedPiecesArea =
-    (rotatedInRight.length + rotatedInBottom.length) * pieceW * pieceH;
-  const piecesArea = piecesAreaPrimary + rotatedPiecesArea;
-  const wasteArea = Math.max(0, sheetArea - piecesArea);
-  const wastePercent = sheetArea === 0 ? 0 : (wasteArea / sheetArea) * 100;
-
-  return {
-    fitCountX,
-    fitCountY,
-    totalPiecesPrimary: piecesPrimary.length,
-    totalPieces: allPieces.length,
-    pieces: allPieces,
-    rightStrip,
-    bottomStrip,
-    leftoverInsideW,
-    leftoverInsideH,
-    usedW,
-    usedH,
-    rotatedInRightCount: rotatedInRight.length,
-    rotatedInBottomCount: rotatedInBottom.length,
-    wasteArea,
-    wastePercent,
-  };
-}
+  // trim / gripper margin per side and blade kerf (mm)
+  const [margins, setMargins] = useState(init.margins);
+  const [bladeThickness, setBladeThickness] = useState(init.bladeThickness);
+  // print imposition: bleed around each piece, gutter between bleed boxes
+  // and crop mark length (mm, see imposition.js)
+  const [imposition, setImposition] = useState(init.imposition);
 
-/* ===== Component ===== */
-export default function CuttingEngine() {
-  // canonical internal units = mm
-  const [unit, setUnit] = useState("inch");
+  // two-level planning: the sheet is a parent cut into press sheets, pieces
+  // are laid out on the press sheet; the preview shows either level
+  const [press, setPress] = useState(init.press);
+  const [showParent, setShowParent] = useState(true);
+  const twoLevel = press.enabled && press.wmm > 0 && press.hmm > 0;
+  // sheet the pieces are laid out on (the engine decides the same way)
+  const layoutW = twoLevel ? press.wmm : sheetWmm;
+  const layoutH = twoLevel ? press.hmm : sheetHmm;
 
-  // internal mm values (math uses these)
-  const [sheetWmm, setSheetWmm] = useState(toMM(25, "inch"));
-  const [sheetHmm, setSheetHmm] = useState(toMM(35.5, "inch"));
-  const [cutWmm, setCutWmm] = useState(toMM(5, "inch"));
-  const [cutHmm, setCutHmm] = useState(toMM(7, "inch"));
-
-  // display strings — let the user type freely (supports "35.", ".5", etc.)
-  const [sheetW_display, setSheetW_display] = useState(
-    toDisplay(sheetWmm, unit),
-  );
-  const [sheetH_display, setSheetH_display] = useState(
-    toDisplay(sheetHmm, unit),
+  // stock inventory: offcuts are planned before full sheets
+  const [inventory, setInventory] = useState(() => loadInventory());
+  const [stockMaterial, setStockMaterial] = useState("");
+  const [useOffcuts, setUseOffcuts] = useState(true);
+  const [cutReport, setCutReport] = useState(null);
+  const [inventoryError, setInventoryError] = useState("");
+
+  // material / labour prices for the quote (persisted in the browser)
+  const [pricing, setPricing] = useState(() => loadPricing());
+
+  // sheet presets, each stored in its own unit (persisted in the browser)
+  const [presets, setPresets] = useState(() => loadPresets());
+  const [showPresets, setShowPresets] = useState(false);
+  const [presetError, setPresetError] = useState("");
+
+  // offcuts are parent-sized stock, so two-level jobs start from full sheets
+  const offcuts = useMemo(
+    () =>
+      useOffcuts && !twoLevel ? offcutUnits(inventory, stockMaterial) : [],
+    [useOffcuts, twoLevel, inventory, stockMaterial],
   );
-  const [cutW_display, setCutW_display] = useState(toDisplay(cutWmm, unit));
-  const [cutH_display, setCutH_display] = useState(toDisplay(cutHmm, unit));
-
-  const [enableRotation, setEnableRotation] = useState(true);
-
-  // internal defaults for paper behaviour
-  const [edgeDistance] = useState(0); // mm
-  const [bladeThickness] = useState(0); // mm
-
-  const presets = [
-    { label: "28 x 22", w: 28, h: 22 },
-    { label: "44 x 28", w: 44, h: 28 },
-    { label: "30 x 20", w: 30, h: 20 },
-    { label: "36 x 23", w: 36, h: 23 },
-    { label: "43 x 31", w: 43, h: 31 },
-    { label: "44 x 29", w: 44, h: 29 },
-    { label: "35.5 x 25", w: 35.5, h: 25 },
-    { label: "37 x 25", w: 37, h: 25 },
-  ];
 
-  // Sync display strings when unit changes or internal mm changes due to presets/external actions
-  useEffect(() => {
-    setSheetW_display(toDisplay(sheetWmm, unit));
-    setSheetH_display(toDisplay(sheetHmm, unit));
-    setCutW_display(toDisplay(cutWmm, unit));
-    setCutH_display(toDisplay(cutHmm, unit));
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [unit, sheetWmm, sheetHmm, cutWmm, cutHmm]);
-
-  // compute best orientation using internal mm values
-  const { best, alt } = useMemo(() => {
-    const normal = computeForOrientation({
+  // all layout math runs in a worker (src/engine); stale runs are cancelled
+  // as the inputs change and the last result stays up meanwhile
+  const engineInput = useMemo(
+    () => ({
+      mode,
       sheetW: sheetWmm,
       sheetH: sheetHmm,
-      pieceW: cutWmm,
-      pieceH: cutHmm,
-      edgeDistance,
+      cutW: cutWmm,
+      cutH: cutHmm,
+      cutList,
+      targetQty,
+      margins,
       bladeThickness,
+      imposition,
+      sheetGrain,
+      pieceGrain,
+      algorithm,
       enableRotation,
-    });
-    const rotated = computeForOrientation({
-      sheetW: sheetWmm,
-      sheetH: sheetHmm,
-      pieceW: cutHmm,
-      pieceH: cutWmm,
-      edgeDistance,
+      selectedCandidate,
+      offcuts,
+      press,
+    }),
+    [
+      mode,
+      sheetWmm,
+      sheetHmm,
+      cutWmm,
+      cutHmm,
+      cutList,
+      targetQty,
+      margins,
       bladeThickness,
+      imposition,
+      sheetGrain,
+      pieceGrain,
+      algorithm,
       enableRotation,
-    });
+      selectedCandidate,
+      offcuts,
+      press,
+    ],
+  );
+  const engine = useEngine(engineInput);
+  const computed = engine.result || EMPTY_RESULT;
+  const {
+    candidates,
+    plan,
+    groupCutPlans,
+    parentCut,
+    parents,
+    quoteGroups,
+    problems,
+  } = computed;
+  const byKey = (key) => candidates.find((c) => c.key === key);
+  const autoCandidate = byKey(computed.autoKey);
+  const chosenCandidate = byKey(computed.chosenKey);
+  const best = chosenCandidate.layout;
+  const grid = byKey(computed.gridKey).layout;
 
-    let chosen = normal;
-    let other = rotated;
-    if (
-      rotated.totalPieces > normal.totalPieces ||
-      (rotated.totalPieces === normal.totalPieces &&
-        rotated.wastePercent < normal.wastePercent)
-    ) {
-      chosen = rotated;
-      other = normal;
-      chosen.chosenOrientation = "rotated";
-      other.chosenOrientation = "normal";
-    } else {
-      chosen.chosenOrientation = "normal";
-      other.chosenOrientation = "rotated";
-    }
+  // layout shown in summary + preview
+  const sheetIndex = plan
+    ? Math.min(selectedSheet, Math.max(0, plan.sheetCount - 1))
+    : 0;
+  const planned =
+    plan && plan.sheetCount > 0
+      ? plan.sheets[sheetIndex]
+      : mode === "list"
+        ? EMPTY_SHEET
+        : best;
+  const isList = mode === "list";
 
-    return { best: chosen, alt: other };
-  }, [
-    sheetWmm,
-    sheetHmm,
-    cutWmm,
-    cutHmm,
-    edgeDistance,
+  // a size right at the fit boundary can fit more or fewer pieces than its
+  // figure rounded to the precision shown suggests; say so
+  const fit = useMemo(
+    () =>
+      isList
+        ? null
+        : roundedFit(
+            {
+              sheetW: layoutW,
+              sheetH: layoutH,
+              pieceW: cutWmm,
+              pieceH: cutHmm,
+              margins,
+              bladeThickness,
+              imposition,
+              orientations: allowedOrientations(sheetGrain, pieceGrain),
+              rotationFill: enableRotation,
+            },
+            (mm) => shownMm(mm, unit, precision),
+          ),
+    [
+      isList,
+      layoutW,
+      layoutH,
+      cutWmm,
+      cutHmm,
+      margins,
+      bladeThickness,
+      imposition,
+      sheetGrain,
+      pieceGrain,
+      enableRotation,
+      unit,
+      precision,
+    ],
+  );
+
+  // sheets planned on an offcut have the offcut's size
+  const activeW = planned.stock ? planned.stock.w : layoutW;
+  const activeH = planned.stock ? planned.stock.h : layoutH;
+
+  // hand edits of the shown sheet (dropped once it is recomputed)
+  const editSheet = {
+    sheetW: activeW,
+    sheetH: activeH,
+    margins,
     bladeThickness,
-    enableRotation,
-  ]);
+    imposition,
+  };
+  const layoutEdit = useLayoutEdit(planned, editSheet);
+  const [editTool, setEditTool] = useState("move");
+  const edited = layoutEdit.changed ? layoutEdit.edit : null;
+  // only an edited sheet costs anything here
+  const active = edited
+    ? editedLayout(planned, edited, activeW * activeH)
+    : planned;
+  const editedCutPlan = edited
+    ? buildCutPlan({
+        sheetW: activeW,
+        sheetH: activeH,
+        pieces: edited.pieces,
+        bladeThickness,
+      })
+    : null;
+  // cut plans come with the result, one per distinct sheet layout
+  const activeGroup = plan
+    ? plan.groups.findIndex((g) => sheetIndex >= g.from && sheetIndex <= g.to)
+    : -1;
+  const cutPlan = editedCutPlan
+    ? editedCutPlan
+    : activeGroup >= 0
+      ? groupCutPlans[activeGroup]
+      : isList
+        ? EMPTY_CUT_PLAN
+        : chosenCandidate.cutPlan;
 
-  // preview sizing and limits
-  const previewH = 420;
-  const minDim = Math.max(1, Math.min(sheetWmm, sheetHmm));
-  const strokeScale = Math.max(0.12, Math.min(3, minDim / 200));
-  const strokeWidth = strokeScale;
-  const RENDER_LIMIT = 3000;
-  const willTruncateRender = best.pieces.length > RENDER_LIMIT;
+  // the single size fills freed space in the orientations it may take
+  const repack = () =>
+    layoutEdit.apply((e) =>
+      repackEdit(
+        e,
+        editSheet,
+        isList
+          ? { items: grainItems(cutList, sheetGrain) }
+          : {
+              fill: {
+                w: cutWmm,
+                h: cutHmm,
+                orientations: enableRotation
+                  ? allowedOrientations(sheetGrain, pieceGrain)
+                  : [best.chosenOrientation || "normal"],
+              },
+            },
+      ),
+    );
+  const editor = layoutEdit.editing && {
+    tool: editTool,
+    checkMove: (i, x, y, tolerance) =>
+      snapMove(layoutEdit.edit, i, x, y, editSheet, tolerance),
+    onMove: (i, x, y) => layoutEdit.apply((e) => movePiece(e, i, x, y), i),
+    onDefect: (rect) => layoutEdit.apply((e) => addDefect(e, rect, editSheet)),
+  };
 
-  /* ===== Handlers that are decimal-friendly ===== */
+  // what the preview, cut sequence and 1:1 exports show
+  const view =
+    parentCut && showParent
+      ? {
+          sheetW: sheetWmm,
+          sheetH: sheetHmm,
+          layout: parentCut.layout,
+          margins: NO_MARGINS,
+          cutPlan: parentCut.cutPlan,
+        }
+      : { sheetW: activeW, sheetH: activeH, layout: active, margins, cutPlan };
+  const showLevel = (parent) => {
+    setShowParent(parent);
+    setCutStep(null);
+  };
 
-  const handleUnitChange = (newUnit) => {
-    setUnit(newUnit);
-    // display strings will update because of useEffect that watches unit
+  const currentStep =
+    cutStep != null && cutStep < view.cutPlan.steps.length
+      ? view.cutPlan.steps[cutStep]
+      : null;
+
+  const quote = computeQuote(pricing, quoteGroups);
+
+  const updateDisplay = (next) => {
+    setDisplay(next);
+    try {
+      saveDisplay(next);
+    } catch {
+      // the choice still applies for this session
+    }
   };
 
-  const onChangeSheetW_display = (raw) => {
-    const clean = sanitizeNumberInput(raw);
-    setSheetW_display(clean);
-    // update internal mm only when user has typed some numeric content other than "." or empty
-    if (clean !== "" && clean !== ".") {
-      setSheetWmm(toMM(clean, unit));
+  const updatePricing = (next) => {
+    setPricing(next);
+    try {
+      savePricing(next);
+    } catch {
+      // prices still apply for this session
     }
   };
 
-  const onChangeSheetH_display = (raw) => {
-    const clean = sanitizeNumberInput(raw);
-    setSheetH_display(clean);
-    if (clean !== "" && clean !== ".") {
-      setSheetHmm(toMM(clean, unit));
+  // preview sizing
+  const previewH = 420;
+
+  /* ===== Export (SVG / PDF ticket) ===== */
+  const fmt = (mm) => formatDimension(mm, unit, precision);
+  const ticketDetails = [
+    ["Sheet", `${fmt(sheetWmm)} × ${fmt(sheetHmm)} ${unit}`],
+    ...(parents
+      ? [
+          ["Press sheet", `${fmt(press.wmm)} × ${fmt(press.hmm)} ${unit}`],
+          ["Press sheets per parent", parents.perParent],
+          ["Pieces per parent", parents.piecesPerParent],
+        ]
+      : []),
+    ...(isList
+      ? cutList.map((r, i) => [
+          r.label ? `Size ${i + 1} – ${r.label}` : `Size ${i + 1}`,
+          `${fmt(r.wmm)} × ${fmt(r.hmm)} ${unit} × ${r.qty}${r.allowRotation ? "" : " (no rotation)"}`,
+        ])
+      : [
+          ["Cut size", `${fmt(cutWmm)} × ${fmt(cutHmm)} ${unit}`],
+          ["Layout", chosenCandidate.label],
+          ["Pieces per sheet", best.totalPieces],
+          ["Waste per sheet", `${best.wastePercent.toFixed(1)}%`],
+        ]),
+    [
+      "Margins (T / R / B / L)",
+      [margins.top, margins.right, margins.bottom, margins.left]
+        .map(fmt)
+        .join(" / ") + ` ${unit}`,
+    ],
+    ["Kerf", `${fmt(bladeThickness)} ${unit}`],
+    ...(hasImposition(imposition)
+      ? [
+          [
+            "Bleed / gutter / crop marks",
+            [imposition.bleed, imposition.gutter, imposition.cropMarks]
+              .map(fmt)
+              .join(" / ") + ` ${unit}`,
+          ],
+        ]
+      : []),
+    ...(plan
+      ? [
+          [parents ? "Press sheets" : "Sheets", plan.sheetCount],
+          ["Total pieces", plan.totalPieces],
+          ["Job waste", `${plan.totalWastePercent.toFixed(1)}%`],
+        ]
+      : []),
+    ...(parents
+      ? [
+          ["Parent sheets", parents.parentCount],
+          ["Waste incl. parent", `${parents.wastePercent.toFixed(1)}%`],
+        ]
+      : []),
+    ...quoteRows(quote, pricing.currency),
+  ];
+
+  // one ticket page per distinct layout (the parent division first)
+  const getTicketSheets = () => {
+    const parentPage = parentCut
+      ? [
+          {
+            label: "Parent sheet into press sheets",
+            layout: parentCut.layout,
+            sheetW: sheetWmm,
+            sheetH: sheetHmm,
+            cutPlan: parentCut.cutPlan,
+          },
+        ]
+      : [];
+    if (!plan || plan.sheetCount === 0) {
+      return [
+        ...parentPage,
+        {
+          label: parentCut ? "Press sheet layout" : "Sheet layout",
+          layout: active,
+          sheetW: activeW,
+          sheetH: activeH,
+          cutPlan,
+        },
+      ];
     }
+    return parentPage.concat(
+      plan.groups.map((g, i) => {
+        const stock = g.sheet.stock;
+        const w = stock ? stock.w : layoutW;
+        const h = stock ? stock.h : layoutH;
+        return {
+          label:
+            (g.count > 1
+              ? `Sheets ${g.from + 1}–${g.to + 1} (×${g.count})`
+              : `Sheet ${g.from + 1}`) +
+            (stock ? ` – offcut ${fmt(w)} × ${fmt(h)} ${unit}` : ""),
+          // the shown sheet's hand edits apply to its whole group
+          layout: i === activeGroup ? active : g.sheet,
+          sheetW: w,
+          sheetH: h,
+          cutPlan: i === activeGroup ? cutPlan : groupCutPlans[i],
+        };
+      }),
+    );
+  };
+
+  // presets carry their own unit, so the current unit does not matter
+  const applyPreset = (p) => {
+    setSheetWmm(toMM(p.w, p.unit));
+    setSheetHmm(toMM(p.h, p.unit));
   };
 
-  const onChangeCutW_display = (raw) => {
-    const clean = sanitizeNumberInput(raw);
-    setCutW_display(clean);
-    if (clean !== "" && clean !== ".") {
-      setCutWmm(toMM(clean, unit));
+  const updatePresets = (next) => {
+    setPresets(next);
+    try {
+      savePresets(next);
+      setPresetError("");
+    } catch (e) {
+      setPresetError(`Presets could not be saved: ${e.message}`);
     }
   };
 
-  const onChangeCutH_display = (raw) => {
-    const clean = sanitizeNumberInput(raw);
-    setCutH_display(clean);
-    if (clean !== "" && clean !== ".") {
-      setCutHmm(toMM(clean, unit));
+  // imported rows are in mm already; `replace` drops the current list
+  const importCutList = (rows, replace) => {
+    const imported = rows.map((r) =>
+      makeCutListRow(r.wmm, r.hmm, r.qty, r.allowRotation, "any", r.label),
+    );
+    setCutList(replace ? imported : [...cutList, ...imported]);
+    setImportText(null);
+  };
+
+  /* ===== Inventory ===== */
+  // two-level jobs book out the parent sheets they are cut from
+  const jobSheets = parents ? parents.parents : plan ? plan.sheets : [active];
+  const fullSheetsNeeded = jobSheets.filter((sh) => !sh.stock).length;
+
+  const markJobCut = () => {
+    if (!window.confirm("Book this job as cut and update the inventory?"))
+      return;
+    const result = recordCutJob(inventory, {
+      sheets: jobSheets,
+      sheetW: sheetWmm,
+      sheetH: sheetHmm,
+      bladeThickness,
+      material: stockMaterial,
+      source: currentJob ? currentJob.name : new Date().toLocaleDateString(),
+    });
+    try {
+      saveInventory(result.inventory);
+      setInventory(result.inventory);
+      setCutReport(result);
+      setInventoryError("");
+    } catch (e) {
+      setInventoryError(`The inventory could not be saved: ${e.message}`);
     }
   };
 
-  // apply preset (display units provided in presets array)
-  const applyPreset = (idx) => {
-    if (!presets[idx]) return;
-    const p = presets[idx];
-    // convert preset numbers (in display units) to internal mm using current unit
-    const newWmm = toMM(p.w, unit);
-    const newHmm = toMM(p.h, unit);
-    setSheetWmm(newWmm);
-    setSheetHmm(newHmm);
-    // display values will sync via useEffect
+  /* ===== Jobs library ===== */
+  const currentConfig = () => ({
+    unit,
+    sheetWmm,
+    sheetHmm,
+    cutWmm,
+    cutHmm,
+    enableRotation,
+    sheetGrain,
+    pieceGrain,
+    algorithm,
+    mode,
+    cutList: cutList.map(({ wmm, hmm, qty, allowRotation, grain, label }) => ({
+      wmm,
+      hmm,
+      qty,
+      allowRotation,
+      grain,
+      label,
+    })),
+    targetQty,
+    margins,
+    bladeThickness,
+    imposition,
+    press,
+  });
+
+  // mirror the inputs into the URL so the address bar is a shareable link
+  const query = configToParams(currentConfig()).toString();
+  useEffect(() => {
+    if (query !== searchParams.toString()) {
+      setSearchParams(query, { replace: true, state: location.state });
+    }
+  }, [query, searchParams, setSearchParams, location.state]);
+
+  // the clipboard is missing outside secure contexts and may be refused
+  const copyLink = () => {
+    const copy = navigator.clipboard
+      ? navigator.clipboard.writeText(window.location.href)
+      : Promise.reject(new Error("No clipboard"));
+    copy.then(
+      () => {
+        setLinkCopy("copied");
+        setTimeout(() => setLinkCopy(null), 1500);
+      },
+      () => setLinkCopy("failed"),
+    );
+  };
+
+  // saves over the opened job unless `asNew`; throws if storage fails
+  const saveJob = (details, asNew) => {
+    const config = currentConfig();
+    // a job deleted meanwhile (another tab, the Jobs page) is saved anew
+    const job =
+      (currentJob &&
+        !asNew &&
+        updateJob(currentJob.id, { ...details, config })) ||
+      createJob({ ...details, config });
+    setCurrentJob(job);
+    setShowSaveJob(false);
   };
 
   /* ===== JSX ===== */
@@ -328,73 +651,261 @@ export default function CuttingEngine() {
       {/* TOP SUMMARY */}
       <div className="rounded-2xl p-5 bg-gradient-to-r from-indigo-600 via-pink-500 to-yellow-400 text-white flex flex-col gap-4 lg:flex-row lg:items-center lg:justify-between">
         <div className="flex items-center gap-4">
-          <div className="text-4xl font-extrabold">{best.totalPieces}</div>
-          <div className="text-sm opacity-90">Total pieces</div>
+          <div className="text-4xl font-extrabold">{active.totalPieces}</div>
+          <div className="text-sm opacity-90">
+            {plan
+              ? `Pieces on ${parents ? "press sheet" : "sheet"} ${sheetIndex + 1}`
+              : parents
+                ? "Pieces per press sheet"
+                : "Total pieces"}
+            {!isList && algorithm === "recursive" && (
+              <div>Fast grid: {grid.totalPieces}</div>
+            )}
+            {fit && fit.exact !== fit.shown && (
+              <div className="font-semibold">
+                On the fit boundary: the rounded sizes shown would fit{" "}
+                {fit.shown}
+              </div>
+            )}
+            {plan && plan.unplaced > 0 && (
+              <div className="font-semibold">{plan.unplaced} not placed</div>
+            )}
+          </div>
         </div>
 
         <div className="flex flex-wrap gap-4 items-center">
           <div className="text-center">
             <div className="text-xs">Waste</div>
             <div className="text-2xl font-bold">
-              {best.wastePercent.toFixed(2)}%
+              {active.wastePercent.toFixed(2)}%
             </div>
           </div>
 
-          <div className="text-center">
-            <div className="text-xs">Orientation</div>
-            <div className="text-lg font-semibold">
-              {best.chosenOrientation}
+          {plan && (
+            <div className="text-center">
+              <div className="text-xs">
+                {parents ? "Press sheets" : "Sheets"}
+              </div>
+              <div className="text-2xl font-bold">{plan.sheetCount}</div>
             </div>
-          </div>
+          )}
+
+          {parents && (
+            <div className="text-center">
+              <div className="text-xs">Per parent</div>
+              <div className="text-2xl font-bold">
+                {parents.piecesPerParent}
+              </div>
+            </div>
+          )}
+
+          {!isList && (
+            <div className="text-center">
+              <div className="text-xs">Orientation</div>
+              <div className="text-lg font-semibold">
+                {best.chosenOrientation}
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="flex flex-wrap gap-2 items-center">
+          <div className="flex rounded-full bg-indigo-900 p-1 text-sm">
+            {[
+              ["single", "Single size"],
+              ["list", "Cut list"],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setMode(value)}
+                className={`px-3 py-1 rounded-full font-medium ${
+                  mode === value ? "bg-white text-indigo-700" : "text-white"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <button
+            onClick={copyLink}
+            className="px-3 py-1.5 rounded bg-black text-white text-sm"
+          >
+            {linkCopy === "copied" ? "Link copied" : "Copy link"}
+          </button>
+          {linkCopy === "failed" && (
+            <input
+              readOnly
+              autoFocus
+              value={window.location.href}
+              onFocus={(e) => e.target.select()}
+              onBlur={() => setLinkCopy(null)}
+              aria-label="Link to copy"
+              title="Copying failed; copy the link from here"
+              className="px-2 py-1 rounded bg-white text-sm text-gray-900 w-64"
+            />
+          )}
+
+          <button
+            onClick={() => setShowSaveJob((s) => !s)}
+            className="px-3 py-1.5 rounded bg-black text-white text-sm"
+          >
+            {currentJob ? `Job: ${currentJob.name}` : "Save job"}
+          </button>
+
           <select
             className="bg-black text-white px-3 py-2 rounded text-sm"
-            defaultValue=""
-            onChange={(e) => applyPreset(Number(e.target.value))}
+            value=""
+            onChange={(e) => {
+              if (e.target.value === "manage") setShowPresets(true);
+              else applyPreset(presets.find((p) => p.id === e.target.value));
+            }}
           >
             <option value="" hidden>
               Presets
             </option>
-            {presets.map((p, i) => (
-              <option key={i} value={i}>
-                {p.label}
+            {groupPresets(presets).map(([stock, list]) => (
+              <optgroup key={stock} label={stock}>
+                {list.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {presetLabel(p)}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+            <option value="manage">Manage presets…</option>
+          </select>
+
+          <select
+            value={baseUnit(unit)}
+            onChange={(e) =>
+              setUnit(
+                e.target.value === "px" ? pxUnit(display.dpi) : e.target.value,
+              )
+            }
+            aria-label="Unit"
+            className="rounded px-3 py-1.5 text-sm bg-black text-white border border-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {Object.keys(UNIT_FACTORS).map((u) => (
+              <option key={u} value={u} className="bg-black text-white">
+                {u}
               </option>
             ))}
           </select>
 
+          {unitDpi(unit) && (
+            <label className="flex items-center gap-1 text-sm">
+              <span className="w-16">
+                <DimensionInput
+                  valueMm={unitDpi(unit)}
+                  unit="mm"
+                  units={false}
+                  onChange={(dpi) => {
+                    if (!(dpi > 0)) return;
+                    setUnit(pxUnit(dpi));
+                    updateDisplay({ ...display, dpi });
+                  }}
+                  ariaLabel="Pixels per inch"
+                  className="w-full rounded px-2 py-1.5 text-sm bg-black text-white border border-gray-700"
+                />
+              </span>
+              dpi
+            </label>
+          )}
+
           <select
-            value={unit}
-            onChange={(e) => handleUnitChange(e.target.value)}
+            value={precision}
+            onChange={(e) => {
+              const p = e.target.value;
+              updateDisplay({
+                ...display,
+                precision: {
+                  ...display.precision,
+                  [baseUnit(unit)]: p.includes("/") ? p : Number(p),
+                },
+              });
+            }}
+            aria-label="Precision"
+            title="Precision lengths are shown to"
             className="rounded px-3 py-1.5 text-sm bg-black text-white border border-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
           >
-            <option value="mm" className="bg-black text-white">
-              mm
-            </option>
-            <option value="cm" className="bg-black text-white">
-              cm
-            </option>
-            <option value="inch" className="bg-black text-white">
-              inch
-            </option>
-            <option value="meter" className="bg-black text-white">
-              meter
-            </option>
+            {precisionChoices(unit).map((p) => (
+              <option key={p} value={p} className="bg-black text-white">
+                {precisionLabel(p)}
+              </option>
+            ))}
           </select>
 
+          {mode === "single" && (
+            <button
+              onClick={() => setEnableRotation((s) => !s)}
+              className={`px-4 py-2 rounded-full font-medium ${
+                enableRotation
+                  ? "bg-white text-indigo-700"
+                  : "bg-indigo-900 text-white"
+              }`}
+            >
+              {enableRotation ? "Rotation ON" : "Rotation OFF"}
+            </button>
+          )}
+
+          {mode === "single" && (
+            <select
+              value={algorithm}
+              onChange={(e) => setAlgorithm(e.target.value)}
+              className="rounded px-3 py-1.5 text-sm bg-black text-white border border-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              <option value="grid" className="bg-black text-white">
+                Fast grid
+              </option>
+              <option value="recursive" className="bg-black text-white">
+                Recursive
+              </option>
+            </select>
+          )}
+        </div>
+      </div>
+
+      {urlWarnings.length > 0 && (
+        <div className="rounded-xl p-4 bg-amber-50 border border-amber-200 text-amber-800 text-sm flex items-start justify-between gap-4">
+          <div>
+            <div className="font-semibold">
+              Some link parameters were invalid and defaults were used:
+            </div>
+            <ul className="list-disc pl-5">
+              {urlWarnings.map((w) => (
+                <li key={w}>{w}</li>
+              ))}
+            </ul>
+          </div>
           <button
-            onClick={() => setEnableRotation((s) => !s)}
-            className={`px-4 py-2 rounded-full font-medium ${
-              enableRotation
-                ? "bg-white text-indigo-700"
-                : "bg-indigo-900 text-white"
-            }`}
+            onClick={() => setUrlWarnings([])}
+            aria-label="Dismiss"
+            className="text-amber-700 hover:text-amber-900"
           >
-            {enableRotation ? "Rotation ON" : "Rotation OFF"}
+            <HiX />
           </button>
         </div>
-      </div>
+      )}
+
+      {showPresets && (
+        <PresetManager
+          presets={presets}
+          onChange={updatePresets}
+          onApply={applyPreset}
+          onReset={() => updatePresets(DEFAULT_PRESETS)}
+          onClose={() => setShowPresets(false)}
+          error={presetError}
+        />
+      )}
+
+      {showSaveJob && (
+        <SaveJob
+          job={currentJob}
+          onSave={saveJob}
+          onClose={() => setShowSaveJob(false)}
+        />
+      )}
 
       {/* MAIN */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
@@ -402,114 +913,190 @@ export default function CuttingEngine() {
         <div className="lg:col-span-2 order-1">
           <div className="bg-white rounded-xl overflow-hidden">
             <div className="p-4 flex items-center justify-between">
-              <div className="text-lg font-semibold">Preview</div>
-              <div className="text-sm text-gray-500">
-                Rendering {best.pieces.length} pieces
-                {willTruncateRender ? ` — showing first ${RENDER_LIMIT}` : ""}
+              {parentCut ? (
+                <div className="flex items-center gap-2 text-lg">
+                  <button
+                    onClick={() => showLevel(true)}
+                    className={
+                      showParent
+                        ? "font-semibold"
+                        : "text-indigo-700 hover:underline"
+                    }
+                  >
+                    Parent sheet
+                  </button>
+                  <span className="text-gray-400">›</span>
+                  <button
+                    onClick={() => showLevel(false)}
+                    className={
+                      showParent
+                        ? "text-indigo-700 hover:underline"
+                        : "font-semibold"
+                    }
+                  >
+                    Press sheet
+                  </button>
+                </div>
+              ) : (
+                <div className="text-lg font-semibold">Preview</div>
+              )}
+              <div className="flex items-center gap-4">
+                {sheetGrain !== "none" && (
+                  <span className="text-xs px-2 py-0.5 rounded bg-stone-100 text-stone-700">
+                    Grain {sheetGrain === "horizontal" ? "↔" : "↕"}
+                  </span>
+                )}
+                {active.stock && view.layout === active && (
+                  <span className="text-xs px-2 py-0.5 rounded bg-amber-100 text-amber-800">
+                    Offcut {fmt(activeW)} × {fmt(activeH)}
+                  </span>
+                )}
+                {engine.pending && (
+                  <span className="text-sm text-indigo-700">
+                    Computing… {Math.round(engine.progress * 100)}%
+                  </span>
+                )}
+                {engine.error && !engine.pending && (
+                  <span className="text-sm text-red-600">
+                    Layout failed: {engine.error}
+                  </span>
+                )}
+                {problems.length > 0 && (
+                  <span
+                    className="text-sm text-red-600"
+                    title={problems.map((p) => p.message).join("\n")}
+                  >
+                    ⚠ {problems.length} layout{" "}
+                    {problems.length === 1 ? "check" : "checks"} failed
+                  </span>
+                )}
+                <div className="text-sm text-gray-500">
+                  {view.layout.pieces.length}{" "}
+                  {view.layout === active ? "pieces" : "press sheets"}
+                </div>
+                {view.layout === active &&
+                  !layoutEdit.editing &&
+                  planned.pieces.length > 0 && (
+                    <button
+                      onClick={() => {
+                        layoutEdit.start();
+                        setCutStep(null);
+                      }}
+                      className="px-3 py-1.5 rounded-lg border border-indigo-200 text-sm text-indigo-700 hover:bg-indigo-50"
+                    >
+                      Edit layout
+                    </button>
+                  )}
+                <ExportMenu
+                  sheetW={view.sheetW}
+                  sheetH={view.sheetH}
+                  margins={view.margins}
+                  bladeThickness={bladeThickness}
+                  unit={unit}
+                  precision={precision}
+                  layout={view.layout}
+                  cutPlan={view.cutPlan}
+                  details={ticketDetails}
+                  getTicketSheets={getTicketSheets}
+                />
               </div>
             </div>
 
-            <div className="w-full" style={{ height: previewH }}>
-              <svg
-                viewBox={`0 0 ${Math.max(1, Math.round(sheetWmm))} ${Math.max(
-                  1,
-                  Math.round(sheetHmm),
-                )}`}
-                preserveAspectRatio="xMidYMid meet"
-                className="w-full h-full"
-              >
-                {/* sheet background */}
-                <rect
-                  x={0}
-                  y={0}
-                  width={sheetWmm}
-                  height={sheetHmm}
-                  fill="#ffffff"
+            {layoutEdit.editing && view.layout === active && (
+              <EditToolbar
+                layoutEdit={layoutEdit}
+                tool={editTool}
+                onTool={setEditTool}
+                onRepack={repack}
+                conflicts={layoutEdit.conflicts}
+              />
+            )}
+
+            <div className="h-1 bg-indigo-50">
+              {engine.pending && (
+                <div
+                  className="h-full bg-indigo-600 transition-all"
+                  style={{ width: `${Math.round(engine.progress * 100)}%` }}
                 />
+              )}
+            </div>
 
-                {/* waste strips (light red) */}
-                {best.rightStrip && (
-                  <rect
-                    x={best.rightStrip.x}
-                    y={best.rightStrip.y}
-                    width={best.rightStrip.w}
-                    height={best.rightStrip.h}
-                    fill="#fecaca"
-                    opacity="0.35"
-                  />
-                )}
-                {best.bottomStrip && (
-                  <rect
-                    x={best.bottomStrip.x}
-                    y={best.bottomStrip.y}
-                    width={best.bottomStrip.w}
-                    height={best.bottomStrip.h}
-                    fill="#fecaca"
-                    opacity="0.35"
-                  />
-                )}
+            <div className="w-full" style={{ height: previewH }}>
+              <SheetPreview
+                sheetW={view.sheetW}
+                sheetH={view.sheetH}
+                layout={view.layout}
+                margins={view.margins}
+                bladeThickness={bladeThickness}
+                cutPlan={view.cutPlan}
+                step={currentStep}
+                unit={unit}
+                precision={precision}
+                interactive
+                onPieceClick={
+                  view.layout === active ? null : () => showLevel(false)
+                }
+                {...(layoutEdit.editing &&
+                  view.layout === active && {
+                    editor,
+                    selected: layoutEdit.selected,
+                    onSelect: layoutEdit.select,
+                  })}
+              />
+            </div>
 
-                {/* pieces */}
-                {best.pieces.slice(0, RENDER_LIMIT).map((p, idx) => (
-                  <rect
-                    key={idx}
-                    x={p.x}
-                    y={p.y}
-                    width={p.w}
-                    height={p.h}
-                    fill={p.rotated ? "#34d399" : "#60a5fa"}
-                    stroke={p.rotated ? "#065f46" : "#1e3a8a"}
-                    strokeWidth={Math.max(
-                      0.12,
-                      strokeWidth * (p.rotated ? 0.9 : 0.8),
-                    )}
-                  />
-                ))}
+            {isList && (
+              <div className="px-4 py-3 border-t flex flex-wrap gap-x-5 gap-y-2 text-sm">
+                {cutList.map((row, i) => {
+                  const color = sizeColor(i);
+                  return (
+                    <div key={row.id} className="flex items-center gap-2">
+                      <span
+                        className="w-3 h-3 rounded-sm"
+                        style={{
+                          background: color.fill,
+                          border: `1px solid ${color.stroke}`,
+                        }}
+                      />
+                      <span>
+                        {fmt(row.wmm)} × {fmt(row.hmm)}
+                      </span>
+                      <span className="font-semibold">
+                        {active.placedCounts[i] ?? 0} on sheet
+                      </span>
+                      <span className="text-gray-400">of {row.qty}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
 
-                {/* dashed cut-lines (thin) */}
-                {(() => {
-                  const lines = [];
-                  const spacing = Math.max(0, bladeThickness);
-                  const px = best.fitCountX || 0;
-                  for (let ix = 1; ix < px; ix++) {
-                    const x =
-                      edgeDistance + ix * (cutWmm + spacing) - spacing / 2;
-                    lines.push(
-                      <line
-                        key={`vx-${ix}`}
-                        x1={x}
-                        y1={edgeDistance}
-                        x2={x}
-                        y2={sheetHmm - edgeDistance}
-                        stroke="#94a3b8"
-                        strokeWidth={Math.max(0.08, strokeWidth * 0.2)}
-                        strokeDasharray="3"
-                        opacity="0.5"
-                      />,
-                    );
-                  }
-                  const py = best.fitCountY || 0;
-                  for (let iy = 1; iy < py; iy++) {
-                    const y =
-                      edgeDistance + iy * (cutHmm + spacing) - spacing / 2;
-                    lines.push(
-                      <line
-                        key={`hy-${iy}`}
-                        x1={edgeDistance}
-                        y1={y}
-                        x2={sheetWmm - edgeDistance}
-                        y2={y}
-                        stroke="#94a3b8"
-                        strokeWidth={Math.max(0.08, strokeWidth * 0.2)}
-                        strokeDasharray="3"
-                        opacity="0.5"
-                      />,
-                    );
-                  }
-                  return lines;
-                })()}
-              </svg>
+          {!isList && engine.result && (
+            <div className="bg-white rounded-xl p-4 mt-6">
+              <div className="text-lg font-semibold mb-3">Compare layouts</div>
+              <LayoutCompare
+                candidates={candidates}
+                activeKey={chosenCandidate.key}
+                autoKey={autoCandidate.key}
+                onSelect={setSelectedCandidate}
+                sheetW={layoutW}
+                sheetH={layoutH}
+                margins={margins}
+                bladeThickness={bladeThickness}
+              />
             </div>
+          )}
+
+          <div className="bg-white rounded-xl p-4 mt-6">
+            <div className="text-lg font-semibold mb-3">Cut sequence</div>
+            <CutSequence
+              cutPlan={view.cutPlan}
+              stepIndex={currentStep ? cutStep : null}
+              onStepChange={setCutStep}
+              unit={unit}
+              precision={precision}
+            />
           </div>
         </div>
 
@@ -522,53 +1109,305 @@ export default function CuttingEngine() {
 
           <div className="space-y-3 text-sm">
             <label className="block text-sm font-medium">
-              Sheet Width ({unit})
+              {twoLevel ? "Parent sheet width" : "Sheet Width"} ({unit})
             </label>
-            <input
-              type="text"
-              inputMode="decimal"
-              value={sheetW_display}
-              onChange={(e) => onChangeSheetW_display(e.target.value)}
-              className="w-full border rounded px-3 py-2 text-lg"
-              placeholder="e.g. 25 or 25.5"
+            <DimensionInput
+              valueMm={sheetWmm}
+              unit={unit}
+              precision={precision}
+              onChange={setSheetWmm}
+              placeholder="e.g. 25, 25.5 or 25 1/2"
             />
 
             <label className="block text-sm font-medium">
-              Sheet Height ({unit})
+              {twoLevel ? "Parent sheet height" : "Sheet Height"} ({unit})
             </label>
-            <input
-              type="text"
-              inputMode="decimal"
-              value={sheetH_display}
-              onChange={(e) => onChangeSheetH_display(e.target.value)}
-              className="w-full border rounded px-3 py-2 text-lg"
-              placeholder="e.g. 35 or 35.5"
+            <DimensionInput
+              valueMm={sheetHmm}
+              unit={unit}
+              precision={precision}
+              onChange={setSheetHmm}
+              placeholder="e.g. 35, 35.5 or 35 1/2"
             />
 
-            <label className="block text-sm font-medium">
-              Cut Width ({unit})
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={press.enabled}
+                onChange={(e) => {
+                  setPress((p) => ({ ...p, enabled: e.target.checked }));
+                  setSelectedSheet(0);
+                  showLevel(true);
+                }}
+                className="w-4 h-4 accent-indigo-600"
+              />
+              <span className="font-medium">Cut into press sheets first</span>
             </label>
-            <input
-              type="text"
-              inputMode="decimal"
-              value={cutW_display}
-              onChange={(e) => onChangeCutW_display(e.target.value)}
-              className="w-full border rounded px-3 py-2 text-lg"
-              placeholder="e.g. 5 or 5.5"
-            />
+
+            {press.enabled && (
+              <div className="grid grid-cols-2 gap-3">
+                {[
+                  ["wmm", "Press sheet W"],
+                  ["hmm", "Press sheet H"],
+                ].map(([field, label]) => (
+                  <label key={field} className="block font-medium">
+                    {label} ({unit})
+                    <DimensionInput
+                      valueMm={press[field]}
+                      unit={unit}
+                      precision={precision}
+                      onChange={(mm) =>
+                        setPress((p) => ({ ...p, [field]: mm }))
+                      }
+                      className="mt-1 w-full border rounded px-3 py-2 text-base font-normal"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
 
             <label className="block text-sm font-medium">
-              Cut Height ({unit})
+              Sheet grain
+              <select
+                value={sheetGrain}
+                onChange={(e) => setSheetGrain(e.target.value)}
+                className="mt-1 w-full border rounded px-3 py-2 text-base font-normal"
+              >
+                {SHEET_GRAINS.map((g) => (
+                  <option key={g} value={g}>
+                    {g === "none"
+                      ? "No grain"
+                      : g === "horizontal"
+                        ? "Along the width"
+                        : "Along the height"}
+                  </option>
+                ))}
+              </select>
             </label>
-            <input
-              type="text"
-              inputMode="decimal"
-              value={cutH_display}
-              onChange={(e) => onChangeCutH_display(e.target.value)}
-              className="w-full border rounded px-3 py-2 text-lg"
-              placeholder="e.g. 7 or 7.5"
+
+            {mode === "list" ? (
+              <div
+                className="space-y-3"
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={async (e) => {
+                  const file = e.dataTransfer.files[0];
+                  if (!file) return;
+                  e.preventDefault();
+                  setImportText(await file.text());
+                }}
+              >
+                <div className="pt-2 flex items-center justify-between text-sm">
+                  <span className="font-medium">Cut list</span>
+                  {importText == null && (
+                    <button
+                      onClick={() => setImportText("")}
+                      className="text-indigo-700 hover:underline"
+                    >
+                      Import…
+                    </button>
+                  )}
+                </div>
+                {importText != null && (
+                  <CutListImport
+                    key={importText}
+                    initialText={importText}
+                    unit={unit}
+                    precision={precision}
+                    onImport={importCutList}
+                    onClose={() => setImportText(null)}
+                  />
+                )}
+                <CutList
+                  rows={cutList}
+                  onChange={setCutList}
+                  unit={unit}
+                  precision={precision}
+                  showGrain={sheetGrain !== "none"}
+                  unplacedCounts={plan?.unplacedCounts}
+                />
+              </div>
+            ) : (
+              <>
+                <label className="block text-sm font-medium">
+                  Cut Width ({unit})
+                </label>
+                <DimensionInput
+                  valueMm={cutWmm}
+                  unit={unit}
+                  precision={precision}
+                  onChange={setCutWmm}
+                  placeholder="e.g. 5, 5.5 or 5 1/2"
+                />
+
+                <label className="block text-sm font-medium">
+                  Cut Height ({unit})
+                </label>
+                <DimensionInput
+                  valueMm={cutHmm}
+                  unit={unit}
+                  precision={precision}
+                  onChange={setCutHmm}
+                  placeholder="e.g. 7, 7.5 or 7 1/2"
+                />
+
+                {sheetGrain !== "none" && (
+                  <label className="block text-sm font-medium">
+                    Cut width runs
+                    <select
+                      value={pieceGrain}
+                      onChange={(e) => setPieceGrain(e.target.value)}
+                      className="mt-1 w-full border rounded px-3 py-2 text-base font-normal"
+                    >
+                      {PIECE_GRAINS.map((g) => (
+                        <option key={g} value={g}>
+                          {g === "any" ? "Any direction" : `${g} the grain`}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+
+                <label className="block text-sm font-medium">
+                  Target quantity
+                </label>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={targetQty}
+                  onChange={(e) => {
+                    setTargetQty(e.target.value.replace(/[^0-9]/g, ""));
+                    setSelectedSheet(0);
+                  }}
+                  className="w-full border rounded px-3 py-2 text-lg"
+                  placeholder="e.g. 5000 (optional)"
+                />
+              </>
+            )}
+          </div>
+
+          <div className="mt-6 pt-4 border-t">
+            <div className="text-lg font-semibold mb-3">Margins &amp; kerf</div>
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              {[
+                ["top", "Top (gripper)"],
+                ["bottom", "Bottom"],
+                ["left", "Left"],
+                ["right", "Right"],
+              ].map(([side, label]) => (
+                <label key={side} className="block font-medium">
+                  {label} ({unit})
+                  <DimensionInput
+                    valueMm={margins[side]}
+                    unit={unit}
+                    precision={precision}
+                    onChange={(mm) => setMargins((m) => ({ ...m, [side]: mm }))}
+                    className="mt-1 w-full border rounded px-3 py-2 text-base font-normal"
+                    placeholder="0"
+                    emptyAsZero
+                  />
+                </label>
+              ))}
+              <label className="block font-medium col-span-2">
+                Kerf / blade thickness ({unit})
+                <DimensionInput
+                  valueMm={bladeThickness}
+                  unit={unit}
+                  precision={precision}
+                  onChange={setBladeThickness}
+                  className="mt-1 w-full border rounded px-3 py-2 text-base font-normal"
+                  placeholder="0"
+                  emptyAsZero
+                />
+              </label>
+            </div>
+          </div>
+
+          <div className="mt-6 pt-4 border-t">
+            <div className="text-lg font-semibold mb-1">Print imposition</div>
+            <p className="text-xs text-gray-500 mb-3">
+              Cut sizes are trim sizes. Each piece is printed with its bleed,
+              bleed boxes stay a gutter apart and crop marks need their length
+              clear inside the margins.
+            </p>
+            <div className="grid grid-cols-3 gap-3 text-sm">
+              {[
+                ["bleed", "Bleed"],
+                ["gutter", "Gutter"],
+                ["cropMarks", "Crop marks"],
+              ].map(([field, label]) => (
+                <label key={field} className="block font-medium">
+                  {label} ({unit})
+                  <DimensionInput
+                    valueMm={imposition[field]}
+                    unit={unit}
+                    precision={precision}
+                    onChange={(mm) =>
+                      setImposition((imp) => ({ ...imp, [field]: mm }))
+                    }
+                    className="mt-1 w-full border rounded px-3 py-2 text-base font-normal"
+                    placeholder="0"
+                    emptyAsZero
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="mt-6 pt-4 border-t">
+            <div className="text-lg font-semibold mb-3">Pricing</div>
+            <PricingPanel
+              pricing={pricing}
+              onChange={updatePricing}
+              quote={quote}
+            />
+          </div>
+
+          <div className="mt-6 pt-4 border-t">
+            <div className="text-lg font-semibold mb-3">Stock</div>
+            <StockPanel
+              materials={materialsOf(inventory)}
+              material={stockMaterial}
+              onMaterialChange={setStockMaterial}
+              useOffcuts={useOffcuts}
+              onUseOffcutsChange={setUseOffcuts}
+              offcutsAvailable={offcutUnits(inventory, stockMaterial).length}
+              offcutsUsed={jobSheets.length - fullSheetsNeeded}
+              sheetsNeeded={fullSheetsNeeded}
+              sheetsInStock={sheetsInStock(
+                inventory,
+                sheetWmm,
+                sheetHmm,
+                stockMaterial,
+              )}
+              onMarkCut={markJobCut}
+              report={cutReport}
+              error={inventoryError}
             />
           </div>
+
+          {parents && (
+            <div className="mt-6 pt-4 border-t">
+              <div className="text-lg font-semibold mb-3">Parent sheets</div>
+              <ParentPlan
+                summary={parents}
+                onShowParent={() => showLevel(true)}
+                onShowPress={() => showLevel(false)}
+              />
+            </div>
+          )}
+
+          {plan && (
+            <div className="mt-6 pt-4 border-t">
+              <div className="text-lg font-semibold mb-3">
+                {parents ? "Press sheet plan" : "Job plan"}
+              </div>
+              <JobPlan
+                plan={plan}
+                selectedSheet={sheetIndex}
+                onSelectSheet={setSelectedSheet}
+              />
+            </div>
+          )}
         </aside>
       </div>
     </div>
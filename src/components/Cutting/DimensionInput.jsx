@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import {
+  formatDimension,
+  isPlainNumber,
+  parseDimension,
+} from "../../engine/dimension";
+
+/*
+ * Text input bound to a value in mm. While focused the raw typed string is
+ * kept (so "35.", "35 1/2" or "5'" survive); otherwise the mm value is shown
+ * in `unit` to `precision` (see formatDimension). Anything parseDimension
+ * takes is accepted; what it refuses is shown under the field and leaves
+ * the value as it was.
+ */
+export default function DimensionInput({
+  valueMm,
+  unit,
+  onChange,
+  className = "w-full border rounded px-3 py-2 text-lg",
+  placeholder,
+  ariaLabel,
+  emptyAsZero = false,
+  precision,
+  // false for plain amounts (money, percents): numbers and arithmetic only
+  units = true,
+}) {
+  const [draft, setDraft] = useState(null);
+
+  const parsed =
+    draft == null || draft.trim() === ""
+      ? null
+      : parseDimension(draft, unit, { allowUnits: units });
+  const error =
+    parsed && (parsed.error || (parsed.mm < 0 ? "Must not be negative" : ""));
+
+  const handleChange = (raw) => {
+    setDraft(raw);
+    if (raw.trim() === "") {
+      // optional values (margins, kerf) read a cleared field as 0
+      if (emptyAsZero) onChange(0);
+      return;
+    }
+    const next = parseDimension(raw, unit, { allowUnits: units });
+    if (next.error == null && next.mm >= 0) onChange(next.mm);
+  };
+
+  return (
+    <span className="block">
+      <input
+        type="text"
+        inputMode={
+          units && (unit === "inch" || unit === "ft") ? "text" : "decimal"
+        }
+        value={draft ?? formatDimension(valueMm, unit, precision)}
+        onChange={(e) => handleChange(e.target.value)}
+        onBlur={() => setDraft(null)}
+        className={error ? `${className} border-red-500` : className}
+        placeholder={placeholder}
+        aria-label={ariaLabel}
+        aria-invalid={!!error}
+        title={error || undefined}
+      />
+      {error ? (
+        <span className="block mt-0.5 text-xs font-normal text-red-600">
+          {error}
+        </span>
+      ) : (
+        parsed &&
+        !isPlainNumber(draft) && (
+          <span className="block mt-0.5 text-xs font-normal text-gray-500">
+            = {formatDimension(parsed.mm, unit, precision)}
+            {units ? ` ${unit}` : ""}
+          </span>
+        )
+      )}
+    </span>
+  );
+}
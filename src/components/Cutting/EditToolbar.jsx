@@ -0,0 +1,122 @@
+import React from "react";
+import { removeDefect, removePiece, toggleLock } from "../../engine/manualEdit";
+
+const button =
+  "px-2 py-1 rounded border text-xs disabled:opacity-40 disabled:cursor-not-allowed";
+
+/* Tools for editing the previewed layout by hand: drag pieces or draw
+   defect zones, lock / remove the selected piece, re-pack, undo / redo. */
+export default function EditToolbar({
+  layoutEdit,
+  tool,
+  onTool,
+  onRepack,
+  conflicts,
+}) {
+  const { edit, selected, apply } = layoutEdit;
+  const piece = edit.pieces[selected];
+
+  const toolButton = (value, label) => (
+    <button
+      type="button"
+      onClick={() => onTool(value)}
+      className={`${button} ${
+        tool === value
+          ? "bg-indigo-600 border-indigo-600 text-white"
+          : "bg-white hover:bg-gray-50"
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="px-4 pb-3 space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        {toolButton("move", "Move pieces")}
+        {toolButton("defect", "Mark defect")}
+        <span className="w-px h-5 bg-gray-200" />
+        <button
+          type="button"
+          disabled={!piece}
+          onClick={() => apply((e) => toggleLock(e, selected), selected)}
+          className={`${button} bg-white hover:bg-gray-50`}
+        >
+          {piece && piece.locked ? "Unlock" : "Lock"}
+        </button>
+        <button
+          type="button"
+          disabled={!piece}
+          onClick={() => apply((e) => removePiece(e, selected))}
+          className={`${button} bg-white hover:bg-gray-50`}
+        >
+          Remove
+        </button>
+        <button
+          type="button"
+          onClick={onRepack}
+          className={`${button} bg-white hover:bg-gray-50`}
+        >
+          Re-pack around locked
+        </button>
+        <span className="w-px h-5 bg-gray-200" />
+        <button
+          type="button"
+          disabled={!layoutEdit.canUndo}
+          onClick={layoutEdit.undo}
+          className={`${button} bg-white hover:bg-gray-50`}
+          title="Undo (Ctrl+Z)"
+        >
+          Undo
+        </button>
+        <button
+          type="button"
+          disabled={!layoutEdit.canRedo}
+          onClick={layoutEdit.redo}
+          className={`${button} bg-white hover:bg-gray-50`}
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          Redo
+        </button>
+        <button
+          type="button"
+          onClick={layoutEdit.stop}
+          className={`${button} ml-auto bg-white hover:bg-gray-50`}
+        >
+          Discard edits
+        </button>
+      </div>
+
+      {edit.defects.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-xs">
+          <span className="text-gray-500">Defect zones:</span>
+          {edit.defects.map((d, i) => (
+            <button
+              key={i}
+              type="button"
+              onClick={() => apply((e) => removeDefect(e, i))}
+              className="px-1.5 py-0.5 rounded bg-red-50 text-red-700 hover:bg-red-100"
+              title="Remove this defect zone"
+            >
+              #{i + 1} ×
+            </button>
+          ))}
+        </div>
+      )}
+
+      {conflicts > 0 && (
+        <div className="text-xs text-red-600">
+          {conflicts} {conflicts === 1 ? "piece overlaps" : "pieces overlap"} a
+          defect zone or lacks kerf clearance – move it or re-pack.
+        </div>
+      )}
+      {!piece && (
+        <div className="text-xs text-gray-500">
+          {tool === "defect"
+            ? "Drag over the damaged area to mark it."
+            : "Tap a piece to select it, drag it to move it; drag empty space to pan."}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React from "react";
+import { layoutToSvg } from "./exportSvg";
+import { layoutToDxf } from "./exportDxf";
+import { buildJobTicket } from "./ticket";
+import { downloadFile } from "./download";
+
+/* Download buttons for the current layout: 1:1 SVG, DXF and the PDF job
+   ticket */
+export default function ExportMenu({
+  sheetW,
+  sheetH,
+  margins,
+  bladeThickness,
+  unit,
+  precision,
+  layout,
+  cutPlan,
+  details,
+  getTicketSheets,
+  fileName = "cutpro-layout",
+}) {
+  const exportSvg = () => {
+    const svg = layoutToSvg({
+      sheetW,
+      sheetH,
+      layout,
+      margins,
+      bladeThickness,
+      cutPlan,
+      unit,
+    });
+    downloadFile(svg, `${fileName}.svg`, "image/svg+xml");
+  };
+
+  const exportDxf = () => {
+    const dxf = layoutToDxf({
+      sheetW,
+      sheetH,
+      layout,
+      bladeThickness,
+      cutPlan,
+      unit,
+    });
+    // R12 DXF carries no units; say which in the name
+    downloadFile(dxf, `${fileName}-${unit}.dxf`, "application/dxf");
+  };
+
+  const exportPdf = () => {
+    const bytes = buildJobTicket({
+      details,
+      sheets: getTicketSheets(),
+      sheetW,
+      sheetH,
+      margins,
+      bladeThickness,
+      unit,
+      precision,
+    });
+    downloadFile(
+      new Blob([bytes], { type: "application/pdf" }),
+      `${fileName}.pdf`,
+    );
+  };
+
+  const button =
+    "px-3 py-1.5 rounded border text-sm text-gray-700 hover:bg-gray-50";
+
+  return (
+    <div className="flex gap-2">
+      <button onClick={exportSvg} className={button}>
+        SVG 1:1
+      </button>
+      <button onClick={exportDxf} className={button}>
+        DXF
+      </button>
+      <button onClick={exportPdf} className={button}>
+        PDF ticket
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React from "react";
+
+function sheetRangeLabel(group) {
+  return group.count === 1
+    ? `Sheet ${group.from + 1}`
+    : `Sheets ${group.from + 1}–${group.to + 1}`;
+}
+
+/* Sheet-by-sheet breakdown of a job; identical consecutive sheets are grouped */
+export default function JobPlan({ plan, selectedSheet, onSelectSheet }) {
+  if (plan.tooManySheets) {
+    return (
+      <div className="text-sm text-red-600">
+        This job needs more sheets than can be planned at once.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <div className="rounded-lg bg-indigo-50 p-2">
+          <div className="text-xs text-gray-500">Sheets</div>
+          <div className="text-xl font-bold text-indigo-700">
+            {plan.sheetCount}
+          </div>
+        </div>
+        <div className="rounded-lg bg-indigo-50 p-2">
+          <div className="text-xs text-gray-500">Pieces</div>
+          <div className="text-xl font-bold text-indigo-700">
+            {plan.totalPieces}
+          </div>
+        </div>
+        <div className="rounded-lg bg-indigo-50 p-2">
+          <div className="text-xs text-gray-500">Job waste</div>
+          <div className="text-xl font-bold text-indigo-700">
+            {plan.totalWastePercent.toFixed(2)}%
+          </div>
+        </div>
+      </div>
+
+      {plan.unplaced > 0 && (
+        <div className="text-sm text-red-600">
+          {plan.unplaced} pieces do not fit on an empty sheet.
+        </div>
+      )}
+
+      <ul className="divide-y border rounded-lg text-sm">
+        {plan.groups.map((group) => {
+          const selected =
+            selectedSheet >= group.from && selectedSheet <= group.to;
+          return (
+            <li key={group.from}>
+              <button
+                onClick={() => onSelectSheet(group.from)}
+                className={`w-full flex items-center justify-between px-3 py-2 text-left ${
+                  selected ? "bg-indigo-50 text-indigo-700" : "hover:bg-gray-50"
+                }`}
+              >
+                <span className="font-medium">
+                  {sheetRangeLabel(group)}
+                  {group.count > 1 && (
+                    <span className="text-gray-400"> × {group.count}</span>
+                  )}
+                  {group.sheet.stock && (
+                    <span className="ml-2 text-xs text-amber-700">offcut</span>
+                  )}
+                  {group.sheet.partial && (
+                    <span className="ml-2 text-xs text-amber-600">partial</span>
+                  )}
+                </span>
+                <span className="text-gray-500">
+                  {group.sheet.totalPieces} pcs ·{" "}
+                  {group.sheet.wastePercent.toFixed(1)}% waste
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
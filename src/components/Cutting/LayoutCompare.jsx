@@ -0,0 +1,124 @@
+import React from "react";
+import SheetPreview from "./SheetPreview";
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+/* Side-by-side thumbnails of every candidate layout; clicking one makes it
+   the active layout */
+export default function LayoutCompare({
+  candidates,
+  activeKey: rawActiveKey,
+  autoKey: rawAutoKey,
+  onSelect,
+  sheetW,
+  sheetH,
+  margins,
+  bladeThickness,
+}) {
+  // duplicates are hidden, so point keys at the candidate that is shown
+  const canonical = (key) => {
+    const c = candidates.find((x) => x.key === key);
+    return c ? c.duplicateOf || c.key : key;
+  };
+  const activeKey = canonical(rawActiveKey);
+  const autoKey = canonical(rawAutoKey);
+  const shown = candidates.filter((c) => !c.duplicateOf);
+  const auto = candidates.find((c) => c.key === autoKey);
+  const mostPieces = shown.reduce(
+    (m, c) => Math.max(m, c.layout.totalPieces),
+    -Infinity,
+  );
+  const fewestCuts = shown.reduce(
+    (m, c) => Math.min(m, c.cuts.cutCount),
+    Infinity,
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm text-gray-500">
+        <span>{shown.length} distinct layouts</span>
+        {activeKey !== autoKey && (
+          <button
+            onClick={() => onSelect(null)}
+            className="text-indigo-700 hover:underline"
+          >
+            Back to best
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        {shown.map((c) => {
+          const active = c.key === activeKey;
+          const dPieces = c.layout.totalPieces - auto.layout.totalPieces;
+          const dCuts = c.cuts.cutCount - auto.cuts.cutCount;
+          return (
+            <button
+              key={c.key}
+              onClick={() => onSelect(c.key === autoKey ? null : c.key)}
+              className={`text-left rounded-lg border p-2 space-y-2 ${
+                active
+                  ? "border-indigo-600 ring-2 ring-indigo-200"
+                  : "border-gray-200 hover:border-indigo-300"
+              }`}
+            >
+              <div className="h-28 bg-gray-50 rounded">
+                <SheetPreview
+                  sheetW={sheetW}
+                  sheetH={sheetH}
+                  layout={c.layout}
+                  margins={margins}
+                  bladeThickness={bladeThickness}
+                />
+              </div>
+              <div className="text-xs font-semibold">{c.label}</div>
+              <div className="flex flex-wrap gap-1 text-[10px]">
+                {c.key === autoKey && (
+                  <span className="px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700">
+                    best
+                  </span>
+                )}
+                {c.layout.totalPieces === mostPieces && (
+                  <span className="px-1.5 py-0.5 rounded bg-emerald-100 text-emerald-700">
+                    most pieces
+                  </span>
+                )}
+                {c.cuts.cutCount === fewestCuts && (
+                  <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-700">
+                    fewest cuts
+                  </span>
+                )}
+              </div>
+              <dl className="grid grid-cols-2 gap-x-2 text-xs">
+                <dt className="text-gray-500">Pieces</dt>
+                <dd className="text-right font-semibold">
+                  {c.layout.totalPieces}
+                  {c.key !== autoKey && dPieces !== 0 && (
+                    <span className="text-gray-400"> ({signed(dPieces)})</span>
+                  )}
+                </dd>
+                <dt className="text-gray-500">Waste</dt>
+                <dd className="text-right">
+                  {c.layout.wastePercent.toFixed(1)}%
+                </dd>
+                <dt className="text-gray-500">Cuts</dt>
+                <dd className="text-right">
+                  {c.cuts.cutCount}
+                  {c.key !== autoKey && dCuts !== 0 && (
+                    <span className="text-gray-400"> ({signed(dCuts)})</span>
+                  )}
+                </dd>
+                <dt className="text-gray-500">Complexity</dt>
+                <dd className="text-right">
+                  {c.cuts.rotations} rot · {c.cuts.stages} stacks
+                </dd>
+              </dl>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React from "react";
+
+/* Yield and waste of both levels: parent → press sheets → pieces */
+export default function ParentPlan({ summary, onShowParent, onShowPress }) {
+  const stat = (label, value) => (
+    <div className="rounded-lg bg-indigo-50 p-2">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-xl font-bold text-indigo-700">{value}</div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-3 gap-2 text-center">
+        {stat("Parents", summary.parentCount)}
+        {stat("Pieces / parent", summary.piecesPerParent)}
+        {stat("Total waste", `${summary.wastePercent.toFixed(2)}%`)}
+      </div>
+
+      {summary.perParent === 0 && (
+        <div className="text-red-600">
+          The press sheet does not fit on the parent sheet.
+        </div>
+      )}
+
+      <ul className="divide-y border rounded-lg">
+        <li>
+          <button
+            onClick={onShowParent}
+            className="w-full flex items-center justify-between px-3 py-2 text-left hover:bg-gray-50"
+          >
+            <span className="font-medium">Parent → press sheets</span>
+            <span className="text-gray-500">
+              {summary.perParent} per parent ·{" "}
+              {summary.parentWastePercent.toFixed(1)}% waste
+            </span>
+          </button>
+        </li>
+        <li>
+          <button
+            onClick={onShowPress}
+            className="w-full flex items-center justify-between px-3 py-2 text-left hover:bg-gray-50"
+          >
+            <span className="font-medium">Press sheet → pieces</span>
+            <span className="text-gray-500">
+              {summary.pressCount} press sheets ·{" "}
+              {summary.pressWastePercent.toFixed(1)}% waste
+            </span>
+          </button>
+        </li>
+      </ul>
+    </div>
+  );
+}
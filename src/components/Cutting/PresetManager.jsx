@@ -0,0 +1,208 @@
+import React, { useRef, useState } from "react";
+import { HiArrowDown, HiArrowUp, HiX } from "react-icons/hi";
+import DimensionInput from "./DimensionInput";
+import { downloadFile } from "./download";
+import {
+  STOCK_TYPES,
+  makePreset,
+  movePreset,
+  presetsFromJson,
+  presetsToJson,
+} from "./presets";
+import { unitOptions } from "../../engine/units";
+
+/* Create, edit, reorder and delete sheet presets; import / export as JSON */
+export default function PresetManager({
+  presets,
+  onChange,
+  onApply,
+  onReset,
+  onClose,
+  error,
+}) {
+  const fileRef = useRef(null);
+  const [importError, setImportError] = useState("");
+
+  const update = (id, patch) =>
+    onChange(presets.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+
+  const remove = (id) => onChange(presets.filter((p) => p.id !== id));
+
+  const add = (stock) =>
+    onChange([...presets, makePreset({ w: 20, h: 30, unit: "inch", stock })]);
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = presetsFromJson(await file.text());
+      const replace = window.confirm(
+        `Import ${imported.length} presets.\nOK replaces the current list, Cancel adds them to it.`,
+      );
+      onChange(replace ? imported : [...presets, ...imported]);
+      setImportError("");
+    } catch (e) {
+      setImportError(e.message);
+    }
+    fileRef.current.value = "";
+  };
+
+  const cellInput = "w-full border rounded px-2 py-1.5 text-sm";
+
+  return (
+    <div className="bg-white rounded-xl p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-lg font-semibold">Sheet presets</div>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <button
+            onClick={() =>
+              downloadFile(
+                presetsToJson(presets),
+                "cutpro-presets.json",
+                "application/json",
+              )
+            }
+            className="px-3 py-1.5 rounded border text-gray-700 hover:bg-gray-50"
+          >
+            Export JSON
+          </button>
+          <button
+            onClick={() => fileRef.current.click()}
+            className="px-3 py-1.5 rounded border text-gray-700 hover:bg-gray-50"
+          >
+            Import JSON
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => importFile(e.target.files[0])}
+          />
+          <button
+            onClick={() => {
+              if (window.confirm("Replace all presets with the defaults?"))
+                onReset();
+            }}
+            className="px-3 py-1.5 rounded border text-gray-700 hover:bg-gray-50"
+          >
+            Reset
+          </button>
+          <button
+            onClick={onClose}
+            className="px-3 py-1.5 rounded text-gray-500 hover:text-gray-700"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+
+      {(error || importError) && (
+        <div className="text-sm text-red-600">{importError || error}</div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {STOCK_TYPES.map((stock) => {
+          const list = presets.filter((p) => p.stock === stock);
+          return (
+            <div key={stock} className="space-y-2">
+              <div className="text-sm font-semibold capitalize">{stock}</div>
+              {list.map((p, i) => (
+                <div
+                  key={p.id}
+                  className="grid grid-cols-[1fr_56px_56px_64px_76px_auto] gap-1 items-center"
+                >
+                  <input
+                    value={p.label}
+                    onChange={(e) => update(p.id, { label: e.target.value })}
+                    placeholder="Name"
+                    aria-label="Preset name"
+                    className={cellInput}
+                  />
+                  {/* values are kept in the preset's own unit: numbers only,
+                      a unit typed after them (28") would be taken as mm */}
+                  <DimensionInput
+                    valueMm={p.w}
+                    unit="mm"
+                    units={false}
+                    onChange={(w) => update(p.id, { w })}
+                    className={cellInput}
+                    ariaLabel="Preset width"
+                  />
+                  <DimensionInput
+                    valueMm={p.h}
+                    unit="mm"
+                    units={false}
+                    onChange={(h) => update(p.id, { h })}
+                    className={cellInput}
+                    ariaLabel="Preset height"
+                  />
+                  <select
+                    value={p.unit}
+                    onChange={(e) => update(p.id, { unit: e.target.value })}
+                    className={cellInput}
+                    aria-label="Preset unit"
+                  >
+                    {unitOptions(p.unit).map((u) => (
+                      <option key={u} value={u}>
+                        {u}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={p.stock}
+                    onChange={(e) => update(p.id, { stock: e.target.value })}
+                    className={`${cellInput} capitalize`}
+                    aria-label="Stock type"
+                  >
+                    {STOCK_TYPES.map((s) => (
+                      <option key={s} value={s}>
+                        {s}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="flex items-center text-gray-500">
+                    <button
+                      onClick={() => onChange(movePreset(presets, p.id, -1))}
+                      disabled={i === 0}
+                      aria-label="Move up"
+                      className="p-1 hover:text-gray-800 disabled:opacity-30"
+                    >
+                      <HiArrowUp />
+                    </button>
+                    <button
+                      onClick={() => onChange(movePreset(presets, p.id, 1))}
+                      disabled={i === list.length - 1}
+                      aria-label="Move down"
+                      className="p-1 hover:text-gray-800 disabled:opacity-30"
+                    >
+                      <HiArrowDown />
+                    </button>
+                    <button
+                      onClick={() => onApply(p)}
+                      className="px-1 text-xs text-indigo-700 hover:underline"
+                    >
+                      Use
+                    </button>
+                    <button
+                      onClick={() => remove(p.id)}
+                      aria-label="Delete preset"
+                      className="p-1 hover:text-red-600"
+                    >
+                      <HiX />
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button
+                onClick={() => add(stock)}
+                className="text-sm text-indigo-700 hover:underline"
+              >
+                + Add {stock} preset
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import React from "react";
+import { HiX } from "react-icons/hi";
+import DimensionInput from "./DimensionInput";
+import { formatMoney, makeMaterial, selectedMaterial } from "./pricing";
+
+// Decimal input for money / percentages (DimensionInput with a 1:1 unit and
+// no unit suffixes)
+function AmountInput({ value, onChange, ariaLabel }) {
+  return (
+    <DimensionInput
+      valueMm={value}
+      unit="mm"
+      onChange={onChange}
+      className="mt-1 w-full border rounded px-3 py-2 text-base font-normal"
+      placeholder="0"
+      ariaLabel={ariaLabel}
+      emptyAsZero
+      units={false}
+    />
+  );
+}
+
+/* Material / labour / markup inputs and the live quote for the job */
+export default function PricingPanel({ pricing, onChange, quote }) {
+  const material = selectedMaterial(pricing);
+  const money = (v) => formatMoney(v, pricing.currency);
+
+  const set = (patch) => onChange({ ...pricing, ...patch });
+  const setMaterial = (patch) =>
+    set({
+      materials: pricing.materials.map((m) =>
+        m.id === material.id ? { ...m, ...patch } : m,
+      ),
+    });
+  const addMaterial = () => {
+    const m = makeMaterial({ name: "New material" });
+    set({ materials: [...pricing.materials, m], materialId: m.id });
+  };
+  const removeMaterial = () =>
+    set({
+      materials: pricing.materials.filter((m) => m.id !== material.id),
+      materialId: null,
+    });
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="grid grid-cols-2 gap-3 text-center">
+        <div className="rounded-lg bg-emerald-50 p-2">
+          <div className="text-xs text-gray-500">Per piece</div>
+          <div className="text-xl font-bold text-emerald-700">
+            {money(quote.costPerPiece)}
+          </div>
+        </div>
+        <div className="rounded-lg bg-emerald-50 p-2">
+          <div className="text-xs text-gray-500">Job total</div>
+          <div className="text-xl font-bold text-emerald-700">
+            {money(quote.total)}
+          </div>
+        </div>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-y-1">
+        <dt className="text-gray-500">
+          Material ({quote.sheets} {quote.sheets === 1 ? "sheet" : "sheets"})
+        </dt>
+        <dd className="text-right">{money(quote.materialCost)}</dd>
+        <dt className="text-gray-500 pl-3">of which waste</dt>
+        <dd className="text-right text-red-600">{money(quote.wasteCost)}</dd>
+        <dt className="text-gray-500">Labour ({quote.cuts} cuts)</dt>
+        <dd className="text-right">{money(quote.labourCost)}</dd>
+        <dt className="text-gray-500">Setup</dt>
+        <dd className="text-right">{money(quote.setupFee)}</dd>
+        <dt className="text-gray-500">Markup</dt>
+        <dd className="text-right">{money(quote.markup)}</dd>
+      </dl>
+
+      <div className="pt-3 border-t space-y-3">
+        <div className="flex items-end gap-2">
+          <label className="block font-medium flex-1">
+            Material
+            <select
+              value={material ? material.id : ""}
+              onChange={(e) => set({ materialId: e.target.value })}
+              className="mt-1 w-full border rounded px-3 py-2 font-normal"
+            >
+              {pricing.materials.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.name || "Unnamed"}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={addMaterial}
+            className="px-3 py-2 rounded border text-gray-700 hover:bg-gray-50"
+          >
+            + New
+          </button>
+        </div>
+
+        {material && (
+          <div className="grid grid-cols-[1fr_1fr_auto] gap-2 items-end">
+            <label className="block font-medium col-span-3">
+              Name
+              <input
+                value={material.name}
+                onChange={(e) => setMaterial({ name: e.target.value })}
+                className="mt-1 w-full border rounded px-3 py-2 font-normal"
+              />
+            </label>
+            <label className="block font-medium">
+              Priced
+              <select
+                value={material.mode}
+                onChange={(e) => setMaterial({ mode: e.target.value })}
+                className="mt-1 w-full border rounded px-3 py-2 font-normal"
+              >
+                <option value="sheet">per sheet</option>
+                <option value="area">per m²</option>
+              </select>
+            </label>
+            <label className="block font-medium">
+              Price ({pricing.currency})
+              <AmountInput
+                value={material.price}
+                onChange={(price) => setMaterial({ price })}
+                ariaLabel="Material price"
+              />
+            </label>
+            <button
+              onClick={removeMaterial}
+              aria-label="Delete material"
+              className="p-2 mb-1 text-gray-400 hover:text-red-600"
+            >
+              <HiX />
+            </button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block font-medium">
+            Per cut ({pricing.currency})
+            <AmountInput
+              value={pricing.costPerCut}
+              onChange={(costPerCut) => set({ costPerCut })}
+            />
+          </label>
+          <label className="block font-medium">
+            Setup ({pricing.currency})
+            <AmountInput
+              value={pricing.setupFee}
+              onChange={(setupFee) => set({ setupFee })}
+            />
+          </label>
+          <label className="block font-medium">
+            Markup (%)
+            <AmountInput
+              value={pricing.markupPercent}
+              onChange={(markupPercent) => set({ markupPercent })}
+            />
+          </label>
+          <label className="block font-medium">
+            Currency
+            <input
+              value={pricing.currency}
+              onChange={(e) => set({ currency: e.target.value.slice(0, 3) })}
+              className="mt-1 w-full border rounded px-3 py-2 text-base font-normal"
+            />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
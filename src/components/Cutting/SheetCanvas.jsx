@@ -0,0 +1,461 @@
+import React, { useEffect, useRef, useState } from "react";
+import { formatDimension } from "../../engine/dimension";
+import {
+  RULER_SIZE,
+  drawRulers,
+  drawSheet,
+  fitView,
+  pieceAt,
+  rowColOf,
+  wasteAt,
+} from "./canvasDraw";
+
+const NO_ZOOM = { k: 1, dx: 0, dy: 0 };
+const MAX_ZOOM = 400;
+// pointer travel (px) below which a press still counts as a click
+const CLICK_SLOP = 4;
+// distance (px) within which a dragged piece snaps to an edge
+const SNAP_PX = 8;
+
+// Box the sheet is fitted into; rulers take the top and left edge
+function fitFor(w, h, sheetW, sheetH, interactive) {
+  if (!interactive) return fitView(w, h, sheetW, sheetH);
+  const fit = fitView(w - RULER_SIZE, h - RULER_SIZE, sheetW, sheetH);
+  return { ...fit, x: fit.x + RULER_SIZE, y: fit.y + RULER_SIZE };
+}
+
+// Zoom by `factor` keeping the screen point (sx, sy) over the same spot
+function zoomAt(zoom, fit, sx, sy, factor) {
+  const k = Math.min(MAX_ZOOM, Math.max(1, zoom.k * factor));
+  if (k === 1) return NO_ZOOM;
+  const x = fit.x + zoom.dx;
+  const y = fit.y + zoom.dy;
+  const f = k / zoom.k;
+  return {
+    k,
+    dx: sx - (sx - x) * f - fit.x,
+    dy: sy - (sy - y) * f - fit.y,
+  };
+}
+
+/*
+ * Canvas drawing of one sheet; same props as SheetSvg plus `unit` (with
+ * `precision`, see formatDimension) and `interactive`. Redraws when the
+ * layout or the element's size changes, at the screen's pixel density.
+ * Interactive previews zoom (wheel, pinch), pan (drag), show rulers,
+ * measure what is under the pointer and inspect the clicked piece.
+ * `selected` / `onSelect` make the selection controlled; `editor`
+ * ({ tool: "move" | "defect", checkMove, onMove, onDefect }) turns dragging
+ * into moving pieces or drawing defect zones.
+ */
+export default function SheetCanvas({
+  sheetW,
+  sheetH,
+  layout,
+  margins,
+  bladeThickness,
+  cutPlan,
+  step,
+  onPieceClick,
+  unit = "mm",
+  precision,
+  interactive = false,
+  selected: selectedProp,
+  onSelect,
+  editor,
+}) {
+  const canvasRef = useRef(null);
+  const pointers = useRef(new Map());
+  const gesture = useRef({ moved: false, pinch: null });
+  const [size, setSize] = useState({ w: 0, h: 0 });
+  // zoom belongs to a sheet size, hover and selection to one layout; both
+  // reset when those change
+  const sheetKey = `${sheetW}x${sheetH}`;
+  const [zoomState, setZoomState] = useState({ key: sheetKey, ...NO_ZOOM });
+  const [hoverState, setHoverState] = useState({ layout, hover: null });
+  const [selectedState, setSelectedState] = useState({ layout, index: -1 });
+  // piece being dragged or defect zone being drawn (sheet mm)
+  const [draft, setDraft] = useState(null);
+  const zoom = zoomState.key === sheetKey ? zoomState : NO_ZOOM;
+  const hover = hoverState.layout === layout ? hoverState.hover : null;
+  const selected = onSelect
+    ? (selectedProp ?? -1)
+    : selectedState.layout === layout
+      ? selectedState.index
+      : -1;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setSize({ w: width, h: height });
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  const fit = fitFor(size.w, size.h, sheetW, sheetH, interactive);
+  const view = {
+    scale: fit.scale * zoom.k,
+    x: fit.x + zoom.dx,
+    y: fit.y + zoom.dy,
+  };
+  const hoverIndex = hover && hover.index !== undefined ? hover.index : -1;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext("2d");
+    if (!ctx || size.w === 0 || size.h === 0) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(size.w * dpr);
+    canvas.height = Math.round(size.h * dpr);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!(view.scale > 0)) return;
+    ctx.setTransform(
+      dpr * view.scale,
+      0,
+      0,
+      dpr * view.scale,
+      dpr * view.x,
+      dpr * view.y,
+    );
+    const px = 1 / view.scale;
+    drawSheet(ctx, {
+      sheetW,
+      sheetH,
+      layout,
+      margins,
+      bladeThickness,
+      cutPlan,
+      step,
+      px,
+    });
+    if (!interactive) return;
+
+    // hovered and selected piece outlines
+    const outline = (i, color, width) => {
+      const p = layout.pieces[i];
+      if (!p) return;
+      ctx.lineWidth = px * width;
+      ctx.strokeStyle = color;
+      ctx.strokeRect(p.x, p.y, p.w, p.h);
+    };
+    outline(hoverIndex, "#111827", 1.5);
+    outline(selected, "#4f46e5", 2.5);
+
+    // piece where it would be dropped (red when it does not fit) or the
+    // defect zone being drawn
+    if (draft) {
+      const red = draft.zone || draft.problem;
+      ctx.globalAlpha = 0.45;
+      ctx.fillStyle = red ? "#ef4444" : "#22c55e";
+      ctx.fillRect(draft.x, draft.y, draft.w, draft.h);
+      ctx.globalAlpha = 1;
+      ctx.lineWidth = px * 1.5;
+      ctx.strokeStyle = red ? "#b91c1c" : "#15803d";
+      ctx.strokeRect(draft.x, draft.y, draft.w, draft.h);
+    }
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    drawRulers(ctx, {
+      width: size.w,
+      height: size.h,
+      view: { scale: view.scale, x: view.x, y: view.y },
+      sheetW,
+      sheetH,
+      unit,
+    });
+  }, [
+    size,
+    view.scale,
+    view.x,
+    view.y,
+    sheetW,
+    sheetH,
+    layout,
+    margins,
+    bladeThickness,
+    cutPlan,
+    step,
+    interactive,
+    hoverIndex,
+    selected,
+    draft,
+    unit,
+  ]);
+
+  // wheel zoom about the cursor; registered by hand so the page does not
+  // scroll along (React's wheel listener is passive)
+  useEffect(() => {
+    if (!interactive) return;
+    const canvas = canvasRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const box = canvas.getBoundingClientRect();
+      const boxFit = fitFor(box.width, box.height, sheetW, sheetH, true);
+      const factor = Math.exp(-e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.002));
+      setZoomState((z) => ({
+        key: sheetKey,
+        ...zoomAt(
+          z.key === sheetKey ? z : NO_ZOOM,
+          boxFit,
+          e.clientX - box.left,
+          e.clientY - box.top,
+          factor,
+        ),
+      }));
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, [interactive, sheetKey, sheetW, sheetH]);
+
+  // pointer position in screen px and sheet mm
+  const locate = (e) => {
+    const box = canvasRef.current.getBoundingClientRect();
+    const sx = e.clientX - box.left;
+    const sy = e.clientY - box.top;
+    return {
+      sx,
+      sy,
+      x: (sx - view.x) / view.scale,
+      y: (sy - view.y) / view.scale,
+    };
+  };
+
+  const setZoom = (next) => setZoomState({ key: sheetKey, ...next });
+  // several moves can arrive before a re-render, so build on the latest zoom
+  const updateZoom = (change) =>
+    setZoomState((z) => ({
+      key: sheetKey,
+      ...change(z.key === sheetKey ? z : NO_ZOOM),
+    }));
+
+  const handlePointerDown = (e) => {
+    if (!interactive) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const pos = locate(e);
+    const { sx, sy } = pos;
+    pointers.current.set(e.pointerId, { sx, sy });
+    if (pointers.current.size === 1) {
+      gesture.current = { moved: false, pinch: null, start: pos };
+      // an unlocked piece is picked up, otherwise the drag pans
+      if (editor && editor.tool === "move" && view.scale > 0) {
+        const i = pieceAt(layout, pos.x, pos.y);
+        const p = layout.pieces[i];
+        if (p && !p.locked) {
+          gesture.current.drag = { index: i, dx: pos.x - p.x, dy: pos.y - p.y };
+        }
+      }
+      if (editor && editor.tool === "defect") gesture.current.zone = true;
+    } else {
+      // a second finger turns any drag into a pinch
+      gesture.current.drag = null;
+      gesture.current.zone = false;
+      setDraft(null);
+    }
+    setHoverState({ layout, hover: null });
+  };
+
+  const updateHover = (pos) => {
+    if (!(view.scale > 0)) return;
+    const i = pieceAt(layout, pos.x, pos.y);
+    const rect = i >= 0 ? layout.pieces[i] : wasteAt(layout, pos.x, pos.y);
+    setHoverState({
+      layout,
+      hover: rect
+        ? {
+            index: i >= 0 ? i : undefined,
+            rect,
+            sx: pos.sx,
+            sy: pos.sy,
+          }
+        : null,
+    });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!interactive) return;
+    const pos = locate(e);
+    const down = pointers.current;
+    if (!down.has(e.pointerId)) {
+      if (e.pointerType === "mouse") updateHover(pos);
+      return;
+    }
+    const last = down.get(e.pointerId);
+    down.set(e.pointerId, { sx: pos.sx, sy: pos.sy });
+    const g = gesture.current;
+    if (
+      g.start &&
+      Math.hypot(pos.sx - g.start.sx, pos.sy - g.start.sy) > CLICK_SLOP
+    ) {
+      g.moved = true;
+    }
+
+    if (down.size === 1) {
+      if (!g.moved) return;
+      if (g.drag) {
+        const p = layout.pieces[g.drag.index];
+        const at = editor.checkMove(
+          g.drag.index,
+          pos.x - g.drag.dx,
+          pos.y - g.drag.dy,
+          SNAP_PX / view.scale,
+        );
+        g.draft = { ...at, w: p.w, h: p.h };
+        setDraft(g.draft);
+        return;
+      }
+      if (g.zone) {
+        g.draft = {
+          x: Math.min(g.start.x, pos.x),
+          y: Math.min(g.start.y, pos.y),
+          w: Math.abs(pos.x - g.start.x),
+          h: Math.abs(pos.y - g.start.y),
+          zone: true,
+        };
+        setDraft(g.draft);
+        return;
+      }
+      updateZoom((z) => ({
+        k: z.k,
+        dx: z.dx + pos.sx - last.sx,
+        dy: z.dy + pos.sy - last.sy,
+      }));
+      return;
+    }
+    // two fingers: zoom by the change in their distance, pan with the middle
+    const [a, b] = [...down.values()];
+    const dist = Math.hypot(a.sx - b.sx, a.sy - b.sy);
+    const mid = { sx: (a.sx + b.sx) / 2, sy: (a.sy + b.sy) / 2 };
+    g.moved = true;
+    if (g.pinch && g.pinch.dist > 0) {
+      const { dist: from, mid: prev } = g.pinch;
+      updateZoom((z) => {
+        const zoomed = zoomAt(z, fit, mid.sx, mid.sy, dist / from);
+        if (zoomed.k === 1) return NO_ZOOM;
+        return {
+          ...zoomed,
+          dx: zoomed.dx + mid.sx - prev.sx,
+          dy: zoomed.dy + mid.sy - prev.sy,
+        };
+      });
+    }
+    g.pinch = { dist, mid };
+  };
+
+  const handlePointerUp = (e) => {
+    const g = gesture.current;
+    pointers.current.delete(e.pointerId);
+    g.pinch = null;
+    if (g.draft && e.type === "pointerup") {
+      if (g.drag && !g.draft.problem) {
+        editor.onMove(g.drag.index, g.draft.x, g.draft.y);
+      } else if (g.zone) {
+        editor.onDefect(g.draft);
+      }
+    }
+    g.drag = null;
+    g.zone = false;
+    g.draft = null;
+    setDraft(null);
+  };
+
+  const handleClick = (e) => {
+    if (gesture.current.moved) {
+      gesture.current.moved = false;
+      return;
+    }
+    if (!(view.scale > 0)) return;
+    const pos = locate(e);
+    const i = pieceAt(layout, pos.x, pos.y);
+    if (onPieceClick) {
+      if (i >= 0) onPieceClick(i);
+      return;
+    }
+    if (onSelect) onSelect(i);
+    else if (interactive) setSelectedState({ layout, index: i });
+  };
+
+  const fmt = (mm) => formatDimension(mm, unit, precision);
+  const measure = (r) =>
+    `${fmt(r.x)}, ${fmt(r.y)} · ${fmt(r.w)} × ${fmt(r.h)} ${unit}`;
+  const picked = layout.pieces[selected];
+  const place = picked ? rowColOf(layout, selected) : null;
+
+  const cursor = onPieceClick
+    ? "cursor-pointer"
+    : editor && editor.tool === "move"
+      ? "cursor-grab"
+      : interactive
+        ? "cursor-crosshair"
+        : "";
+
+  const canvas = (
+    <canvas
+      ref={canvasRef}
+      onClick={handleClick}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onPointerLeave={() => hover && setHoverState({ layout, hover: null })}
+      className={`block w-full h-full ${cursor} ${
+        interactive ? "touch-none" : ""
+      }`}
+    />
+  );
+  if (!interactive) return canvas;
+
+  return (
+    <div className="relative w-full h-full overflow-hidden select-none">
+      {canvas}
+
+      {hover && (
+        <div
+          className="absolute pointer-events-none rounded bg-gray-900/85 text-white text-[11px] px-1.5 py-0.5 whitespace-nowrap"
+          style={{
+            left: Math.min(hover.sx + 12, Math.max(0, size.w - 200)),
+            top: hover.sy + 14,
+          }}
+        >
+          {hover.index !== undefined ? `Piece #${hover.index + 1}` : "Waste"}
+          {" · "}
+          {measure(hover.rect)}
+        </div>
+      )}
+
+      {picked && (
+        <div className="absolute left-6 bottom-1 right-1 flex items-center gap-2 rounded bg-white/95 border border-indigo-200 text-xs text-gray-700 px-2 py-1 shadow-sm">
+          <span className="font-semibold text-indigo-700">
+            Piece #{selected + 1}
+          </span>
+          <span>
+            row {place.row}, col {place.col}
+          </span>
+          <span className="text-gray-500 truncate">{measure(picked)}</span>
+          <button
+            type="button"
+            onClick={() =>
+              onSelect ? onSelect(-1) : setSelectedState({ layout, index: -1 })
+            }
+            className="ml-auto text-gray-400 hover:text-gray-700"
+            aria-label="Close piece details"
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      {(zoom.k !== 1 || zoom.dx !== 0 || zoom.dy !== 0) && (
+        <button
+          type="button"
+          onClick={() => setZoom(NO_ZOOM)}
+          className="absolute top-6 right-1 rounded border border-gray-300 bg-white/95 px-2 py-0.5 text-xs text-gray-700 hover:bg-gray-50"
+        >
+          Fit ({Math.round(zoom.k * 100)}%)
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from "react";
+import SheetCanvas from "./SheetCanvas";
+import SheetSvg from "./SheetSvg";
+
+let canvasSupport = null;
+
+// Canvas 2D is checked once; without it (old browsers, server rendering)
+// the SVG drawing is used instead
+function canCanvas() {
+  if (canvasSupport === null) {
+    canvasSupport =
+      typeof document !== "undefined" &&
+      typeof ResizeObserver !== "undefined" &&
+      !!document.createElement("canvas").getContext?.("2d");
+  }
+  return canvasSupport;
+}
+
+/* One sheet with its pieces, drawn on a canvas so any piece count renders
+   in full. Props: sheetW, sheetH, layout, margins, bladeThickness, cutPlan,
+   step (highlighted cut), onPieceClick, unit, precision and interactive
+   (zoom, pan, rulers and piece details; canvas only). */
+export default function SheetPreview(props) {
+  return canCanvas() ? <SheetCanvas {...props} /> : <SheetSvg {...props} />;
+}
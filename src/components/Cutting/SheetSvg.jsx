@@ -0,0 +1,213 @@
+import React from "react";
+import { usableArea } from "../../engine/margins";
+import { cropMarkLines } from "../../engine/imposition";
+import { pieceColor } from "./palette";
+
+// Centre line of a cut, clipped to the stack it is made in
+function cutLine(step, kerf) {
+  const { stack } = step;
+  const c = step.at + kerf / 2;
+  return step.axis === "x"
+    ? { x1: c, y1: stack.y, x2: c, y2: stack.y + stack.h }
+    : { x1: stack.x, y1: c, x2: stack.x + stack.w, y2: c };
+}
+
+/* SVG drawing of one sheet: margins, waste, pieces (with bleed boxes and
+   crop marks when imposed), cut lines and the highlighted step of the cut
+   sequence (if any). `onPieceClick` makes pieces clickable. Used where
+   canvas is not available; one element per piece. */
+export default function SheetSvg({
+  sheetW,
+  sheetH,
+  layout,
+  margins,
+  bladeThickness,
+  cutPlan,
+  step,
+  onPieceClick,
+}) {
+  const minDim = Math.max(1, Math.min(sheetW, sheetH));
+  const strokeWidth = Math.max(0.12, Math.min(3, minDim / 200));
+  const kerf = Math.max(0, bladeThickness);
+  const highlighted = new Set(step ? step.pieceIndices : []);
+  const bleed = layout.bleed || 0;
+
+  return (
+    <svg
+      viewBox={`0 0 ${Math.max(1, Math.round(sheetW))} ${Math.max(
+        1,
+        Math.round(sheetH),
+      )}`}
+      preserveAspectRatio="xMidYMid meet"
+      className="w-full h-full"
+    >
+      {/* sheet background */}
+      <rect x={0} y={0} width={sheetW} height={sheetH} fill="#ffffff" />
+
+      {/* trim / gripper margins (grey frame) */}
+      {(margins.top > 0 ||
+        margins.right > 0 ||
+        margins.bottom > 0 ||
+        margins.left > 0) &&
+        (() => {
+          const area = usableArea(sheetW, sheetH, margins);
+          return (
+            <path
+              d={`M0 0H${sheetW}V${sheetH}H0Z M${area.x} ${area.y}v${area.h}h${area.w}v${-area.h}Z`}
+              fill="#cbd5e1"
+              fillRule="evenodd"
+              opacity="0.6"
+            />
+          );
+        })()}
+
+      {/* waste strips (light red) */}
+      {[
+        layout.rightStrip,
+        layout.bottomStrip,
+        ...(layout.wasteRects || []),
+      ].map(
+        (strip, i) =>
+          strip && (
+            <rect
+              key={i}
+              x={strip.x}
+              y={strip.y}
+              width={strip.w}
+              height={strip.h}
+              fill="#fecaca"
+              opacity="0.35"
+            />
+          ),
+      )}
+
+      {/* bleed boxes (printed area around each trim box) */}
+      {bleed > 0 &&
+        layout.pieces.map((p, idx) => {
+          const color = pieceColor(p);
+          return (
+            <rect
+              key={idx}
+              x={p.x - bleed}
+              y={p.y - bleed}
+              width={p.w + 2 * bleed}
+              height={p.h + 2 * bleed}
+              fill={color.fill}
+              stroke={color.stroke}
+              strokeWidth={Math.max(0.08, strokeWidth * 0.3)}
+              strokeDasharray={strokeWidth * 2}
+              opacity="0.45"
+            />
+          );
+        })}
+
+      {/* pieces (trim boxes) */}
+      {layout.pieces.map((p, idx) => {
+        const color = pieceColor(p);
+        const isHit = highlighted.has(idx);
+        return (
+          <rect
+            key={idx}
+            x={p.x}
+            y={p.y}
+            width={p.w}
+            height={p.h}
+            fill={color.fill}
+            stroke={isHit ? "#b45309" : color.stroke}
+            strokeWidth={
+              isHit
+                ? strokeWidth * 2
+                : Math.max(0.12, strokeWidth * (p.rotated ? 0.9 : 0.8))
+            }
+            opacity={step && !isHit ? 0.55 : 1}
+            onClick={onPieceClick ? () => onPieceClick(idx) : undefined}
+            className={onPieceClick ? "cursor-pointer" : undefined}
+          />
+        );
+      })}
+
+      {/* defect zones and locked pieces from manual edits */}
+      {(layout.defects || []).map((d, i) => (
+        <rect
+          key={i}
+          x={d.x}
+          y={d.y}
+          width={d.w}
+          height={d.h}
+          fill="#ef4444"
+          fillOpacity="0.3"
+          stroke="#b91c1c"
+          strokeWidth={strokeWidth}
+        />
+      ))}
+      {layout.pieces.map(
+        (p, idx) =>
+          p.locked && (
+            <rect
+              key={idx}
+              x={p.x}
+              y={p.y}
+              width={p.w}
+              height={p.h}
+              fill="none"
+              stroke="#111827"
+              strokeWidth={strokeWidth * 1.5}
+              strokeDasharray={strokeWidth * 3}
+            />
+          ),
+      )}
+
+      {/* crop marks outside the imposed block */}
+      {cropMarkLines(layout).map((l, i) => (
+        <line
+          key={i}
+          {...l}
+          stroke="#111827"
+          strokeWidth={Math.max(0.1, strokeWidth * 0.4)}
+        />
+      ))}
+
+      {/* dashed cut-lines (thin) */}
+      {cutPlan &&
+        cutPlan.steps.map((s) => (
+          <line
+            key={s.index}
+            {...cutLine(s, kerf)}
+            stroke="#94a3b8"
+            strokeWidth={Math.max(0.08, strokeWidth * 0.2)}
+            strokeDasharray="3"
+            opacity="0.5"
+          />
+        ))}
+
+      {/* current step of the cut sequence */}
+      {step && (
+        <g>
+          <rect
+            x={step.stack.x}
+            y={step.stack.y}
+            width={step.stack.w}
+            height={step.stack.h}
+            fill="none"
+            stroke="#4f46e5"
+            strokeWidth={strokeWidth * 1.5}
+            strokeDasharray={strokeWidth * 6}
+          />
+          <rect
+            x={step.cutOff.x}
+            y={step.cutOff.y}
+            width={step.cutOff.w}
+            height={step.cutOff.h}
+            fill="#fbbf24"
+            opacity="0.3"
+          />
+          <line
+            {...cutLine(step, kerf)}
+            stroke="#dc2626"
+            strokeWidth={Math.max(strokeWidth * 1.5, kerf)}
+          />
+        </g>
+      )}
+    </svg>
+  );
+}
@@ -0,0 +1,326 @@
+/* ===== Canvas 2D drawing of one sheet (preview) ===== */
+// Everything is drawn in sheet mm; the caller sets the transform and passes
+// `px`, the size of one screen pixel in mm. Pieces are batched into one
+// path per colour so even 50k+ pieces draw in a single pass.
+
+import { cropMarkLines } from "../../engine/imposition.js";
+import { usableArea } from "../../engine/margins.js";
+import { toDisplay, unitFactor } from "../../engine/units.js";
+import { pieceColor } from "./palette.js";
+
+// Pieces smaller than this on screen (px) are drawn without outlines
+const MIN_OUTLINED = 4;
+
+// Paths are cached per pieces / steps array, so redrawing the same layout
+// (resize, highlighted step) does not rebuild them
+const pieceCache = new WeakMap();
+const cutCache = new WeakMap();
+
+function rectsByColor(pieces, grow = 0) {
+  let byGrow = pieceCache.get(pieces);
+  if (!byGrow) {
+    byGrow = new Map();
+    pieceCache.set(pieces, byGrow);
+  }
+  if (byGrow.has(grow)) return byGrow.get(grow);
+  const groups = new Map();
+  pieces.forEach((p) => {
+    const color = pieceColor(p);
+    const key = `${color.fill}|${color.stroke}`;
+    let g = groups.get(key);
+    if (!g) {
+      g = { color, path: new Path2D() };
+      groups.set(key, g);
+    }
+    g.path.rect(p.x - grow, p.y - grow, p.w + 2 * grow, p.h + 2 * grow);
+  });
+  const list = [...groups.values()];
+  byGrow.set(grow, list);
+  return list;
+}
+
+function cutLinePath(steps, kerf) {
+  const cached = cutCache.get(steps);
+  if (cached && cached.kerf === kerf) return cached.path;
+  const path = new Path2D();
+  for (const s of steps) {
+    const c = s.at + kerf / 2;
+    if (s.axis === "x") {
+      path.moveTo(c, s.stack.y);
+      path.lineTo(c, s.stack.y + s.stack.h);
+    } else {
+      path.moveTo(s.stack.x, c);
+      path.lineTo(s.stack.x + s.stack.w, c);
+    }
+  }
+  cutCache.set(steps, { kerf, path });
+  return path;
+}
+
+export function drawSheet(
+  ctx,
+  { sheetW, sheetH, layout, margins, bladeThickness, cutPlan, step, px },
+) {
+  const kerf = Math.max(0, bladeThickness || 0);
+  const pieces = layout.pieces;
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, sheetW, sheetH);
+
+  // trim / gripper margins (grey frame)
+  if (
+    margins.top > 0 ||
+    margins.right > 0 ||
+    margins.bottom > 0 ||
+    margins.left > 0
+  ) {
+    const area = usableArea(sheetW, sheetH, margins);
+    const frame = new Path2D();
+    frame.rect(0, 0, sheetW, sheetH);
+    frame.rect(area.x, area.y, area.w, area.h);
+    ctx.globalAlpha = 0.6;
+    ctx.fillStyle = "#cbd5e1";
+    ctx.fill(frame, "evenodd");
+  }
+
+  // waste strips (light red)
+  ctx.globalAlpha = 0.35;
+  ctx.fillStyle = "#fecaca";
+  for (const r of [
+    layout.rightStrip,
+    layout.bottomStrip,
+    ...(layout.wasteRects || []),
+  ]) {
+    if (r) ctx.fillRect(r.x, r.y, r.w, r.h);
+  }
+
+  // outlines only when a typical piece is big enough on screen to show them
+  const sample = pieces[0];
+  const outlined = sample && Math.min(sample.w, sample.h) / px >= MIN_OUTLINED;
+
+  // bleed boxes
+  const bleed = layout.bleed || 0;
+  if (bleed > 0) {
+    ctx.globalAlpha = 0.45;
+    ctx.lineWidth = px * 0.5;
+    ctx.setLineDash(outlined ? [px * 3, px * 3] : []);
+    for (const { color, path } of rectsByColor(pieces, bleed)) {
+      ctx.fillStyle = color.fill;
+      ctx.fill(path);
+      if (outlined) {
+        ctx.strokeStyle = color.stroke;
+        ctx.stroke(path);
+      }
+    }
+    ctx.setLineDash([]);
+  }
+
+  // pieces (trim boxes); the current step's pieces on top, highlighted
+  const hit = step ? step.pieceIndices : [];
+  ctx.globalAlpha = step ? 0.55 : 1;
+  ctx.lineWidth = px;
+  for (const { color, path } of rectsByColor(pieces)) {
+    ctx.fillStyle = color.fill;
+    ctx.fill(path);
+    if (outlined) {
+      ctx.strokeStyle = color.stroke;
+      ctx.stroke(path);
+    }
+  }
+  if (hit.length > 0) {
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = px * 2;
+    ctx.strokeStyle = "#b45309";
+    for (const i of hit) {
+      const p = pieces[i];
+      ctx.fillStyle = pieceColor(p).fill;
+      ctx.fillRect(p.x, p.y, p.w, p.h);
+      ctx.strokeRect(p.x, p.y, p.w, p.h);
+    }
+  }
+
+  // defect zones (hatched) and locked pieces from manual edits
+  const defects = layout.defects || [];
+  if (defects.length > 0) {
+    const zones = new Path2D();
+    const hatch = new Path2D();
+    const gap = px * 8;
+    for (const d of defects) {
+      zones.rect(d.x, d.y, d.w, d.h);
+      for (let t = gap; t < d.w + d.h; t += gap) {
+        hatch.moveTo(d.x + Math.max(0, t - d.h), d.y + Math.min(t, d.h));
+        hatch.lineTo(d.x + Math.min(t, d.w), d.y + Math.max(0, t - d.w));
+      }
+    }
+    ctx.globalAlpha = 0.25;
+    ctx.fillStyle = "#ef4444";
+    ctx.fill(zones);
+    ctx.globalAlpha = 0.8;
+    ctx.lineWidth = px;
+    ctx.strokeStyle = "#b91c1c";
+    ctx.stroke(hatch);
+    ctx.lineWidth = px * 1.5;
+    ctx.stroke(zones);
+  }
+  const locked = pieces.filter((p) => p.locked);
+  if (locked.length > 0) {
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = px * 2;
+    ctx.strokeStyle = "#111827";
+    ctx.setLineDash([px * 4, px * 2]);
+    for (const p of locked) ctx.strokeRect(p.x, p.y, p.w, p.h);
+    ctx.setLineDash([]);
+  }
+
+  // crop marks outside the imposed block
+  const marks = cropMarkLines(layout);
+  if (marks.length > 0) {
+    const path = new Path2D();
+    for (const l of marks) {
+      path.moveTo(l.x1, l.y1);
+      path.lineTo(l.x2, l.y2);
+    }
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = px;
+    ctx.strokeStyle = "#111827";
+    ctx.stroke(path);
+  }
+
+  // dashed cut lines (thin)
+  if (cutPlan && cutPlan.steps.length > 0) {
+    ctx.globalAlpha = 0.5;
+    ctx.lineWidth = px * 0.75;
+    ctx.strokeStyle = "#94a3b8";
+    ctx.setLineDash([px * 3, px * 3]);
+    ctx.stroke(cutLinePath(cutPlan.steps, kerf));
+    ctx.setLineDash([]);
+  }
+
+  // current step of the cut sequence
+  if (step) {
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = px * 2;
+    ctx.strokeStyle = "#4f46e5";
+    ctx.setLineDash([px * 8, px * 8]);
+    ctx.strokeRect(step.stack.x, step.stack.y, step.stack.w, step.stack.h);
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 0.3;
+    ctx.fillStyle = "#fbbf24";
+    ctx.fillRect(step.cutOff.x, step.cutOff.y, step.cutOff.w, step.cutOff.h);
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = Math.max(px * 2, kerf);
+    ctx.strokeStyle = "#dc2626";
+    ctx.stroke(cutLinePath([step], kerf));
+  }
+
+  ctx.globalAlpha = 1;
+  // sheet outline
+  ctx.lineWidth = px;
+  ctx.strokeStyle = "#94a3b8";
+  ctx.strokeRect(0, 0, sheetW, sheetH);
+}
+
+// Index of the piece under a sheet position, or -1 (topmost wins)
+export function pieceAt(layout, x, y) {
+  const pieces = layout.pieces;
+  for (let i = pieces.length - 1; i >= 0; i--) {
+    const p = pieces[i];
+    if (x >= p.x && x <= p.x + p.w && y >= p.y && y <= p.y + p.h) return i;
+  }
+  return -1;
+}
+
+// Scale and offset that fit the sheet into a box, centred (like SVG "meet")
+export function fitView(boxW, boxH, sheetW, sheetH) {
+  const scale = Math.min(
+    boxW / Math.max(1, sheetW),
+    boxH / Math.max(1, sheetH),
+  );
+  return {
+    scale,
+    x: (boxW - sheetW * scale) / 2,
+    y: (boxH - sheetH * scale) / 2,
+  };
+}
+
+// Waste strip under a sheet position, or null
+export function wasteAt(layout, x, y) {
+  const strips = [
+    layout.rightStrip,
+    layout.bottomStrip,
+    ...(layout.wasteRects || []),
+  ];
+  return (
+    strips.find(
+      (r) => r && x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h,
+    ) || null
+  );
+}
+
+/* ===== Rulers (screen pixels) ===== */
+export const RULER_SIZE = 20;
+
+// 1, 2 or 5 times a power of ten, at least `min`
+function niceStep(min) {
+  const p = 10 ** Math.floor(Math.log10(min));
+  return [1, 2, 5, 10].map((m) => m * p).find((s) => s >= min);
+}
+
+// Rulers along the top and left edge, measured from the sheet's top-left
+// corner in `unit`; the caller's transform is device pixels only
+export function drawRulers(ctx, { width, height, view, sheetW, sheetH, unit }) {
+  const factor = unitFactor(unit) || 1;
+  const pxPerUnit = view.scale * factor;
+  if (!(pxPerUnit > 0)) return;
+  const step = niceStep(60 / pxPerUnit);
+  const minor = step / 5;
+
+  ctx.fillStyle = "rgba(248, 250, 252, 0.92)";
+  ctx.fillRect(0, 0, width, RULER_SIZE);
+  ctx.fillRect(0, 0, RULER_SIZE, height);
+  ctx.strokeStyle = "#94a3b8";
+  ctx.fillStyle = "#475569";
+  ctx.lineWidth = 1;
+  ctx.font = "10px sans-serif";
+
+  const ticks = (origin, length, max, draw) => {
+    const from = Math.max(0, Math.floor(-origin / pxPerUnit / minor));
+    for (let i = from; i * minor <= max / factor + 1e-9; i++) {
+      const pos = origin + i * minor * pxPerUnit;
+      if (pos > length) break;
+      if (pos >= RULER_SIZE) draw(pos, i % 5 === 0, i * minor);
+    }
+  };
+
+  const path = new Path2D();
+  ticks(view.x, width, sheetW, (pos, major, value) => {
+    path.moveTo(pos + 0.5, RULER_SIZE);
+    path.lineTo(pos + 0.5, major ? 4 : RULER_SIZE - 5);
+    if (major) ctx.fillText(toDisplay(value * factor, unit), pos + 3, 11);
+  });
+  ticks(view.y, height, sheetH, (pos, major, value) => {
+    path.moveTo(RULER_SIZE, pos + 0.5);
+    path.lineTo(major ? 4 : RULER_SIZE - 5, pos + 0.5);
+    if (major) {
+      ctx.save();
+      ctx.translate(11, pos - 3);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText(toDisplay(value * factor, unit), 0, 0);
+      ctx.restore();
+    }
+  });
+  ctx.stroke(path);
+}
+
+// 1-based row and column of a piece, counting distinct piece positions
+// from the top-left
+export function rowColOf(layout, index) {
+  const p = layout.pieces[index];
+  const rows = new Set();
+  const cols = new Set();
+  for (const q of layout.pieces) {
+    if (q.y < p.y - 0.01) rows.add(Math.round(q.y * 100));
+    if (q.x < p.x - 0.01) cols.add(Math.round(q.x * 100));
+  }
+  return { row: rows.size + 1, col: cols.size + 1 };
+}
@@ -0,0 +1,305 @@
+/* ===== Saved Cutting Center configuration ===== */
+// The inputs a job needs to be reproduced: every length is stored in mm so a
+// job reopens identically whatever unit was active when it was saved.
+
+import { PIECE_GRAINS, SHEET_GRAINS } from "../../engine/grain.js";
+import { NO_IMPOSITION } from "../../engine/imposition.js";
+import { NO_MARGINS } from "../../engine/margins.js";
+import { makeCutListRow } from "../../engine/nesting.js";
+import { UNIT_FACTORS, isUnit, toMM } from "../../engine/units.js";
+
+export const DEFAULT_CONFIG = {
+  unit: "inch",
+  sheetWmm: toMM(25, "inch"),
+  sheetHmm: toMM(35.5, "inch"),
+  cutWmm: toMM(5, "inch"),
+  cutHmm: toMM(7, "inch"),
+  enableRotation: true,
+  sheetGrain: "none",
+  pieceGrain: "any",
+  algorithm: "grid",
+  mode: "single",
+  cutList: [
+    { wmm: toMM(3.5, "inch"), hmm: toMM(2, "inch"), qty: 20 },
+    { wmm: toMM(6, "inch"), hmm: toMM(4, "inch"), qty: 6 },
+    { wmm: 148, hmm: 210, qty: 2 },
+  ],
+  targetQty: "",
+  margins: NO_MARGINS,
+  bladeThickness: 0,
+  imposition: NO_IMPOSITION,
+  // two-level planning: the sheet above is the parent, cut into press sheets
+  press: { enabled: false, wmm: toMM(25, "inch"), hmm: toMM(17.75, "inch") },
+};
+
+// finite only: Infinity passes `> 0` and would lay out without end
+const isPositive = (v) => Number.isFinite(Number(v)) && Number(v) > 0;
+const isNonNegative = (v) => Number.isFinite(Number(v)) && Number(v) >= 0;
+const positive = (v, fallback) => (isPositive(v) ? Number(v) : fallback);
+const nonNegative = (v) => (isNonNegative(v) ? Number(v) : 0);
+
+// Fill in defaults and drop anything malformed (old or hand-edited data)
+export function normalizeConfig(raw) {
+  const c = raw && typeof raw === "object" ? raw : {};
+  const d = DEFAULT_CONFIG;
+  const m = c.margins && typeof c.margins === "object" ? c.margins : {};
+  const imp =
+    c.imposition && typeof c.imposition === "object" ? c.imposition : {};
+  const press = c.press && typeof c.press === "object" ? c.press : {};
+  const rows = Array.isArray(c.cutList)
+    ? c.cutList.filter((r) => r && isPositive(r.wmm) && isPositive(r.hmm))
+    : d.cutList;
+
+  return {
+    unit: isUnit(c.unit) ? c.unit : d.unit,
+    sheetWmm: positive(c.sheetWmm, d.sheetWmm),
+    sheetHmm: positive(c.sheetHmm, d.sheetHmm),
+    cutWmm: positive(c.cutWmm, d.cutWmm),
+    cutHmm: positive(c.cutHmm, d.cutHmm),
+    enableRotation:
+      typeof c.enableRotation === "boolean"
+        ? c.enableRotation
+        : d.enableRotation,
+    sheetGrain: SHEET_GRAINS.includes(c.sheetGrain) ? c.sheetGrain : "none",
+    pieceGrain: PIECE_GRAINS.includes(c.pieceGrain) ? c.pieceGrain : "any",
+    algorithm: c.algorithm === "recursive" ? "recursive" : "grid",
+    mode: c.mode === "list" ? "list" : "single",
+    cutList: rows.map((r) => ({
+      wmm: Number(r.wmm),
+      hmm: Number(r.hmm),
+      qty: Math.max(1, Math.floor(Number(r.qty)) || 1),
+      allowRotation: r.allowRotation !== false,
+      grain: PIECE_GRAINS.includes(r.grain) ? r.grain : "any",
+      label: typeof r.label === "string" ? r.label.trim() : "",
+    })),
+    targetQty: Number(c.targetQty) > 0 ? String(Math.floor(c.targetQty)) : "",
+    margins: {
+      top: nonNegative(m.top),
+      right: nonNegative(m.right),
+      bottom: nonNegative(m.bottom),
+      left: nonNegative(m.left),
+    },
+    bladeThickness: nonNegative(c.bladeThickness),
+    imposition: {
+      bleed: nonNegative(imp.bleed),
+      gutter: nonNegative(imp.gutter),
+      cropMarks: nonNegative(imp.cropMarks),
+    },
+    press: {
+      enabled: press.enabled === true,
+      wmm: positive(press.wmm, d.press.wmm),
+      hmm: positive(press.hmm, d.press.hmm),
+    },
+  };
+}
+
+// Editable cut-list rows (with ids) from a config's plain rows
+export function cutListRows(config) {
+  return config.cutList.map((r) =>
+    makeCutListRow(r.wmm, r.hmm, r.qty, r.allowRotation, r.grain, r.label),
+  );
+}
+
+/* ===== Shareable URL (query string) ===== */
+// sheet=635x901.7&cut=127x177.8&unit=inch&rot=1&margins=t,r,b,l&kerf=3
+// &grain=horizontal&pgrain=along&bleed=3&gutter=6&marks=5&press=635x450.85
+// (press sheets cut from the sheet); list rows are WxHxQTY plus n (no
+// rotation), a / c (grain along / across) and ~label (URI-encoded)
+// lengths are mm so a link reproduces the layout exactly in any unit
+
+// 12 significant digits: sizes converted from inches, points or pixels stay
+// within the layout engine's fit tolerance, so a piece right at the fit
+// boundary still fits when the link is opened
+const mmParam = (v) => String(Number(v.toPrecision(12)));
+
+const ROW_GRAIN_FLAGS = { any: "", along: "a", across: "c" };
+
+const IMPOSITION_PARAMS = [
+  ["bleed", "bleed"],
+  ["gutter", "gutter"],
+  ["marks", "cropMarks"],
+];
+
+export function configToParams(config) {
+  const p = new URLSearchParams();
+  p.set("unit", config.unit);
+  p.set("sheet", `${mmParam(config.sheetWmm)}x${mmParam(config.sheetHmm)}`);
+  if (config.mode === "list") {
+    p.set("mode", "list");
+    p.set(
+      "list",
+      config.cutList
+        .map(
+          (r) =>
+            `${mmParam(r.wmm)}x${mmParam(r.hmm)}x${r.qty}${r.allowRotation ? "" : "n"}${ROW_GRAIN_FLAGS[r.grain]}${r.label ? `~${encodeURIComponent(r.label)}` : ""}`,
+        )
+        .join(","),
+    );
+  } else {
+    p.set("cut", `${mmParam(config.cutWmm)}x${mmParam(config.cutHmm)}`);
+    if (config.targetQty) p.set("qty", config.targetQty);
+    if (config.pieceGrain !== "any") p.set("pgrain", config.pieceGrain);
+  }
+  if (config.sheetGrain !== "none") p.set("grain", config.sheetGrain);
+  p.set("rot", config.enableRotation ? "1" : "0");
+  if (config.algorithm !== "grid") p.set("algo", config.algorithm);
+  const m = config.margins;
+  if (m.top || m.right || m.bottom || m.left) {
+    p.set("margins", [m.top, m.right, m.bottom, m.left].map(mmParam).join(","));
+  }
+  if (config.bladeThickness) p.set("kerf", mmParam(config.bladeThickness));
+  for (const [key, field] of IMPOSITION_PARAMS) {
+    const v = config.imposition[field];
+    if (v) p.set(key, mmParam(v));
+  }
+  if (config.press.enabled) {
+    p.set("press", `${mmParam(config.press.wmm)}x${mmParam(config.press.hmm)}`);
+  }
+  return p;
+}
+
+function parsePair(value) {
+  const parts = value.split("x").map(Number);
+  return parts.length === 2 && parts.every(isPositive) ? parts : null;
+}
+
+/*
+ * Reads a config from URL params. Anything missing keeps its default;
+ * anything present but invalid also keeps its default and adds a warning.
+ * Returns { config, warnings, present } — `present` is false without params.
+ */
+export function configFromParams(params) {
+  const raw = {};
+  const warnings = [];
+  const get = (key) => {
+    const v = params.get(key);
+    return v == null || v === "" ? null : v;
+  };
+  const warn = (key, value, what) =>
+    warnings.push(`Ignored ${key}=“${value}”: expected ${what}.`);
+
+  const unit = get("unit");
+  if (unit != null) {
+    if (isUnit(unit)) raw.unit = unit;
+    else
+      warn("unit", unit, `${Object.keys(UNIT_FACTORS).join(", ")} or px@dpi`);
+  }
+
+  for (const [key, w, h] of [
+    ["sheet", "sheetWmm", "sheetHmm"],
+    ["cut", "cutWmm", "cutHmm"],
+  ]) {
+    const v = get(key);
+    if (v == null) continue;
+    const pair = parsePair(v);
+    if (pair) [raw[w], raw[h]] = pair;
+    else warn(key, v, "width x height in mm, e.g. 635x901.7");
+  }
+
+  const rot = get("rot");
+  if (rot != null) {
+    if (rot === "1" || rot === "0") raw.enableRotation = rot === "1";
+    else warn("rot", rot, "1 or 0");
+  }
+
+  const algo = get("algo");
+  if (algo != null) {
+    if (algo === "grid" || algo === "recursive") raw.algorithm = algo;
+    else warn("algo", algo, "grid or recursive");
+  }
+
+  const mode = get("mode");
+  if (mode != null) {
+    if (mode === "single" || mode === "list") raw.mode = mode;
+    else warn("mode", mode, "single or list");
+  }
+
+  const list = get("list");
+  if (list != null) {
+    const rows = list.split(",").map((s) => {
+      const m = /^([\d.]+)x([\d.]+)x(\d+)(n?)([ac]?)(?:~(.*))?$/.exec(s.trim());
+      if (!m || !isPositive(m[1]) || !isPositive(m[2])) return null;
+      let label = "";
+      try {
+        label = decodeURIComponent(m[6] || "");
+      } catch {
+        return null;
+      }
+      return {
+        wmm: Number(m[1]),
+        hmm: Number(m[2]),
+        qty: Number(m[3]),
+        allowRotation: m[4] !== "n",
+        grain: m[5] === "a" ? "along" : m[5] === "c" ? "across" : "any",
+        label,
+      };
+    });
+    if (rows.length > 0 && rows.every(Boolean)) raw.cutList = rows;
+    else
+      warn(
+        "list",
+        list,
+        "rows like 210x297x10, with n for no rotation, a / c for grain and ~label",
+      );
+  }
+
+  const grain = get("grain");
+  if (grain != null) {
+    if (SHEET_GRAINS.includes(grain)) raw.sheetGrain = grain;
+    else warn("grain", grain, SHEET_GRAINS.join(", "));
+  }
+
+  const pgrain = get("pgrain");
+  if (pgrain != null) {
+    if (PIECE_GRAINS.includes(pgrain)) raw.pieceGrain = pgrain;
+    else warn("pgrain", pgrain, PIECE_GRAINS.join(", "));
+  }
+
+  const qty = get("qty");
+  if (qty != null) {
+    if (/^\d+$/.test(qty)) raw.targetQty = qty;
+    else warn("qty", qty, "a whole number");
+  }
+
+  const margins = get("margins");
+  if (margins != null) {
+    const m = margins.split(",").map(Number);
+    if (m.length === 4 && m.every(isNonNegative)) {
+      raw.margins = { top: m[0], right: m[1], bottom: m[2], left: m[3] };
+    } else {
+      warn("margins", margins, "top,right,bottom,left in mm");
+    }
+  }
+
+  const kerf = get("kerf");
+  if (kerf != null) {
+    if (isNonNegative(kerf)) raw.bladeThickness = Number(kerf);
+    else warn("kerf", kerf, "a blade width in mm");
+  }
+
+  for (const [key, field] of IMPOSITION_PARAMS) {
+    const v = get(key);
+    if (v == null) continue;
+    if (isNonNegative(v)) {
+      raw.imposition = {
+        ...(raw.imposition || NO_IMPOSITION),
+        [field]: Number(v),
+      };
+    } else {
+      warn(key, v, "a length in mm");
+    }
+  }
+
+  const press = get("press");
+  if (press != null) {
+    const pair = parsePair(press);
+    if (pair) raw.press = { enabled: true, wmm: pair[0], hmm: pair[1] };
+    else warn("press", press, "press sheet width x height in mm");
+  }
+
+  return {
+    config: normalizeConfig({ ...DEFAULT_CONFIG, ...raw }),
+    warnings,
+    present: [...params.keys()].length > 0,
+  };
+}
@@ -0,0 +1,63 @@
+/* ===== Delimited text (CSV / TSV) ===== */
+// RFC 4180 style: fields may be quoted, quotes inside are doubled and quoted
+// fields may span lines. Blank lines are skipped.
+
+// Tab, semicolon or comma, whichever splits the first line most
+export function detectDelimiter(text) {
+  const first = text.split(/\r?\n/, 1)[0] || "";
+  let best = ",";
+  let most = 0;
+  for (const d of ["\t", ";", ","]) {
+    const n = first.split(d).length - 1;
+    if (n > most) {
+      best = d;
+      most = n;
+    }
+  }
+  return best;
+}
+
+// Rows as { line, cells } where line is the 1-based line the row starts on
+export function parseRecords(text, delimiter = detectDelimiter(text)) {
+  const records = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const end = () => {
+    row.push(cell.trim());
+    if (row.some((c) => c !== "")) records.push({ line: start, cells: row });
+    row = [];
+    cell = "";
+    start = line;
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === "") {
+      quoted = true;
+      cell = "";
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      line++;
+      end();
+    } else {
+      cell += ch;
+    }
+  }
+  end();
+  return records;
+}
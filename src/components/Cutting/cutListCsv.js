@@ -0,0 +1,285 @@
+/* ===== Cut-list import (CSV / TSV / pasted cells) ===== */
+// Turns a spreadsheet of sizes into cut-list rows: columns are matched by
+// header name (or by content when there is no header), the unit is read
+// from the header, a unit column, suffixes on the values or their size, and
+// every rejected line is reported by its line number in the source.
+
+import { parseDimension } from "../../engine/dimension.js";
+import { UNIT_FACTORS, toMM, unitDpi, unitFactor } from "../../engine/units.js";
+import { detectDelimiter, parseRecords } from "./csv.js";
+
+export const IMPORT_FIELDS = [
+  ["label", "Label"],
+  ["width", "Width"],
+  ["height", "Height"],
+  ["qty", "Qty"],
+  ["unit", "Unit"],
+  ["rotation", "Rotation allowed"],
+];
+
+// Header names per field, best match first; "length" is taken by width
+// unless a width column exists, then by height
+const HEADER_NAMES = {
+  width: ["width", "w", "x", "length", "len", "l"],
+  height: ["height", "h", "y", "depth", "length", "len", "l"],
+  qty: ["qty", "quantity", "count", "pcs", "pieces", "no", "n", "amount"],
+  unit: ["unit", "units", "uom"],
+  rotation: ["rotation", "rotate", "rot", "allowrotation", "canrotate"],
+  label: ["label", "name", "part", "description", "desc", "item", "id"],
+};
+
+const UNIT_ALIASES = {
+  mm: "mm",
+  millimeter: "mm",
+  millimeters: "mm",
+  millimetre: "mm",
+  millimetres: "mm",
+  cm: "cm",
+  centimeter: "cm",
+  centimeters: "cm",
+  centimetre: "cm",
+  centimetres: "cm",
+  in: "inch",
+  inch: "inch",
+  inches: "inch",
+  '"': "inch",
+  "″": "inch",
+  m: "meter",
+  meter: "meter",
+  meters: "meter",
+  metre: "meter",
+  metres: "meter",
+  ft: "ft",
+  foot: "ft",
+  feet: "ft",
+  "'": "ft",
+  "′": "ft",
+  pt: "pt",
+  point: "pt",
+  points: "pt",
+  pc: "pc",
+  pica: "pc",
+  picas: "pc",
+  px: "px",
+  pixel: "px",
+  pixels: "px",
+};
+
+const YES = /^(yes|y|true|1|x|on)$/i;
+const NO = /^(no|n|false|0|off)$/i;
+
+export const unitOf = (text) =>
+  UNIT_ALIASES[String(text).trim().toLowerCase()] || null;
+
+// plain "px" in a file is taken at the dpi of a px unit in use
+const atDpiOf = (unit, current) =>
+  unit === "px" && unitDpi(current) ? current : unit;
+
+// "600", "12,5", "24in", '24"', "2.5 cm" → { value, unit | null }, else null.
+// A comma is a decimal point, but "1,200" could be either and is refused.
+export function parseLength(text) {
+  if (/^[1-9]\d{0,2}(,\d{3})+\b/.test(String(text).trim())) return null;
+  const m = /^([+-]?(?:\d+(?:[.,]\d*)?|[.,]\d+))\s*([a-z"″'′]*)$/i.exec(
+    String(text).trim(),
+  );
+  if (!m) return null;
+  const unit = m[2] ? unitOf(m[2]) : null;
+  if (m[2] && !unit) return null;
+  return { value: Number(m[1].replace(",", ".")), unit };
+}
+
+const headerKey = (cell) =>
+  cell
+    .toLowerCase()
+    .replace(/[([].*?[)\]]/g, "")
+    .replace(/[^a-z]/g, "");
+
+// "Width (mm)" / "H [in]" → the unit in brackets
+const headerUnit = (cell) => {
+  const m = /[([]\s*([^)\]]+?)\s*[)\]]/.exec(cell || "");
+  return m ? unitOf(m[1]) : null;
+};
+
+/*
+ * Parsed source: { records: [{ line, cells }], header: cells | null,
+ * columns }. The first row is a header when none of its cells is a number.
+ */
+export function readTable(text) {
+  const records = parseRecords(text, detectDelimiter(text));
+  const first = records[0];
+  const hasHeader =
+    !!first && !first.cells.some((c) => parseLength(c) !== null);
+  return {
+    records: hasHeader ? records.slice(1) : records,
+    header: hasHeader ? first.cells : null,
+    columns: Math.max(0, ...records.map((r) => r.cells.length)),
+  };
+}
+
+/*
+ * Column index per field (-1 for none): by header name when there is a
+ * header, else by the first row's content – text before the sizes is the
+ * label, then width, height and qty, a unit word and a yes / no.
+ */
+export function guessMapping(table) {
+  const mapping = Object.fromEntries(IMPORT_FIELDS.map(([f]) => [f, -1]));
+  const taken = new Set();
+  const take = (field, i) => {
+    mapping[field] = i;
+    taken.add(i);
+  };
+
+  if (table.header) {
+    const keys = table.header.map(headerKey);
+    for (const field of ["width", "height", "qty", "unit", "rotation"]) {
+      for (const name of HEADER_NAMES[field]) {
+        const i = keys.findIndex((k, j) => k === name && !taken.has(j));
+        if (i >= 0) {
+          take(field, i);
+          break;
+        }
+      }
+    }
+    const label = keys.findIndex(
+      (k, j) => !taken.has(j) && HEADER_NAMES.label.includes(k),
+    );
+    if (label >= 0) take("label", label);
+    return mapping;
+  }
+
+  const cells = table.records[0] ? table.records[0].cells : [];
+  const sizes = ["width", "height", "qty"];
+  cells.forEach((cell, i) => {
+    if (cell === "") return;
+    if (parseLength(cell)) {
+      const field = sizes.find((f) => mapping[f] < 0);
+      if (field) take(field, i);
+    } else if (unitOf(cell)) {
+      if (mapping.unit < 0) take("unit", i);
+    } else if (YES.test(cell) || NO.test(cell)) {
+      if (mapping.rotation < 0) take("rotation", i);
+    } else if (mapping.label < 0 && mapping.width < 0) {
+      take("label", i);
+    }
+  });
+  return mapping;
+}
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [v, n] of counts) if (!best || n > counts.get(best)) best = v;
+  return best;
+};
+
+/*
+ * Unit for lengths without their own: { unit, source } where source says
+ * how it was found, or is null when `fallback` (the current unit) is kept.
+ * Going by size, pieces all under 5 are metres and any over 200 are mm;
+ * cm and inch look alike and are left to the current unit. Small sizes are
+ * only taken for metres from a unit smaller than the inch: 3.5 × 2 is a
+ * business card in inches, not 3.5 × 2 m.
+ */
+export function detectUnit(table, mapping, fallback) {
+  const sizeCols = [mapping.width, mapping.height].filter((i) => i >= 0);
+  if (table.header) {
+    const unit = sizeCols.map((i) => headerUnit(table.header[i])).find(Boolean);
+    if (unit) return { unit: atDpiOf(unit, fallback), source: "header" };
+  }
+
+  if (mapping.unit >= 0) {
+    const unit = mostCommon(
+      table.records
+        .map((r) => unitOf(r.cells[mapping.unit] || ""))
+        .filter(Boolean),
+    );
+    if (unit) return { unit: atDpiOf(unit, fallback), source: "unit column" };
+  }
+
+  const lengths = table.records
+    .flatMap((r) => sizeCols.map((i) => parseLength(r.cells[i] || "")))
+    .filter(Boolean);
+  const suffix = mostCommon(lengths.map((l) => l.unit).filter(Boolean));
+  if (suffix) return { unit: atDpiOf(suffix, fallback), source: "values" };
+
+  const values = lengths.map((l) => l.value).filter((v) => v > 0);
+  if (values.length > 0) {
+    const max = values.reduce((m, v) => Math.max(m, v), 0);
+    if (max < 5 && unitFactor(fallback) < UNIT_FACTORS.inch)
+      return { unit: "meter", source: "sizes" };
+    if (max > 200) return { unit: "mm", source: "sizes" };
+  }
+  return { unit: fallback, source: null };
+}
+
+/*
+ * Rows ready for the cut list, lengths in mm:
+ * { rows: [{ line, label, wmm, hmm, qty, allowRotation }],
+ *   errors: [{ line, message }] }
+ * A row with any bad cell is left out and reported once per problem.
+ */
+export function parseCutList(table, mapping, unit) {
+  if (mapping.width < 0 || mapping.height < 0) {
+    return {
+      rows: [],
+      errors: [{ line: null, message: "Choose the width and height columns" }],
+    };
+  }
+  const rows = [];
+  const errors = [];
+  const cell = (r, field) =>
+    mapping[field] >= 0 ? (r.cells[mapping[field]] ?? "") : "";
+
+  for (const r of table.records) {
+    const problems = [];
+
+    const rawUnit = cell(r, "unit");
+    const rowUnit = rawUnit === "" ? unit : atDpiOf(unitOf(rawUnit), unit);
+    if (!rowUnit) {
+      problems.push(
+        `unit “${rawUnit}” is not one of mm, cm, m, in, ft, pt, pc, px`,
+      );
+    }
+
+    // fractions, feet and inches and the like go through parseDimension
+    const length = (field, name) => {
+      const text = cell(r, field);
+      const l = parseLength(text);
+      const typed = l ? null : parseDimension(text, rowUnit || unit);
+      if (text === "") problems.push(`${name} is missing`);
+      else if (l && l.value > 0)
+        return toMM(l.value, atDpiOf(l.unit, unit) || rowUnit || unit);
+      else if (typed && typed.mm > 0) return typed.mm;
+      else problems.push(`${name} “${text}” is not a length above 0`);
+      return 0;
+    };
+    const wmm = length("width", "width");
+    const hmm = length("height", "height");
+
+    const rawQty = cell(r, "qty");
+    const qty = rawQty === "" ? 1 : Number(rawQty);
+    if (!Number.isInteger(qty) || qty < 1) {
+      problems.push(`quantity “${rawQty}” is not a whole number of 1 or more`);
+    }
+
+    const rawRotation = cell(r, "rotation");
+    if (rawRotation !== "" && !YES.test(rawRotation) && !NO.test(rawRotation)) {
+      problems.push(`rotation “${rawRotation}” is not yes or no`);
+    }
+
+    if (problems.length > 0) {
+      for (const message of problems) errors.push({ line: r.line, message });
+      continue;
+    }
+    rows.push({
+      line: r.line,
+      label: cell(r, "label"),
+      wmm,
+      hmm,
+      qty,
+      allowRotation: !NO.test(rawRotation),
+    });
+  }
+  return { rows, errors };
+}
@@ -0,0 +1,45 @@
+/* ===== Display preferences (how lengths are shown) ===== */
+import { readJson, writeJson } from "./storage.js";
+import { DEFAULT_DPI, UNIT_FACTORS, baseUnit } from "../../engine/units.js";
+
+const STORAGE_KEY = "cutpro.display.v1";
+
+// decimals, or for inches "1/16" / "1/32" to round to that fraction
+export const DECIMALS = [0, 1, 2, 3, 4];
+export const INCH_FRACTIONS = ["1/16", "1/32"];
+
+export const precisionChoices = (unit) =>
+  baseUnit(unit) === "inch" ? [...DECIMALS, ...INCH_FRACTIONS] : DECIMALS;
+
+export const precisionLabel = (p) =>
+  typeof p === "string" ? `${p}"` : p === 0 ? "1" : (0.1 ** p).toFixed(p);
+
+export const DEFAULT_DISPLAY = {
+  precision: Object.fromEntries(Object.keys(UNIT_FACTORS).map((u) => [u, 3])),
+  dpi: DEFAULT_DPI,
+};
+
+// precision for lengths shown in `unit` (any dpi of px shares one)
+export const precisionFor = (display, unit) =>
+  display.precision[baseUnit(unit)] ?? 3;
+
+export function loadDisplay() {
+  const data = readJson(STORAGE_KEY, null);
+  if (!data || typeof data !== "object") return DEFAULT_DISPLAY;
+  const saved =
+    data.precision && typeof data.precision === "object" ? data.precision : {};
+  const precision = Object.fromEntries(
+    Object.entries(DEFAULT_DISPLAY.precision).map(([u, p]) => [
+      u,
+      precisionChoices(u).includes(saved[u]) ? saved[u] : p,
+    ]),
+  );
+  return {
+    precision,
+    dpi: Number(data.dpi) > 0 ? Number(data.dpi) : DEFAULT_DPI,
+  };
+}
+
+export function saveDisplay(display) {
+  writeJson(STORAGE_KEY, display);
+}
@@ -0,0 +1,179 @@
+/* ===== Dimensioned drawing of a sheet (shared by the SVG and PDF export) ===== */
+// Everything is in mm with the origin at the sheet's top-left corner; the
+// dimension labels sit in a band above and to the left of the sheet.
+
+import { cropMarkLines } from "../../engine/imposition.js";
+import { usableArea } from "../../engine/margins.js";
+import { pieceColor } from "./palette.js";
+import { toDisplay } from "../../engine/units.js";
+
+// Distinct positions, dropping any closer than `minGap` to the previous one
+function spacedPositions(values, minGap) {
+  const sorted = [...new Set(values.map((v) => Math.round(v * 1000) / 1000))]
+    .filter((v) => v > 0)
+    .sort((a, b) => a - b);
+  const out = [];
+  for (const v of sorted) {
+    if (out.length === 0 || v - out[out.length - 1] >= minGap) out.push(v);
+  }
+  return out;
+}
+
+/*
+ * Returns { width, height, offsetX, offsetY, rects, lines, labels }.
+ * `width` / `height` include the dimension band; shapes are positioned in
+ * sheet coordinates and must be translated by offsetX / offsetY.
+ */
+export function buildDrawing({
+  sheetW,
+  sheetH,
+  layout,
+  margins,
+  bladeThickness,
+  cutPlan,
+  unit,
+  textSize,
+}) {
+  const kerf = Math.max(0, bladeThickness || 0);
+  const band = textSize * 5;
+  const rects = [];
+  const lines = [];
+  const labels = [];
+
+  rects.push({
+    x: 0,
+    y: 0,
+    w: sheetW,
+    h: sheetH,
+    fill: "#ffffff",
+    stroke: "#111827",
+  });
+
+  const area = usableArea(sheetW, sheetH, margins);
+  if (area.x > 0)
+    rects.push({ x: 0, y: 0, w: area.x, h: sheetH, fill: "#e2e8f0" });
+  if (area.y > 0)
+    rects.push({ x: 0, y: 0, w: sheetW, h: area.y, fill: "#e2e8f0" });
+  if (margins.right > 0)
+    rects.push({
+      x: area.x + area.w,
+      y: 0,
+      w: margins.right,
+      h: sheetH,
+      fill: "#e2e8f0",
+    });
+  if (margins.bottom > 0)
+    rects.push({
+      x: 0,
+      y: area.y + area.h,
+      w: sheetW,
+      h: margins.bottom,
+      fill: "#e2e8f0",
+    });
+
+  const waste = [
+    layout.rightStrip,
+    layout.bottomStrip,
+    ...(layout.wasteRects || []),
+  ];
+  for (const r of waste) {
+    if (r) rects.push({ x: r.x, y: r.y, w: r.w, h: r.h, fill: "#fee2e2" });
+  }
+
+  const bleed = layout.bleed || 0;
+  if (bleed > 0) {
+    for (const p of layout.pieces) {
+      rects.push({
+        x: p.x - bleed,
+        y: p.y - bleed,
+        w: p.w + 2 * bleed,
+        h: p.h + 2 * bleed,
+        fill: pieceColor(p).fill,
+        stroke: pieceColor(p).stroke,
+      });
+    }
+  }
+
+  for (const p of layout.pieces) {
+    const color = pieceColor(p);
+    rects.push({
+      x: p.x,
+      y: p.y,
+      w: p.w,
+      h: p.h,
+      fill: color.fill,
+      stroke: color.stroke,
+    });
+    // size label inside pieces that are large enough to hold it
+    const text = `${toDisplay(p.w, unit)} × ${toDisplay(p.h, unit)}`;
+    if (p.w > text.length * textSize * 0.6 && p.h > textSize * 2) {
+      labels.push({
+        x: p.x + p.w / 2,
+        y: p.y + p.h / 2 + textSize * 0.35,
+        text,
+        anchor: "middle",
+      });
+    }
+  }
+
+  lines.push(...cropMarkLines(layout));
+
+  const xs = [];
+  const ys = [];
+  for (const step of cutPlan ? cutPlan.steps : []) {
+    const c = step.at + kerf / 2;
+    const s = step.stack;
+    if (step.axis === "x") {
+      lines.push({ x1: c, y1: s.y, x2: c, y2: s.y + s.h, dash: true });
+      xs.push(c);
+    } else {
+      lines.push({ x1: s.x, y1: c, x2: s.x + s.w, y2: c, dash: true });
+      ys.push(c);
+    }
+  }
+
+  // dimensions: cut positions measured from the sheet's top-left corner
+  const tick = textSize * 1.2;
+  const xGap = textSize * 3;
+  const yGap = textSize * 1.6;
+  const xMarks = spacedPositions(xs, xGap).filter((x) => sheetW - x >= xGap);
+  const yMarks = spacedPositions(ys, yGap).filter((y) => sheetH - y >= yGap);
+  for (const x of [...xMarks, sheetW]) {
+    lines.push({ x1: x, y1: -tick, x2: x, y2: 0 });
+    labels.push({
+      x,
+      y: -tick - textSize * 0.4,
+      text: toDisplay(x, unit),
+      anchor: "middle",
+    });
+  }
+  for (const y of [...yMarks, sheetH]) {
+    lines.push({ x1: -tick, y1: y, x2: 0, y2: y });
+    labels.push({
+      x: -tick - textSize * 0.4,
+      y: y + textSize * 0.35,
+      text: toDisplay(y, unit),
+      anchor: "end",
+    });
+  }
+  lines.push({ x1: 0, y1: -tick, x2: 0, y2: 0 });
+  lines.push({ x1: -tick, y1: 0, x2: 0, y2: 0 });
+  labels.push({ x: 0, y: -tick - textSize * 0.4, text: "0", anchor: "middle" });
+  labels.push({
+    x: sheetW / 2,
+    y: -band + textSize * 1.2,
+    text: `${toDisplay(sheetW, unit)} × ${toDisplay(sheetH, unit)} ${unit}`,
+    anchor: "middle",
+    bold: true,
+  });
+
+  return {
+    width: sheetW + band,
+    height: sheetH + band,
+    offsetX: band,
+    offsetY: band,
+    rects,
+    lines,
+    labels,
+  };
+}
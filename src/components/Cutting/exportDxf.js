@@ -0,0 +1,161 @@
+/* ===== DXF export for CNC / plotter / laser software ===== */
+// Plain ASCII DXF (R12) with coordinates in the selected unit. R12 has no
+// drawing units, so the unit goes in the file name (see ExportMenu). DXF's
+// Y axis points up, so sheet coordinates are flipped with the origin at the
+// bottom-left.
+
+import { freeRectangles } from "../../engine/freeSpace.js";
+import { cropMarkLines } from "../../engine/imposition.js";
+import { unitFactor } from "../../engine/units.js";
+
+// name -> ACI color
+export const DXF_LAYERS = {
+  SHEET: 8,
+  PIECES: 5,
+  CUTS: 1,
+  WASTE: 2,
+  TOOLPATH: 3,
+  BLEED: 6,
+  MARKS: 7,
+};
+
+const num = (n) => String(Math.round(n * 1e6) / 1e6);
+
+function pair(out, code, value) {
+  out.push(String(code), String(value));
+}
+
+/*
+ * Returns the DXF document as a string. Layers: SHEET (outline), PIECES
+ * (closed piece outlines), CUTS (guillotine cut centre lines), WASTE (the
+ * material left once the pieces and their kerf are cut out) and,
+ * when a kerf is set, TOOLPATH (piece outlines offset outwards by half the
+ * kerf, i.e. the blade centre). Imposed layouts add BLEED (bleed boxes)
+ * and MARKS (crop marks).
+ */
+export function layoutToDxf({
+  sheetW,
+  sheetH,
+  layout,
+  bladeThickness,
+  cutPlan,
+  unit,
+}) {
+  const k = unitFactor(unit) || 1;
+  const kerf = Math.max(0, bladeThickness || 0);
+  const X = (mm) => num(mm / k);
+  const Y = (mm) => num((sheetH - mm) / k);
+  const out = [];
+
+  const polyline = (layer, x, y, w, h) => {
+    pair(out, 0, "POLYLINE");
+    pair(out, 8, layer);
+    pair(out, 66, 1);
+    pair(out, 10, 0); // R12 readers expect a dummy point on the header
+    pair(out, 20, 0);
+    pair(out, 30, 0);
+    pair(out, 70, 1); // closed
+    for (const [vx, vy] of [
+      [x, y],
+      [x + w, y],
+      [x + w, y + h],
+      [x, y + h],
+    ]) {
+      pair(out, 0, "VERTEX");
+      pair(out, 8, layer);
+      pair(out, 10, X(vx));
+      pair(out, 20, Y(vy));
+    }
+    pair(out, 0, "SEQEND");
+    pair(out, 8, layer);
+  };
+
+  const line = (layer, x1, y1, x2, y2) => {
+    pair(out, 0, "LINE");
+    pair(out, 8, layer);
+    pair(out, 10, X(x1));
+    pair(out, 20, Y(y1));
+    pair(out, 11, X(x2));
+    pair(out, 21, Y(y2));
+  };
+
+  pair(out, 0, "SECTION");
+  pair(out, 2, "HEADER");
+  pair(out, 9, "$ACADVER");
+  pair(out, 1, "AC1009");
+  pair(out, 9, "$EXTMIN");
+  pair(out, 10, 0);
+  pair(out, 20, 0);
+  pair(out, 9, "$EXTMAX");
+  pair(out, 10, X(sheetW));
+  pair(out, 20, num(sheetH / k));
+  pair(out, 0, "ENDSEC");
+
+  pair(out, 0, "SECTION");
+  pair(out, 2, "TABLES");
+  pair(out, 0, "TABLE");
+  pair(out, 2, "LAYER");
+  pair(out, 70, Object.keys(DXF_LAYERS).length);
+  for (const [name, color] of Object.entries(DXF_LAYERS)) {
+    pair(out, 0, "LAYER");
+    pair(out, 2, name);
+    pair(out, 70, 0);
+    pair(out, 62, color);
+    pair(out, 6, "CONTINUOUS");
+  }
+  pair(out, 0, "ENDTAB");
+  pair(out, 0, "ENDSEC");
+
+  pair(out, 0, "SECTION");
+  pair(out, 2, "ENTITIES");
+  polyline("SHEET", 0, 0, sheetW, sheetH);
+
+  // the blade takes one kerf right of and below every piece; what is left
+  // over (margins, strips, the space between pieces) is waste
+  const taken = layout.pieces.map((p) => ({
+    x: p.x,
+    y: p.y,
+    w: p.w + kerf,
+    h: p.h + kerf,
+  }));
+  for (const r of freeRectangles({ x: 0, y: 0, w: sheetW, h: sheetH }, taken)) {
+    polyline("WASTE", r.x, r.y, r.w, r.h);
+  }
+
+  const bleed = layout.bleed || 0;
+  if (bleed > 0) {
+    for (const p of layout.pieces) {
+      polyline(
+        "BLEED",
+        p.x - bleed,
+        p.y - bleed,
+        p.w + 2 * bleed,
+        p.h + 2 * bleed,
+      );
+    }
+  }
+
+  for (const p of layout.pieces) polyline("PIECES", p.x, p.y, p.w, p.h);
+
+  for (const l of cropMarkLines(layout)) {
+    line("MARKS", l.x1, l.y1, l.x2, l.y2);
+  }
+
+  for (const step of cutPlan ? cutPlan.steps : []) {
+    const c = step.at + kerf / 2;
+    const s = step.stack;
+    if (step.axis === "x") line("CUTS", c, s.y, c, s.y + s.h);
+    else line("CUTS", s.x, c, s.x + s.w, c);
+  }
+
+  if (kerf > 0) {
+    const half = kerf / 2;
+    for (const p of layout.pieces) {
+      polyline("TOOLPATH", p.x - half, p.y - half, p.w + kerf, p.h + kerf);
+    }
+  }
+
+  pair(out, 0, "ENDSEC");
+  pair(out, 0, "EOF");
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,66 @@
+/* ===== 1:1 SVG export ===== */
+import { buildDrawing } from "./drawing.js";
+
+const esc = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const num = (n) => String(Math.round(n * 1000) / 1000);
+
+// Standalone SVG document whose user unit is exactly 1 mm
+export function layoutToSvg({
+  sheetW,
+  sheetH,
+  layout,
+  margins,
+  bladeThickness,
+  cutPlan,
+  unit,
+}) {
+  const d = buildDrawing({
+    sheetW,
+    sheetH,
+    layout,
+    margins,
+    bladeThickness,
+    cutPlan,
+    unit,
+    textSize: 3.5,
+  });
+
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(d.width)}mm" height="${num(d.height)}mm" viewBox="0 0 ${num(d.width)} ${num(d.height)}">`,
+  );
+  out.push(
+    `<g transform="translate(${num(d.offsetX)} ${num(d.offsetY)})" font-family="Helvetica, Arial, sans-serif" font-size="3.5">`,
+  );
+  for (const r of d.rects) {
+    out.push(
+      `<rect x="${num(r.x)}" y="${num(r.y)}" width="${num(r.w)}" height="${num(r.h)}" fill="${r.fill || "none"}"${
+        r.stroke ? ` stroke="${r.stroke}" stroke-width="0.25"` : ""
+      }/>`,
+    );
+  }
+  for (const l of d.lines) {
+    out.push(
+      `<line x1="${num(l.x1)}" y1="${num(l.y1)}" x2="${num(l.x2)}" y2="${num(l.y2)}" stroke="${
+        l.dash ? "#64748b" : "#111827"
+      }" stroke-width="0.25"${l.dash ? ' stroke-dasharray="2 1"' : ""}/>`,
+    );
+  }
+  for (const t of d.labels) {
+    out.push(
+      `<text x="${num(t.x)}" y="${num(t.y)}" text-anchor="${t.anchor || "start"}"${
+        t.bold ? ' font-weight="bold"' : ""
+      } fill="#111827">${esc(t.text)}</text>`,
+    );
+  }
+  out.push("</g>");
+  out.push("</svg>");
+  return out.join("\n");
+}
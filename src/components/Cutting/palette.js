@@ -0,0 +1,23 @@
+/* ===== Colors for mixed-size layouts (one entry per cut-list row) ===== */
+export const SIZE_COLORS = [
+  { fill: "#60a5fa", stroke: "#1e3a8a" },
+  { fill: "#f472b6", stroke: "#831843" },
+  { fill: "#fbbf24", stroke: "#78350f" },
+  { fill: "#34d399", stroke: "#065f46" },
+  { fill: "#a78bfa", stroke: "#4c1d95" },
+  { fill: "#fb923c", stroke: "#7c2d12" },
+  { fill: "#22d3ee", stroke: "#164e63" },
+  { fill: "#a3e635", stroke: "#365314" },
+];
+
+export function sizeColor(sizeIndex) {
+  return SIZE_COLORS[sizeIndex % SIZE_COLORS.length];
+}
+
+// mixed layouts are colored per size, single-size by rotation
+export function pieceColor(p) {
+  if (p.sizeIndex != null) return sizeColor(p.sizeIndex);
+  return p.rotated
+    ? { fill: "#34d399", stroke: "#065f46" }
+    : { fill: "#60a5fa", stroke: "#1e3a8a" };
+}
@@ -0,0 +1,153 @@
+/* ===== Minimal PDF writer (vector shapes + Helvetica text) ===== */
+// Just enough of PDF 1.4 to draw job tickets client-side: filled / stroked
+// rectangles, lines, dashes and text in the two built-in Helvetica fonts.
+// Page coordinates are in points (1/72 in) from the top-left corner.
+
+export const MM_TO_PT = 72 / 25.4;
+
+export const PAGE_SIZES = {
+  a4: { w: 595.28, h: 841.89 },
+  letter: { w: 612, h: 792 },
+};
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+// The few non-ASCII characters the tickets use (incl. currency signs),
+// mapped to WinAnsiEncoding
+const WIN_ANSI = {
+  "×": 0xd7,
+  "°": 0xb0,
+  "–": 0x96,
+  "—": 0x97,
+  "·": 0xb7,
+  "²": 0xb2,
+  "€": 0x80,
+  "£": 0xa3,
+};
+
+export function textWidth(text, size, bold = false) {
+  let units = 0;
+  for (const ch of String(text)) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units / 1000) * size * (bold ? 1.07 : 1);
+}
+
+function encodeText(text) {
+  let out = "";
+  for (const ch of String(text)) {
+    const code = ch.charCodeAt(0);
+    if (ch === "(" || ch === ")" || ch === "\\") out += "\\" + ch;
+    else if (code >= 32 && code <= 126) out += ch;
+    else if (WIN_ANSI[ch]) out += "\\" + WIN_ANSI[ch].toString(8);
+    else out += "?";
+  }
+  return out;
+}
+
+const n = (v) => String(Math.round(v * 100) / 100);
+
+function rgb(hex) {
+  const h = hex.replace("#", "");
+  return [0, 2, 4]
+    .map((i) => n(parseInt(h.slice(i, i + 2), 16) / 255))
+    .join(" ");
+}
+
+function createPage(w, h) {
+  const ops = [];
+  const y = (v) => h - v;
+
+  return {
+    w,
+    h,
+    ops,
+    rect(x, top, rw, rh, { fill, stroke, lineWidth = 0.5 } = {}) {
+      if (fill) ops.push(`${rgb(fill)} rg`);
+      if (stroke) ops.push(`${rgb(stroke)} RG ${n(lineWidth)} w`);
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      ops.push(`${n(x)} ${n(y(top + rh))} ${n(rw)} ${n(rh)} re ${paint}`);
+    },
+    line(x1, y1, x2, y2, { stroke = "#000000", lineWidth = 0.5, dash } = {}) {
+      ops.push(`${rgb(stroke)} RG ${n(lineWidth)} w`);
+      ops.push(dash ? `[${dash.map(n).join(" ")}] 0 d` : "[] 0 d");
+      ops.push(`${n(x1)} ${n(y(y1))} m ${n(x2)} ${n(y(y2))} l S`);
+      if (dash) ops.push("[] 0 d");
+    },
+    text(x, baseline, str, { size = 10, bold = false, align, color } = {}) {
+      const width = textWidth(str, size, bold);
+      const left =
+        align === "center" ? x - width / 2 : align === "right" ? x - width : x;
+      ops.push(`${rgb(color || "#000000")} rg`);
+      ops.push(
+        `BT /${bold ? "F2" : "F1"} ${n(size)} Tf ${n(left)} ${n(y(baseline))} Td (${encodeText(str)}) Tj ET`,
+      );
+    },
+  };
+}
+
+export function createPdf() {
+  const pages = [];
+
+  return {
+    addPage(w, h) {
+      const page = createPage(w, h);
+      pages.push(page);
+      return page;
+    },
+
+    // Serialised document as a latin1 string (one char per byte)
+    toString() {
+      const objects = [];
+      const kids = pages.map((_, i) => `${5 + i * 2} 0 R`).join(" ");
+      objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+      objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+      objects.push(
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+      );
+      objects.push(
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+      );
+      pages.forEach((page, i) => {
+        const content = page.ops.join("\n");
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(page.w)} ${n(page.h)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+        );
+        objects.push(
+          `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        );
+      });
+
+      let out = "%PDF-1.4\n";
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(out.length);
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      for (const off of offsets) {
+        out += `${String(off).padStart(10, "0")} 00000 n \n`;
+      }
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return out;
+    },
+
+    toBytes() {
+      const str = this.toString();
+      const bytes = new Uint8Array(str.length);
+      for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xff;
+      return bytes;
+    },
+  };
+}
@@ -0,0 +1,129 @@
+/* ===== Sheet presets (persisted, each in its own unit) ===== */
+import { readJson, writeJson } from "./storage.js";
+import { isUnit } from "../../engine/units.js";
+
+const STORAGE_KEY = "cutpro.presets.v1";
+
+export const STOCK_TYPES = ["paper", "board", "acrylic", "plywood"];
+
+let nextPresetId = 1;
+function presetId() {
+  return `p${Date.now().toString(36)}${nextPresetId++}`;
+}
+
+export function makePreset({
+  label = "",
+  w,
+  h,
+  unit = "inch",
+  stock = "paper",
+}) {
+  return { id: presetId(), label, w, h, unit, stock };
+}
+
+// The shop's original paper sizes
+export const DEFAULT_PRESETS = [
+  [28, 22],
+  [44, 28],
+  [30, 20],
+  [36, 23],
+  [43, 31],
+  [44, 29],
+  [35.5, 25],
+  [37, 25],
+].map(([w, h]) => makePreset({ label: `${w} x ${h}`, w, h }));
+
+// Label shown in menus; falls back to the size
+export function presetLabel(p) {
+  return p.label.trim() || `${p.w} x ${p.h} ${p.unit}`;
+}
+
+// Checks one preset; returns an error message or null
+function presetError(p) {
+  if (!p || typeof p !== "object") return "is not an object";
+  if (!(Number(p.w) > 0) || !(Number(p.h) > 0))
+    return "needs a positive width and height";
+  if (!isUnit(p.unit)) return `has an unknown unit “${p.unit}”`;
+  if (!STOCK_TYPES.includes(p.stock))
+    return `has an unknown stock type “${p.stock}”`;
+  return null;
+}
+
+function cleanPreset(p) {
+  return makePreset({
+    label: typeof p.label === "string" ? p.label : "",
+    w: Number(p.w),
+    h: Number(p.h),
+    unit: p.unit,
+    stock: p.stock,
+  });
+}
+
+export function loadPresets() {
+  const data = readJson(STORAGE_KEY, null);
+  if (!Array.isArray(data)) return DEFAULT_PRESETS;
+  return data.filter((p) => !presetError(p)).map(cleanPreset);
+}
+
+export function savePresets(presets) {
+  writeJson(STORAGE_KEY, presets);
+}
+
+// Groups in STOCK_TYPES order, skipping empty ones: [[stock, presets]]
+export function groupPresets(presets) {
+  return STOCK_TYPES.map((stock) => [
+    stock,
+    presets.filter((p) => p.stock === stock),
+  ]).filter(([, list]) => list.length > 0);
+}
+
+// Move a preset one place up (-1) or down (+1) within its stock group
+export function movePreset(presets, id, dir) {
+  const i = presets.findIndex((p) => p.id === id);
+  if (i < 0) return presets;
+  let j = i + dir;
+  while (j >= 0 && j < presets.length && presets[j].stock !== presets[i].stock)
+    j += dir;
+  if (j < 0 || j >= presets.length) return presets;
+  const next = [...presets];
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+}
+
+/* ===== JSON import / export ===== */
+export function presetsToJson(presets) {
+  return JSON.stringify(
+    {
+      type: "cutpro-presets",
+      version: 1,
+      presets: presets.map(({ label, w, h, unit, stock }) => ({
+        label,
+        w,
+        h,
+        unit,
+        stock,
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+// Parses an exported file (or a bare array); throws with a readable message
+export function presetsFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  const list = Array.isArray(data) ? data : data && data.presets;
+  if (!Array.isArray(list)) {
+    throw new Error("No presets found in the file.");
+  }
+  list.forEach((p, i) => {
+    const error = presetError(p);
+    if (error) throw new Error(`Preset ${i + 1} ${error}.`);
+  });
+  return list.map(cleanPreset);
+}
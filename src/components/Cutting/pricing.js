@@ -0,0 +1,138 @@
+/* ===== Job pricing (material, labour, setup, markup) ===== */
+import { readJson, writeJson } from "./storage.js";
+
+const STORAGE_KEY = "cutpro.pricing.v1";
+
+let nextMaterialId = 1;
+
+// mode "sheet" = price per full sheet, "area" = price per m²
+export function makeMaterial({ name = "", mode = "sheet", price = 0 } = {}) {
+  return {
+    id: `m${Date.now().toString(36)}${nextMaterialId++}`,
+    name,
+    mode,
+    price,
+  };
+}
+
+export const DEFAULT_PRICING = {
+  currency: "$",
+  materials: [
+    makeMaterial({ name: "Paper", mode: "sheet", price: 0.5 }),
+    makeMaterial({ name: "Board", mode: "sheet", price: 2 }),
+    makeMaterial({ name: "Acrylic 3 mm", mode: "area", price: 40 }),
+    makeMaterial({ name: "Plywood 18 mm", mode: "area", price: 25 }),
+  ],
+  materialId: null, // null = first material
+  costPerCut: 0.05,
+  setupFee: 10,
+  markupPercent: 30,
+};
+
+const money = (v) => (Number(v) >= 0 ? Number(v) : 0);
+
+export function loadPricing() {
+  const data = readJson(STORAGE_KEY, null);
+  if (!data || typeof data !== "object") return DEFAULT_PRICING;
+  const materials = Array.isArray(data.materials)
+    ? data.materials
+        .filter((m) => m && m.id)
+        .map((m) => ({
+          id: m.id,
+          name: String(m.name ?? ""),
+          mode: m.mode === "area" ? "area" : "sheet",
+          price: money(m.price),
+        }))
+    : DEFAULT_PRICING.materials;
+  return {
+    currency:
+      typeof data.currency === "string"
+        ? data.currency
+        : DEFAULT_PRICING.currency,
+    materials,
+    materialId: data.materialId ?? null,
+    costPerCut: money(data.costPerCut),
+    setupFee: money(data.setupFee),
+    markupPercent: money(data.markupPercent),
+  };
+}
+
+export function savePricing(pricing) {
+  writeJson(STORAGE_KEY, pricing);
+}
+
+export function selectedMaterial(pricing) {
+  return (
+    pricing.materials.find((m) => m.id === pricing.materialId) ||
+    pricing.materials[0] ||
+    null
+  );
+}
+
+/*
+ * groups: [{ count, sheetArea, fullSheetArea, pieces, wasteArea, cuts }]
+ * with areas in mm². Sheets smaller than a full sheet (offcuts) are charged
+ * pro rata in "sheet" mode. Labour is per cut on every sheet.
+ */
+export function computeQuote(pricing, groups) {
+  const material = selectedMaterial(pricing);
+  let materialCost = 0;
+  let wasteCost = 0;
+  let pieces = 0;
+  let cuts = 0;
+  let sheets = 0;
+
+  for (const g of groups) {
+    const perSheet = !material
+      ? 0
+      : material.mode === "area"
+        ? (g.sheetArea / 1e6) * material.price
+        : (g.sheetArea / g.fullSheetArea) * material.price;
+    materialCost += perSheet * g.count;
+    wasteCost +=
+      g.sheetArea > 0 ? perSheet * (g.wasteArea / g.sheetArea) * g.count : 0;
+    pieces += g.pieces * g.count;
+    cuts += g.cuts * g.count;
+    sheets += g.count;
+  }
+
+  const labourCost = cuts * pricing.costPerCut;
+  const setupFee = sheets > 0 ? pricing.setupFee : 0;
+  const cost = materialCost + labourCost + setupFee;
+  const markup = cost * (pricing.markupPercent / 100);
+  const total = cost + markup;
+
+  return {
+    material,
+    sheets,
+    pieces,
+    cuts,
+    materialCost,
+    wasteCost,
+    labourCost,
+    setupFee,
+    cost,
+    markup,
+    total,
+    costPerPiece: pieces > 0 ? total / pieces : 0,
+  };
+}
+
+export function formatMoney(value, currency) {
+  return `${currency}${value.toFixed(2)}`;
+}
+
+// [label, value] rows for exports (PDF ticket)
+export function quoteRows(quote, currency) {
+  const m = (v) => formatMoney(v, currency);
+  return [
+    ["Material", quote.material ? quote.material.name : "—"],
+    ["Material cost", m(quote.materialCost)],
+    ["  of which waste", m(quote.wasteCost)],
+    [`Labour (${quote.cuts} cuts)`, m(quote.labourCost)],
+    ["Setup", m(quote.setupFee)],
+    ["Markup", m(quote.markup)],
+    ["Job total", m(quote.total)],
+    ["Per piece", m(quote.costPerPiece)],
+  ];
+}
@@ -0,0 +1,28 @@
+/* ===== Browser-local persistence (localStorage, JSON encoded) ===== */
+
+function storage() {
+  try {
+    return typeof localStorage === "undefined" ? null : localStorage;
+  } catch {
+    return null; // access can throw when storage is disabled
+  }
+}
+
+// Stored value, or `fallback` when missing, unreadable or unavailable
+export function readJson(key, fallback) {
+  const store = storage();
+  if (!store) return fallback;
+  try {
+    const raw = store.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+// Throws when the browser refuses the write (quota, private mode)
+export function writeJson(key, value) {
+  const store = storage();
+  if (!store) throw new Error("Browser storage is not available");
+  store.setItem(key, JSON.stringify(value));
+}
@@ -0,0 +1,149 @@
+/* ===== Printable PDF job ticket ===== */
+import { describeStep } from "../../engine/cutPlan.js";
+import { buildDrawing } from "./drawing.js";
+import { createPdf, MM_TO_PT, PAGE_SIZES } from "./pdf.js";
+
+const MARGIN = 36; // pt
+const LABEL_PT = 7;
+
+// Draw a dimensioned sheet drawing scaled to fit the box (points)
+function drawSheet(page, sheet, unit, box) {
+  // first pass sizes the dimension band for the final scale
+  const probe = buildDrawing({ ...sheet, unit, textSize: 1 });
+  const roughScale = Math.min(box.w / probe.width, box.h / probe.height);
+  const d = buildDrawing({ ...sheet, unit, textSize: LABEL_PT / roughScale });
+  const scale = Math.min(box.w / d.width, box.h / d.height);
+  const ox = box.x + (box.w - d.width * scale) / 2 + d.offsetX * scale;
+  const oy = box.y + d.offsetY * scale;
+  const X = (v) => ox + v * scale;
+  const Y = (v) => oy + v * scale;
+
+  for (const r of d.rects) {
+    page.rect(X(r.x), Y(r.y), r.w * scale, r.h * scale, {
+      fill: r.fill,
+      stroke: r.stroke,
+      lineWidth: 0.4,
+    });
+  }
+  for (const l of d.lines) {
+    page.line(X(l.x1), Y(l.y1), X(l.x2), Y(l.y2), {
+      stroke: l.dash ? "#64748b" : "#111827",
+      lineWidth: l.dash ? 0.3 : 0.5,
+      dash: l.dash ? [2, 1.5] : null,
+    });
+  }
+  for (const t of d.labels) {
+    page.text(X(t.x), Y(t.y), t.text, {
+      size: LABEL_PT,
+      bold: t.bold,
+      align:
+        t.anchor === "middle" ? "center" : t.anchor === "end" ? "right" : null,
+    });
+  }
+  // scale relative to real size: 1 mm on paper = MM_TO_PT pt
+  return MM_TO_PT / scale;
+}
+
+function header(page, title, subtitle) {
+  page.text(MARGIN, MARGIN + 14, title, { size: 16, bold: true });
+  page.text(page.w - MARGIN, MARGIN + 14, subtitle, {
+    size: 9,
+    align: "right",
+    color: "#6b7280",
+  });
+  page.line(MARGIN, MARGIN + 22, page.w - MARGIN, MARGIN + 22, {
+    stroke: "#d1d5db",
+  });
+  return MARGIN + 40;
+}
+
+/*
+ * details: [[label, value]] shown at the top of the first page.
+ * sheets: [{ label, layout, cutPlan, sheetW?, sheetH? }], one drawing page
+ * per distinct layout; the sheet size can be overridden per sheet (offcuts).
+ * Returns the PDF as a Uint8Array.
+ */
+export function buildJobTicket({
+  title = "CutPro job ticket",
+  details,
+  sheets,
+  sheetW,
+  sheetH,
+  margins,
+  bladeThickness,
+  unit,
+  precision,
+  date = new Date(),
+}) {
+  const pdf = createPdf();
+  const size =
+    unit === "inch" || unit === "ft" ? PAGE_SIZES.letter : PAGE_SIZES.a4;
+  const stamp = date.toLocaleString();
+
+  sheets.forEach((sheet, i) => {
+    const page = pdf.addPage(size.w, size.h);
+    let y = header(page, title, stamp);
+
+    if (i === 0) {
+      for (const [label, value] of details) {
+        page.text(MARGIN, y, label, { size: 10, color: "#6b7280" });
+        page.text(MARGIN + 150, y, String(value), { size: 10, bold: true });
+        y += 15;
+      }
+      y += 10;
+    }
+
+    page.text(MARGIN, y, sheet.label, { size: 12, bold: true });
+    y += 12;
+    const scale = drawSheet(
+      page,
+      {
+        sheetW: sheet.sheetW ?? sheetW,
+        sheetH: sheet.sheetH ?? sheetH,
+        layout: sheet.layout,
+        margins,
+        bladeThickness,
+        cutPlan: sheet.cutPlan,
+      },
+      unit,
+      { x: MARGIN, y, w: size.w - 2 * MARGIN, h: size.h - y - MARGIN - 14 },
+    );
+    page.text(
+      MARGIN,
+      size.h - MARGIN,
+      `Scale 1:${scale.toFixed(1)} · measurements in ${unit} from the top-left corner`,
+      { size: 8, color: "#6b7280" },
+    );
+
+    // cut sequence for this layout, continued over as many pages as needed
+    const steps = sheet.cutPlan ? sheet.cutPlan.steps : [];
+    let stepPage = null;
+    let sy = 0;
+    steps.forEach((step, k) => {
+      if (!stepPage || sy > size.h - MARGIN) {
+        stepPage = pdf.addPage(size.w, size.h);
+        sy = header(stepPage, `${sheet.label} – cut sequence`, stamp);
+      }
+      stepPage.text(MARGIN, sy, `${k + 1}.`, { size: 9, color: "#6b7280" });
+      stepPage.text(
+        MARGIN + 28,
+        sy,
+        describeStep(step, steps[k - 1], unit, precision),
+        {
+          size: 9,
+        },
+      );
+      stepPage.text(
+        size.w - MARGIN,
+        sy,
+        step.pieceIndices.length > 0
+          ? `${step.pieceIndices.length} pcs`
+          : "waste",
+        { size: 9, align: "right", color: "#6b7280" },
+      );
+      sy += 13;
+    });
+  });
+
+  return pdf.toBytes();
+}
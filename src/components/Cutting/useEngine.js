@@ -0,0 +1,33 @@
+import { useEffect, useState } from "react";
+import { createEngine } from "../../engine/client.js";
+
+/*
+ * Layout results for `input` (keep it memoised). Every input, the first
+ * one too, goes to the worker; `result` is null until the first one comes
+ * back and the previous result stays on screen while `pending`.
+ */
+export default function useEngine(input) {
+  const [engine] = useState(() => createEngine());
+  const [done, setDone] = useState({ input: null, result: null, error: "" });
+  const [progress, setProgress] = useState({ input: null, value: 0 });
+
+  useEffect(() => {
+    if (done.input === input) return;
+    const job = engine.run(input, (value) => setProgress({ input, value }));
+    job.promise.then(
+      (result) => setDone({ input, result, error: "" }),
+      (err) =>
+        setDone((d) => ({ input, result: d.result, error: err.message })),
+    );
+    return job.cancel;
+  }, [engine, input, done.input]);
+
+  useEffect(() => () => engine.terminate(), [engine]);
+
+  return {
+    result: done.result,
+    error: done.error,
+    pending: done.input !== input,
+    progress: progress.input === input ? progress.value : 0,
+  };
+}
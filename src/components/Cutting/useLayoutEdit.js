@@ -0,0 +1,92 @@
+import { useEffect, useMemo, useState } from "react";
+import { editConflicts, startEdit } from "../../engine/manualEdit.js";
+
+const LIMIT = 100;
+
+// state update moving `delta` steps through the history of `base`
+const step = (base, delta) => (s) =>
+  s && s.base === base
+    ? {
+        ...s,
+        at: Math.max(0, Math.min(s.history.length - 1, s.at + delta)),
+        selected: -1,
+      }
+    : s;
+
+/*
+ * Hand edits of one computed layout with undo / redo. The history belongs to
+ * `base`; once the layout is recomputed (inputs changed, another sheet
+ * shown) the edits no longer apply and `editing` turns false. `sheet` is
+ * as for manualEdit.js; `conflicts` counts the pieces breaking its rules.
+ */
+export default function useLayoutEdit(base, sheet) {
+  const [state, setState] = useState(null);
+  const editing = !!state && state.base === base;
+  const current = editing ? state.history[state.at] : null;
+  // unchanged edits show the computed layout as it is
+  const changed = editing && state.at > 0;
+
+  // checked once per edit, not on every render
+  const { sheetW, sheetH, margins, bladeThickness, imposition } = sheet;
+  const conflicts = useMemo(
+    () =>
+      changed
+        ? editConflicts(current, {
+            sheetW,
+            sheetH,
+            margins,
+            bladeThickness,
+            imposition,
+          }).length
+        : 0,
+    [changed, current, sheetW, sheetH, margins, bladeThickness, imposition],
+  );
+
+  const start = () =>
+    setState({ base, history: [startEdit(base)], at: 0, selected: -1 });
+
+  // `change(edit)` returns the next edit (or the same one for no change)
+  const apply = (change, selected = -1) =>
+    setState((s) => {
+      if (!s || s.base !== base) return s;
+      const next = change(s.history[s.at]);
+      if (next === s.history[s.at]) return s;
+      const kept = [...s.history.slice(0, s.at + 1), next];
+      // the first entry is the computed layout itself and always stays, so
+      // undoing all the way still tells edited from unchanged
+      const history =
+        kept.length > LIMIT ? [kept[0], ...kept.slice(1 - LIMIT)] : kept;
+      return { ...s, history, at: history.length - 1, selected };
+    });
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) while editing, except in form fields
+  useEffect(() => {
+    if (!editing) return;
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      e.preventDefault();
+      setState(step(base, key === "y" || e.shiftKey ? 1 : -1));
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [editing, base]);
+
+  return {
+    editing,
+    edit: current,
+    changed,
+    conflicts,
+    selected: editing ? state.selected : -1,
+    select: (index) => setState((s) => s && { ...s, selected: index }),
+    start,
+    stop: () => setState(null),
+    apply,
+    undo: () => setState(step(base, -1)),
+    redo: () => setState(step(base, 1)),
+    canUndo: editing && state.at > 0,
+    canRedo: editing && state.at < state.history.length - 1,
+  };
+}
@@ -42,6 +42,19 @@ const Footer = () => {
                     Cutting Center
                   </Link>
                 </li>
+                <li>
+                  <Link to="/jobs" className="hover:text-blue-400 transition">
+                    Jobs
+                  </Link>
+                </li>
+                <li>
+                  <Link
+                    to="/inventory"
+                    className="hover:text-blue-400 transition"
+                  >
+                    Inventory
+                  </Link>
+                </li>
               </ul>
             </div>
 
@@ -0,0 +1,234 @@
+import React, { useState } from "react";
+import { HiMinus, HiPlus, HiX } from "react-icons/hi";
+import DimensionInput from "../Cutting/DimensionInput";
+import { UNIT_FACTORS, toMM } from "../../engine/units";
+import { formatDimension } from "../../engine/dimension";
+import { loadDisplay, precisionFor } from "../Cutting/display";
+import { loadInventory, makeItem, saveInventory } from "./inventoryStore";
+
+/* Full sheets and offcuts in stock; offcuts are added by "Mark job as cut" */
+export default function Inventory() {
+  const [inventory, setInventory] = useState(() => loadInventory());
+  const [unit, setUnit] = useState("mm");
+  // lengths shown to the precision picked in the Cutting Center
+  const [display] = useState(() => loadDisplay());
+  const precision = precisionFor(display, unit);
+  const [draft, setDraft] = useState({
+    kind: "sheet",
+    w: toMM(25, "inch"),
+    h: toMM(35.5, "inch"),
+    qty: 10,
+    material: "",
+  });
+  const [error, setError] = useState("");
+
+  const update = (next) => {
+    setInventory(next);
+    try {
+      saveInventory(next);
+      setError("");
+    } catch (e) {
+      setError(`The inventory could not be saved: ${e.message}`);
+    }
+  };
+
+  const setQty = (id, qty) =>
+    update({
+      ...inventory,
+      items: inventory.items
+        .map((it) => (it.id === id ? { ...it, qty } : it))
+        .filter((it) => it.qty > 0),
+    });
+
+  const addItem = () => {
+    if (!(draft.w > 0) || !(draft.h > 0) || !(draft.qty > 0)) return;
+    update({ ...inventory, items: [...inventory.items, makeItem(draft)] });
+  };
+
+  const fmt = (mm) => formatDimension(mm, unit, precision);
+  const cellInput = "w-full border rounded px-2 py-1.5 text-sm";
+
+  const table = (kind, title, empty) => {
+    const items = inventory.items.filter((it) => it.kind === kind);
+    const total = items.reduce((s, it) => s + it.qty, 0);
+    return (
+      <div className="bg-white rounded-xl p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-lg font-semibold">{title}</div>
+          <div className="text-sm text-gray-500">{total} in stock</div>
+        </div>
+        {items.length === 0 ? (
+          <div className="text-sm text-gray-500">{empty}</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500">
+                <th className="py-1">Size ({unit})</th>
+                <th>Material</th>
+                <th>From</th>
+                <th className="text-right">Qty</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {items.map((it) => (
+                <tr key={it.id}>
+                  <td className="py-1.5 font-medium">
+                    {fmt(it.w)} × {fmt(it.h)}
+                  </td>
+                  <td className="text-gray-600">{it.material || "—"}</td>
+                  <td className="text-gray-500">{it.source || "—"}</td>
+                  <td className="text-right">
+                    <div className="inline-flex items-center gap-1">
+                      <button
+                        onClick={() => setQty(it.id, it.qty - 1)}
+                        aria-label="One less"
+                        className="p-1 text-gray-500 hover:text-gray-800"
+                      >
+                        <HiMinus />
+                      </button>
+                      <span className="w-8 text-center font-semibold">
+                        {it.qty}
+                      </span>
+                      <button
+                        onClick={() => setQty(it.id, it.qty + 1)}
+                        aria-label="One more"
+                        className="p-1 text-gray-500 hover:text-gray-800"
+                      >
+                        <HiPlus />
+                      </button>
+                    </div>
+                  </td>
+                  <td className="text-right">
+                    <button
+                      onClick={() => setQty(it.id, 0)}
+                      aria-label="Remove"
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <HiX />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 sm:p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-3xl font-extrabold">Inventory</h1>
+          <p className="text-sm text-gray-500">
+            The Cutting Center plans offcuts before full sheets and books sheets
+            out when a job is marked as cut.
+          </p>
+        </div>
+        <select
+          value={unit}
+          onChange={(e) => setUnit(e.target.value)}
+          aria-label="Unit"
+          className="border rounded px-3 py-2 text-sm"
+        >
+          {Object.keys(UNIT_FACTORS).map((u) => (
+            <option key={u} value={u}>
+              {u}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="bg-white rounded-xl p-4 space-y-3">
+        <div className="text-lg font-semibold">Add stock</div>
+        <div className="grid grid-cols-2 md:grid-cols-[110px_1fr_1fr_80px_1fr_auto] gap-2 items-end text-sm">
+          <label className="block">
+            <span className="text-xs text-gray-500">Type</span>
+            <select
+              value={draft.kind}
+              onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+              className={cellInput}
+            >
+              <option value="sheet">Full sheet</option>
+              <option value="offcut">Offcut</option>
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-500">Width ({unit})</span>
+            <DimensionInput
+              valueMm={draft.w}
+              unit={unit}
+              precision={precision}
+              onChange={(w) => setDraft({ ...draft, w })}
+              className={cellInput}
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-500">Height ({unit})</span>
+            <DimensionInput
+              valueMm={draft.h}
+              unit={unit}
+              precision={precision}
+              onChange={(h) => setDraft({ ...draft, h })}
+              className={cellInput}
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-500">Qty</span>
+            <input
+              type="text"
+              inputMode="numeric"
+              value={draft.qty}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  qty: Number(e.target.value.replace(/[^0-9]/g, "")) || 0,
+                })
+              }
+              className={cellInput}
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-500">Material</span>
+            <input
+              value={draft.material}
+              onChange={(e) => setDraft({ ...draft, material: e.target.value })}
+              placeholder="e.g. 3 mm acrylic"
+              className={cellInput}
+            />
+          </label>
+          <button
+            onClick={addItem}
+            className="px-4 py-2 rounded bg-indigo-600 text-white font-medium"
+          >
+            Add
+          </button>
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          <span className="text-gray-600">
+            Keep offcuts at least ({unit}) on each side
+          </span>
+          <DimensionInput
+            valueMm={inventory.minOffcut}
+            unit={unit}
+            precision={precision}
+            onChange={(minOffcut) => update({ ...inventory, minOffcut })}
+            className="w-24 border rounded px-2 py-1"
+            emptyAsZero
+          />
+        </label>
+      </div>
+
+      {table("sheet", "Full sheets", "No full sheets recorded.")}
+      {table(
+        "offcut",
+        "Offcuts",
+        "No offcuts yet. Reusable leftovers are added when a job is marked as cut.",
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React from "react";
+import { Link } from "react-router";
+
+/* Cutting Center side panel: which stock the plan draws from and booking
+   the job as cut */
+export default function StockPanel({
+  materials,
+  material,
+  onMaterialChange,
+  useOffcuts,
+  onUseOffcutsChange,
+  offcutsAvailable,
+  offcutsUsed,
+  sheetsNeeded,
+  sheetsInStock,
+  onMarkCut,
+  report,
+  error,
+}) {
+  const short = sheetsNeeded - sheetsInStock;
+
+  return (
+    <div className="space-y-3 text-sm">
+      {materials.length > 0 && (
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-gray-600">Material</span>
+          <select
+            value={material}
+            onChange={(e) => onMaterialChange(e.target.value)}
+            className="border rounded px-2 py-1"
+          >
+            <option value="">Any</option>
+            {materials.map((m) => (
+              <option key={m} value={m}>
+                {m}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={useOffcuts}
+          onChange={(e) => onUseOffcutsChange(e.target.checked)}
+          className="w-4 h-4 accent-indigo-600"
+        />
+        <span>
+          Use offcuts first{" "}
+          <span className="text-gray-400">({offcutsAvailable} in stock)</span>
+        </span>
+      </label>
+
+      <dl className="grid grid-cols-2 gap-y-1">
+        <dt className="text-gray-500">Offcuts used</dt>
+        <dd className="text-right font-semibold">{offcutsUsed}</dd>
+        <dt className="text-gray-500">Full sheets needed</dt>
+        <dd className="text-right font-semibold">{sheetsNeeded}</dd>
+        <dt className="text-gray-500">Full sheets in stock</dt>
+        <dd
+          className={`text-right font-semibold ${short > 0 ? "text-red-600" : ""}`}
+        >
+          {sheetsInStock}
+        </dd>
+      </dl>
+      {short > 0 && (
+        <div className="text-red-600">
+          {short} more full {short === 1 ? "sheet" : "sheets"} needed than in
+          stock.
+        </div>
+      )}
+
+      <button
+        onClick={onMarkCut}
+        disabled={sheetsNeeded + offcutsUsed === 0}
+        className="w-full px-4 py-2 rounded bg-indigo-600 text-white font-medium disabled:opacity-50"
+      >
+        Mark job as cut
+      </button>
+
+      {report && (
+        <div className="rounded-lg bg-emerald-50 text-emerald-800 p-2">
+          Booked: {report.usedSheets} full sheets and {report.usedOffcuts}{" "}
+          offcuts used, {report.newOffcuts} new offcuts added.
+          {report.missingSheets > 0 &&
+            ` ${report.missingSheets} sheets were not in the inventory.`}
+        </div>
+      )}
+      {error && <div className="text-red-600">{error}</div>}
+
+      <Link to="/inventory" className="text-indigo-700 hover:underline">
+        Manage inventory
+      </Link>
+    </div>
+  );
+}
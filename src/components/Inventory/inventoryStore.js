@@ -0,0 +1,178 @@
+/* ===== Stock inventory: full sheets and offcuts (browser localStorage) ===== */
+import { offcutsFromLayout } from "../../engine/offcuts.js";
+import { readJson, writeJson } from "../Cutting/storage.js";
+
+const STORAGE_KEY = "cutpro.inventory.v1";
+
+// offcuts with a side shorter than this (mm) are thrown away
+export const DEFAULT_MIN_OFFCUT = 100;
+
+// sizes within this many mm count as the same stock
+const SIZE_TOLERANCE = 0.5;
+
+let nextItemId = 1;
+
+export function makeItem({
+  kind = "sheet",
+  w,
+  h,
+  qty = 1,
+  material = "",
+  source = "",
+}) {
+  return {
+    id: `s${Date.now().toString(36)}${nextItemId++}`,
+    kind,
+    w,
+    h,
+    qty,
+    material: material.trim(),
+    source,
+    addedAt: Date.now(),
+  };
+}
+
+export function loadInventory() {
+  const data = readJson(STORAGE_KEY, null);
+  const items = Array.isArray(data?.items) ? data.items : [];
+  return {
+    items: items.filter(
+      (it) =>
+        it &&
+        it.id &&
+        (it.kind === "sheet" || it.kind === "offcut") &&
+        Number(it.w) > 0 &&
+        Number(it.h) > 0 &&
+        Number(it.qty) > 0,
+    ),
+    minOffcut:
+      Number(data?.minOffcut) >= 0
+        ? Number(data.minOffcut)
+        : DEFAULT_MIN_OFFCUT,
+  };
+}
+
+export function saveInventory(inventory) {
+  writeJson(STORAGE_KEY, inventory);
+}
+
+export function materialsOf(inventory) {
+  return [
+    ...new Set(inventory.items.map((it) => it.material).filter(Boolean)),
+  ].sort();
+}
+
+function sameSize(item, w, h) {
+  const near = (a, b) => Math.abs(a - b) <= SIZE_TOLERANCE;
+  return (
+    (near(item.w, w) && near(item.h, h)) || (near(item.w, h) && near(item.h, w))
+  );
+}
+
+// empty material = any
+function matches(item, material) {
+  return !material || item.material === material;
+}
+
+// One entry per physical offcut, smallest first so remnants get used up
+export function offcutUnits(inventory, material) {
+  const units = [];
+  for (const it of inventory.items) {
+    if (it.kind !== "offcut" || !matches(it, material)) continue;
+    for (let i = 0; i < it.qty; i++) {
+      units.push({ id: it.id, w: it.w, h: it.h });
+    }
+  }
+  return units.sort((a, b) => a.w * a.h - b.w * b.h);
+}
+
+export function sheetsInStock(inventory, w, h, material) {
+  return inventory.items
+    .filter(
+      (it) =>
+        it.kind === "sheet" && matches(it, material) && sameSize(it, w, h),
+    )
+    .reduce((s, it) => s + it.qty, 0);
+}
+
+/*
+ * Book a job as cut: the offcuts and full sheets it used leave the
+ * inventory and the reusable remnants of every sheet are added as offcuts.
+ * `sheets` are plan sheets (those on an offcut carry `stock`). Returns
+ * { inventory, usedOffcuts, usedSheets, missingSheets, newOffcuts }.
+ */
+export function recordCutJob(
+  inventory,
+  { sheets, sheetW, sheetH, bladeThickness, material = "", source = "" },
+) {
+  const take = new Map(); // item id -> count
+  let fullSheets = 0;
+  for (const sheet of sheets) {
+    if (sheet.stock) {
+      take.set(sheet.stock.id, (take.get(sheet.stock.id) || 0) + 1);
+    } else {
+      fullSheets++;
+    }
+  }
+
+  let missingSheets = fullSheets;
+  const items = [];
+  for (const it of inventory.items) {
+    let qty = it.qty - (take.get(it.id) || 0);
+    if (
+      it.kind === "sheet" &&
+      missingSheets > 0 &&
+      matches(it, material) &&
+      sameSize(it, sheetW, sheetH)
+    ) {
+      const used = Math.min(qty, missingSheets);
+      qty -= used;
+      missingSheets -= used;
+    }
+    if (qty > 0) items.push({ ...it, qty });
+  }
+
+  // remnants, merged by size
+  const bySize = new Map();
+  const sourceOf = new Map(inventory.items.map((it) => [it.id, it]));
+  const rectsOf = new Map(); // repeated sheets share one object
+  for (const sheet of sheets) {
+    const mat = sheet.stock
+      ? sourceOf.get(sheet.stock.id)?.material || material
+      : material;
+    if (!rectsOf.has(sheet)) {
+      rectsOf.set(
+        sheet,
+        offcutsFromLayout({
+          sheetW: sheet.stock ? sheet.stock.w : sheetW,
+          sheetH: sheet.stock ? sheet.stock.h : sheetH,
+          layout: sheet,
+          bladeThickness,
+          minSide: inventory.minOffcut,
+        }),
+      );
+    }
+    const rects = rectsOf.get(sheet);
+    for (const r of rects) {
+      const rw = Math.round(r.w * 100) / 100;
+      const rh = Math.round(r.h * 100) / 100;
+      const key = `${rw}x${rh}:${mat}`;
+      const prev = bySize.get(key);
+      if (prev) prev.qty++;
+      else
+        bySize.set(
+          key,
+          makeItem({ kind: "offcut", w: rw, h: rh, material: mat, source }),
+        );
+    }
+  }
+  const newOffcuts = [...bySize.values()];
+
+  return {
+    inventory: { ...inventory, items: [...items, ...newOffcuts] },
+    usedOffcuts: [...take.values()].reduce((s, n) => s + n, 0),
+    usedSheets: fullSheets - missingSheets,
+    missingSheets,
+    newOffcuts: newOffcuts.reduce((s, it) => s + it.qty, 0),
+  };
+}
@@ -0,0 +1,162 @@
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router";
+import { toDisplay } from "../../engine/units";
+import {
+  deleteJob,
+  duplicateJob,
+  loadJobs,
+  searchJobs,
+  updateJob,
+} from "./jobsStore";
+
+function summary(config) {
+  const f = (mm) => toDisplay(mm, config.unit);
+  const sheet = `${f(config.sheetWmm)} × ${f(config.sheetHmm)} ${config.unit}`;
+  const cut =
+    config.mode === "list"
+      ? `${config.cutList.length} sizes`
+      : `${f(config.cutWmm)} × ${f(config.cutHmm)}`;
+  return `${sheet} · ${cut}`;
+}
+
+/* Saved jobs library: search, open, rename, duplicate and delete */
+export default function Jobs() {
+  const navigate = useNavigate();
+  const [jobs, setJobs] = useState(() => loadJobs());
+  const [query, setQuery] = useState("");
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [error, setError] = useState("");
+
+  // run a storage action, then reload the list
+  const act = (fn) => {
+    try {
+      fn();
+      setError("");
+    } catch (e) {
+      setError(`Could not update saved jobs: ${e.message}`);
+    }
+    setJobs(loadJobs());
+  };
+
+  const commitRename = () => {
+    if (renaming && renaming.name.trim()) {
+      act(() => updateJob(renaming.id, { name: renaming.name.trim() }));
+    }
+    setRenaming(null);
+  };
+
+  const shown = searchJobs(jobs, query);
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 sm:p-6 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-3xl font-extrabold">Saved jobs</h1>
+          <p className="text-sm text-gray-500">
+            Stored in this browser only — available offline.
+          </p>
+        </div>
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search name, customer or notes"
+          aria-label="Search jobs"
+          className="w-full sm:w-72 px-3 py-2 border rounded focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      {jobs.length === 0 ? (
+        <div className="bg-white rounded-xl p-8 text-center text-gray-500 space-y-3">
+          <div>No saved jobs yet.</div>
+          <Link
+            to="/cuttingCenter"
+            className="inline-block px-4 py-2 rounded bg-indigo-600 text-white"
+          >
+            Open the Cutting Center
+          </Link>
+        </div>
+      ) : shown.length === 0 ? (
+        <div className="bg-white rounded-xl p-8 text-center text-gray-500">
+          No jobs match “{query}”.
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {shown.map((job) => (
+            <li
+              key={job.id}
+              className="bg-white rounded-xl p-4 flex flex-col md:flex-row md:items-center gap-3"
+            >
+              <div className="flex-1 min-w-0 space-y-1">
+                {renaming && renaming.id === job.id ? (
+                  <input
+                    autoFocus
+                    value={renaming.name}
+                    onChange={(e) =>
+                      setRenaming({ id: job.id, name: e.target.value })
+                    }
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") commitRename();
+                      if (e.key === "Escape") setRenaming(null);
+                    }}
+                    aria-label="Job name"
+                    className="w-full px-2 py-1 border rounded font-semibold"
+                  />
+                ) : (
+                  <div className="font-semibold truncate">{job.name}</div>
+                )}
+                <div className="text-sm text-gray-600">
+                  {job.customer && <span>{job.customer} · </span>}
+                  {summary(job.config)}
+                </div>
+                {job.notes && (
+                  <div className="text-sm text-gray-500 truncate">
+                    {job.notes}
+                  </div>
+                )}
+                <div className="text-xs text-gray-400">
+                  Updated {new Date(job.updatedAt).toLocaleString()}
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-2 text-sm">
+                <button
+                  onClick={() =>
+                    navigate("/cuttingCenter", { state: { jobId: job.id } })
+                  }
+                  className="px-3 py-1.5 rounded bg-indigo-600 text-white"
+                >
+                  Open
+                </button>
+                <button
+                  onClick={() => setRenaming({ id: job.id, name: job.name })}
+                  className="px-3 py-1.5 rounded border text-gray-700 hover:bg-gray-50"
+                >
+                  Rename
+                </button>
+                <button
+                  onClick={() => act(() => duplicateJob(job.id))}
+                  className="px-3 py-1.5 rounded border text-gray-700 hover:bg-gray-50"
+                >
+                  Duplicate
+                </button>
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Delete “${job.name}”?`)) {
+                      act(() => deleteJob(job.id));
+                    }
+                  }}
+                  className="px-3 py-1.5 rounded border text-red-600 hover:bg-red-50"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { Link } from "react-router";
+
+/* Name / customer / notes form for saving the Cutting Center inputs.
+   With an opened job it offers both "Save" (overwrite) and "Save as new". */
+export default function SaveJob({ job, onSave, onClose }) {
+  const [name, setName] = useState(job ? job.name : "");
+  const [customer, setCustomer] = useState(job ? job.customer : "");
+  const [notes, setNotes] = useState(job ? job.notes : "");
+  const [error, setError] = useState("");
+
+  const submit = (asNew) => {
+    try {
+      onSave({ name, customer, notes }, asNew);
+    } catch (e) {
+      setError(`Could not save the job: ${e.message}`);
+    }
+  };
+
+  const input =
+    "w-full px-3 py-2 border rounded focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+  return (
+    <div className="bg-white rounded-xl p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-lg font-semibold">
+          {job ? "Save job" : "Save as a new job"}
+        </div>
+        <Link to="/jobs" className="text-sm text-indigo-700 hover:underline">
+          Browse saved jobs
+        </Link>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Job name"
+          aria-label="Job name"
+          className={input}
+        />
+        <input
+          value={customer}
+          onChange={(e) => setCustomer(e.target.value)}
+          placeholder="Customer"
+          aria-label="Customer"
+          className={input}
+        />
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="Notes"
+          aria-label="Notes"
+          rows={2}
+          className={`${input} sm:col-span-2`}
+        />
+      </div>
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => submit(false)}
+          disabled={!name.trim()}
+          className="px-4 py-2 rounded bg-indigo-600 text-white font-medium disabled:opacity-50"
+        >
+          Save
+        </button>
+        {job && (
+          <button
+            onClick={() => submit(true)}
+            disabled={!name.trim()}
+            className="px-4 py-2 rounded border text-gray-700 disabled:opacity-50"
+          >
+            Save as new
+          </button>
+        )}
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded text-gray-500 hover:text-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
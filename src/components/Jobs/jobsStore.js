@@ -0,0 +1,96 @@
+/* ===== Saved jobs library (browser localStorage) ===== */
+import { normalizeConfig } from "../Cutting/config.js";
+import { readJson, writeJson } from "../Cutting/storage.js";
+
+const STORAGE_KEY = "cutpro.jobs.v1";
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Every saved job, most recently updated first
+export function loadJobs() {
+  const data = readJson(STORAGE_KEY, []);
+  if (!Array.isArray(data)) return [];
+  return data
+    .filter((j) => j && j.id && j.name)
+    .map((j) => ({
+      ...j,
+      // older or imported jobs may lack the optional fields
+      customer: typeof j.customer === "string" ? j.customer : "",
+      notes: typeof j.notes === "string" ? j.notes : "",
+      config: normalizeConfig(j.config),
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function writeJobs(jobs) {
+  writeJson(STORAGE_KEY, jobs);
+}
+
+export function getJob(id) {
+  return loadJobs().find((j) => j.id === id) || null;
+}
+
+export function createJob({ name, customer = "", notes = "", config }) {
+  const now = Date.now();
+  const job = {
+    id: newId(),
+    name: name.trim() || "Untitled job",
+    customer: customer.trim(),
+    notes: notes.trim(),
+    config: normalizeConfig(config),
+    createdAt: now,
+    updatedAt: now,
+  };
+  writeJobs([job, ...loadJobs()]);
+  return job;
+}
+
+// the text fields of `changes`, trimmed the way createJob stores them
+function trimmed({ name, customer, notes }) {
+  const out = {};
+  if (typeof name === "string") out.name = name.trim() || "Untitled job";
+  if (typeof customer === "string") out.customer = customer.trim();
+  if (typeof notes === "string") out.notes = notes.trim();
+  return out;
+}
+
+export function updateJob(id, changes) {
+  let updated = null;
+  const jobs = loadJobs().map((j) => {
+    if (j.id !== id) return j;
+    updated = {
+      ...j,
+      ...changes,
+      ...trimmed(changes),
+      id,
+      config: normalizeConfig(changes.config || j.config),
+      updatedAt: Date.now(),
+    };
+    return updated;
+  });
+  if (updated) writeJobs(jobs);
+  return updated;
+}
+
+export function duplicateJob(id) {
+  const job = getJob(id);
+  if (!job) return null;
+  return createJob({ ...job, name: `${job.name} (copy)` });
+}
+
+export function deleteJob(id) {
+  writeJobs(loadJobs().filter((j) => j.id !== id));
+}
+
+// Case-insensitive match on name, customer and notes
+export function searchJobs(jobs, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return jobs;
+  return jobs.filter((j) =>
+    [j.name, j.customer, j.notes].some((s) =>
+      (s || "").toLowerCase().includes(q),
+    ),
+  );
+}
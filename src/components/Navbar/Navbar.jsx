@@ -41,6 +41,16 @@ const Navbar = () => {
                 Cutting Center
               </Link>
             </li>
+            <li>
+              <Link to="/jobs" className="hover:text-blue-600">
+                Jobs
+              </Link>
+            </li>
+            <li>
+              <Link to="/inventory" className="hover:text-blue-600">
+                Inventory
+              </Link>
+            </li>
           </ul>
 
           {/* MOBILE BUTTON */}
@@ -69,6 +79,16 @@ const Navbar = () => {
                 Cutting Center
               </Link>
             </li>
+            <li>
+              <Link to="/jobs" onClick={handleClose} className="block">
+                Jobs
+              </Link>
+            </li>
+            <li>
+              <Link to="/inventory" onClick={handleClose} className="block">
+                Inventory
+              </Link>
+            </li>
           </ul>
         </div>
       )}
@@ -0,0 +1,208 @@
+/* ===== Candidate layouts for a single cut size ===== */
+import { buildCutPlan, cutStats } from "./cutPlan.js";
+import { computeForOrientation, countForOrientation } from "./grid.js";
+import { NO_IMPOSITION, impositionPacking, trimLayout } from "./imposition.js";
+import { packRecursive } from "./recursive.js";
+
+// `orientations` limits how pieces may lie (grain); the rotation fill and
+// mixed recursive layouts need both. With an imposition the packers place
+// bleed boxes and the layouts are trimmed back afterwards (imposition.js).
+export function buildCandidates({
+  sheetW,
+  sheetH,
+  pieceW: trimW,
+  pieceH: trimH,
+  margins,
+  bladeThickness,
+  orientations: allowed = ["normal", "rotated"],
+  imposition = NO_IMPOSITION,
+}) {
+  const packing = impositionPacking({ margins, bladeThickness, imposition });
+  const common = {
+    sheetW,
+    sheetH,
+    margins: packing.margins,
+    bladeThickness: packing.spacing,
+  };
+  // an empty size stays empty rather than becoming a bleed-only piece
+  const pieceW = trimW > 0 ? trimW + packing.grow : 0;
+  const pieceH = trimH > 0 ? trimH + packing.grow : 0;
+  const trim = (layout) => trimLayout(layout, imposition, sheetW * sheetH);
+  const list = [];
+  const canTurn = allowed.length > 1;
+
+  for (const orientation of allowed) {
+    const dims =
+      orientation === "normal"
+        ? { pieceW, pieceH }
+        : { pieceW: pieceH, pieceH: pieceW };
+    for (const fill of canTurn ? [true, false] : [false]) {
+      const layout = trim(
+        computeForOrientation({
+          ...common,
+          ...dims,
+          enableRotation: fill,
+        }),
+      );
+      // fill pieces are turned relative to the main grid; flag them
+      // relative to the size as entered
+      if (orientation === "rotated") {
+        layout.pieces = layout.pieces.map((p) => ({
+          ...p,
+          rotated: !p.rotated,
+        }));
+      }
+      layout.chosenOrientation = orientation;
+      list.push({
+        key: `grid-${orientation}${fill ? "-fill" : ""}`,
+        label: `Grid · ${orientation}${fill ? " + rotation fill" : ""}`,
+        algorithm: "grid",
+        usesRotationFill: fill,
+        layout,
+      });
+    }
+  }
+
+  const recursiveSets = canTurn
+    ? [["normal", "rotated"], ["normal"], ["rotated"]]
+    : [allowed];
+  for (const orientations of recursiveSets) {
+    const layout = trim(
+      packRecursive({ ...common, pieceW, pieceH, orientations }),
+    );
+    const rotatedCount = layout.pieces.filter((p) => p.rotated).length;
+    layout.chosenOrientation =
+      rotatedCount === 0
+        ? "normal"
+        : rotatedCount === layout.pieces.length
+          ? "rotated"
+          : "mixed";
+    const mixed = orientations.length > 1;
+    list.push({
+      key: `recursive-${mixed ? "mixed" : orientations[0]}`,
+      label: `Recursive · ${mixed ? "mixed" : orientations[0]}`,
+      algorithm: "recursive",
+      usesRotationFill: mixed,
+      layout,
+    });
+  }
+
+  // cut counts for each (the full plan is built for the chosen one only,
+  // see withCutPlan); layouts identical to an earlier candidate are marked
+  // so the compare panel can skip them, and share its counts
+  const seen = new Map();
+  return list.map((c) => {
+    const sig = c.layout.pieces
+      .map((p) => `${p.x},${p.y},${p.w},${p.h}`)
+      .join(";");
+    const first = seen.get(sig);
+    if (!first) {
+      seen.set(sig, {
+        key: c.key,
+        cuts: cutStats({
+          sheetW,
+          sheetH,
+          pieces: c.layout.pieces,
+          bladeThickness,
+        }),
+      });
+    }
+    const { key, cuts } = seen.get(sig);
+    return { ...c, duplicateOf: first ? key : null, cuts };
+  });
+}
+
+// `c` with its full cut sequence, for the candidate that is shown and cut
+export function withCutPlan(c, { sheetW, sheetH, bladeThickness }) {
+  return {
+    ...c,
+    cutPlan: buildCutPlan({
+      sheetW,
+      sheetH,
+      pieces: c.layout.pieces,
+      bladeThickness,
+    }),
+  };
+}
+
+// press sheets keep the parent's grain direction, so they only turn on
+// sheets without grain
+export const PRESS_ORIENTATIONS = {
+  free: ["normal", "rotated"],
+  grained: ["normal"],
+};
+
+// most pieces, then least waste, then fewest cuts
+export function pickBest(list, fallback) {
+  if (list.length === 0) return pickBest(fallback, []);
+  return list.reduce((best, c) => {
+    if (!best) return c;
+    const a = c.layout;
+    const b = best.layout;
+    if (a.totalPieces !== b.totalPieces)
+      return a.totalPieces > b.totalPieces ? c : best;
+    if (Math.abs(a.wastePercent - b.wastePercent) > 1e-9)
+      return a.wastePercent < b.wastePercent ? c : best;
+    return c.cuts.cutCount < best.cuts.cutCount ? c : best;
+  }, null);
+}
+
+/*
+ * Grid pieces per sheet for the sizes as given and after `round` (e.g. to
+ * the figures on screen). Different counts mean a size sits on the fit
+ * boundary and the rounded figures would not add up. Only counted, not laid
+ * out, so it stays cheap enough for every edit on the main thread.
+ */
+export function roundedFit(
+  {
+    sheetW,
+    sheetH,
+    pieceW,
+    pieceH,
+    margins,
+    bladeThickness,
+    orientations = ["normal", "rotated"],
+    imposition = NO_IMPOSITION,
+    rotationFill = false,
+  },
+  round,
+) {
+  const count = (s) => {
+    const packing = impositionPacking({
+      margins: s.margins,
+      bladeThickness: s.bladeThickness,
+      imposition,
+    });
+    const grow = (v) => (v > 0 ? v + packing.grow : 0);
+    return Math.max(
+      ...orientations.map((o) => {
+        const [w, h] =
+          o === "normal" ? [s.pieceW, s.pieceH] : [s.pieceH, s.pieceW];
+        return countForOrientation({
+          sheetW: s.sheetW,
+          sheetH: s.sheetH,
+          pieceW: grow(w),
+          pieceH: grow(h),
+          margins: packing.margins,
+          bladeThickness: packing.spacing,
+          enableRotation: rotationFill && orientations.length > 1,
+        });
+      }),
+    );
+  };
+  const exact = { sheetW, sheetH, pieceW, pieceH, margins, bladeThickness };
+  const shown = {
+    sheetW: round(sheetW),
+    sheetH: round(sheetH),
+    pieceW: round(pieceW),
+    pieceH: round(pieceH),
+    margins: {
+      top: round(margins.top),
+      right: round(margins.right),
+      bottom: round(margins.bottom),
+      left: round(margins.left),
+    },
+    bladeThickness: round(bladeThickness),
+  };
+  return { exact: count(exact), shown: count(shown) };
+}
@@ -0,0 +1,95 @@
+/* ===== Runs computeJob in a Web Worker, one job at a time ===== */
+// Starting a job while another is still running cancels the stale one: the
+// busy worker is terminated and a fresh one takes the new job. Without Worker
+// support (Node, tests) jobs run on the main thread after a tick.
+
+import { computeJob } from "./computeJob.js";
+
+/*
+ * Returns { run, terminate }. run(input, onProgress) gives back
+ * { promise, cancel }; a cancelled job's promise never settles.
+ */
+export function createEngine() {
+  let worker = null;
+  let current = null; // { id, resolve, reject, onProgress, timer }
+  let nextId = 1;
+
+  const settle = (id, fn) => {
+    if (!current || current.id !== id) return;
+    const job = current;
+    current = null;
+    fn(job);
+  };
+
+  const spawn = () => {
+    const w = new Worker(new URL("./engine.worker.js", import.meta.url), {
+      type: "module",
+    });
+    w.onmessage = (e) => {
+      const msg = e.data;
+      if (!current || current.id !== msg.id) return;
+      if (msg.type === "progress") current.onProgress(msg.value);
+      else if (msg.type === "done")
+        settle(msg.id, (j) => j.resolve(msg.result));
+      else settle(msg.id, (j) => j.reject(new Error(msg.message)));
+    };
+    w.onerror = (e) => {
+      e.preventDefault();
+      terminate();
+      if (current) {
+        settle(current.id, (j) =>
+          j.reject(new Error(e.message || "The layout engine stopped.")),
+        );
+      }
+    };
+    return w;
+  };
+
+  const terminate = () => {
+    if (worker) worker.terminate();
+    worker = null;
+  };
+
+  const cancel = () => {
+    if (!current) return;
+    clearTimeout(current.timer);
+    current = null;
+    terminate();
+  };
+
+  const run = (input, onProgress = () => {}) => {
+    cancel();
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+      current = { id, resolve, reject, onProgress, timer: null };
+    });
+    if (typeof Worker === "undefined") {
+      current.timer = setTimeout(() => {
+        try {
+          const result = computeJob(input, onProgress);
+          settle(id, (j) => j.resolve(result));
+        } catch (err) {
+          settle(id, (j) => j.reject(err));
+        }
+      }, 0);
+    } else {
+      if (!worker) worker = spawn();
+      worker.postMessage({ id, input });
+    }
+    return {
+      promise,
+      cancel: () => {
+        if (current && current.id === id) cancel();
+      },
+    };
+  };
+
+  return {
+    run,
+    // stops the worker; the engine starts a new one on the next run
+    terminate: () => {
+      cancel();
+      terminate();
+    },
+  };
+}
@@ -0,0 +1,281 @@
+/* ===== Everything the Cutting Center shows for one set of inputs ===== */
+// Pure and synchronous; the worker runs it off the main thread. Lengths in
+// mm. `onProgress(fraction)` is called between the expensive steps.
+
+import {
+  PRESS_ORIENTATIONS,
+  buildCandidates,
+  pickBest,
+  withCutPlan,
+} from "./candidates.js";
+import { buildCutPlan } from "./cutPlan.js";
+import { allowedOrientations, grainItems } from "./grain.js";
+import { NO_MARGINS } from "./margins.js";
+import { planCutListJob, planSingleSizeJob } from "./planning.js";
+import { planParentSheets } from "./pressSheets.js";
+import { verifyLayout } from "./verify.js";
+
+/*
+ * input: { mode, sheetW, sheetH, cutW, cutH, cutList, targetQty, margins,
+ * bladeThickness, imposition, sheetGrain, pieceGrain, algorithm,
+ * enableRotation, selectedCandidate, offcuts, press }
+ *
+ * Returns { candidates, autoKey, chosenKey, gridKey, plan, groupCutPlans,
+ * parentCut, parents, quoteGroups, problems }; `groupCutPlans` lines up with
+ * `plan.groups`, `problems` lists broken layout invariants (verify.js).
+ */
+export function computeJob(input, onProgress = () => {}) {
+  const {
+    mode,
+    sheetW,
+    sheetH,
+    cutW,
+    cutH,
+    cutList,
+    targetQty,
+    margins,
+    bladeThickness,
+    imposition,
+    sheetGrain,
+    pieceGrain,
+    algorithm,
+    enableRotation,
+    selectedCandidate,
+    offcuts,
+    press,
+  } = input;
+  // with press sheets the pieces are laid out on the press sheet
+  const twoLevel = press.enabled && press.wmm > 0 && press.hmm > 0;
+  const layoutW = twoLevel ? press.wmm : sheetW;
+  const layoutH = twoLevel ? press.hmm : sheetH;
+  const orientations = allowedOrientations(sheetGrain, pieceGrain);
+  const common = { margins, bladeThickness, orientations, imposition };
+
+  // best candidate allowed by the rotation switch and algorithm choice,
+  // unless one was picked in the compare panel
+  const allowed = (c) =>
+    c.algorithm === algorithm && (enableRotation || !c.usesRotationFill);
+  const layoutFor = (w, h) => {
+    const list = buildCandidates({
+      ...common,
+      sheetW: w,
+      sheetH: h,
+      pieceW: cutW,
+      pieceH: cutH,
+    });
+    return pickBest(list.filter(allowed), list);
+  };
+
+  onProgress(0);
+  const candidates = buildCandidates({
+    ...common,
+    sheetW: layoutW,
+    sheetH: layoutH,
+    pieceW: cutW,
+    pieceH: cutH,
+  });
+  const auto = pickBest(candidates.filter(allowed), candidates);
+  const chosen = withCutPlan(
+    candidates.find((c) => c.key === selectedCandidate) || auto,
+    { sheetW: layoutW, sheetH: layoutH, bladeThickness },
+  );
+  const grid = pickBest(
+    candidates.filter(
+      (c) => c.algorithm === "grid" && (enableRotation || !c.usesRotationFill),
+    ),
+    candidates,
+  );
+  const best = chosen.layout;
+  onProgress(0.25);
+
+  // multi-sheet plan: the cut list always, single size only with a target;
+  // offcuts get the best layout the current switches allow
+  let plan = null;
+  if (mode === "list") {
+    plan = planCutListJob({
+      sheetW: layoutW,
+      sheetH: layoutH,
+      items: grainItems(cutList, sheetGrain),
+      margins,
+      bladeThickness,
+      imposition,
+      offcuts,
+    });
+  } else if (Number(targetQty) > 0) {
+    plan = planSingleSizeJob({
+      layout: best,
+      targetQty: Number(targetQty),
+      sheetW: layoutW,
+      sheetH: layoutH,
+      offcuts,
+      layoutFor: (w, h) => layoutFor(w, h).layout,
+    });
+  }
+  onProgress(0.5);
+
+  // level 1 of a two-level job: press sheets on the parent (plus its cuts)
+  let parentCut = null;
+  let parents = null;
+  if (twoLevel) {
+    const list = buildCandidates({
+      sheetW,
+      sheetH,
+      pieceW: press.wmm,
+      pieceH: press.hmm,
+      margins: NO_MARGINS,
+      bladeThickness,
+      orientations:
+        sheetGrain === "none"
+          ? PRESS_ORIENTATIONS.free
+          : PRESS_ORIENTATIONS.grained,
+    });
+    parentCut = withCutPlan(pickBest(list, list), {
+      sheetW,
+      sheetH,
+      bladeThickness,
+    });
+    // without a plan, one parent's worth of press sheets
+    const pressSheets = plan
+      ? plan.sheets
+      : mode === "list"
+        ? []
+        : Array(parentCut.layout.totalPieces).fill(best);
+    parents = planParentSheets({
+      parentW: sheetW,
+      parentH: sheetH,
+      parentLayout: parentCut.layout,
+      pressW: press.wmm,
+      pressH: press.hmm,
+      pressSheets,
+    });
+  }
+  onProgress(0.6);
+
+  // cut plan per distinct sheet layout
+  const groups = plan ? plan.groups : [];
+  const groupCutPlans = groups.map((g, i) => {
+    const cutPlan = buildCutPlan({
+      sheetW: g.sheet.stock ? g.sheet.stock.w : layoutW,
+      sheetH: g.sheet.stock ? g.sheet.stock.h : layoutH,
+      pieces: g.sheet.pieces,
+      bladeThickness,
+    });
+    onProgress(0.6 + (0.4 * (i + 1)) / groups.length);
+    return cutPlan;
+  });
+
+  // every distinct layout that will be cut is checked
+  const sheetRules = { margins, bladeThickness, imposition };
+  const checked = plan
+    ? groups.map((g) => ({
+        label: `Sheet ${g.from + 1}`,
+        layout: g.sheet,
+        sheetW: g.sheet.stock ? g.sheet.stock.w : layoutW,
+        sheetH: g.sheet.stock ? g.sheet.stock.h : layoutH,
+        ...sheetRules,
+      }))
+    : mode === "list"
+      ? []
+      : [
+          {
+            label: twoLevel ? "Press sheet" : "Sheet",
+            layout: best,
+            sheetW: layoutW,
+            sheetH: layoutH,
+            ...sheetRules,
+          },
+        ];
+  if (parentCut) {
+    checked.push({
+      label: "Parent sheet",
+      layout: parentCut.layout,
+      sheetW,
+      sheetH,
+      margins: NO_MARGINS,
+      bladeThickness,
+    });
+  }
+  const problems = checked.flatMap(({ label, layout, ...sheet }) =>
+    verifyLayout(layout, sheet).map((p) => ({
+      ...p,
+      message: `${label}: ${p.message}`,
+    })),
+  );
+
+  return {
+    candidates: candidates.map((c) => (c.key === chosen.key ? chosen : c)),
+    autoKey: auto.key,
+    chosenKey: chosen.key,
+    gridKey: grid.key,
+    plan,
+    groupCutPlans,
+    parentCut,
+    parents,
+    quoteGroups: quoteGroupsOf({
+      mode,
+      plan,
+      groupCutPlans,
+      chosen,
+      parentCut,
+      parents,
+      sheetW,
+      sheetH,
+      layoutW,
+      layoutH,
+    }),
+    problems,
+  };
+}
+
+// Per distinct sheet layout: size, pieces, waste and cuts for the quote
+function quoteGroupsOf({
+  mode,
+  plan,
+  groupCutPlans,
+  chosen,
+  parentCut,
+  parents,
+  sheetW,
+  sheetH,
+  layoutW,
+  layoutH,
+}) {
+  if (mode === "list" && !plan) return [];
+  const groups = plan
+    ? plan.groups.map((g, i) => ({ ...g, cuts: groupCutPlans[i].cutCount }))
+    : [
+        {
+          count: parents ? parents.perParent : 1,
+          sheet: chosen.layout,
+          cuts: chosen.cutPlan.cutCount,
+        },
+      ];
+  const sheetGroups = groups.map(({ count, sheet, cuts }) => {
+    const w = sheet.stock ? sheet.stock.w : layoutW;
+    const h = sheet.stock ? sheet.stock.h : layoutH;
+    return {
+      count,
+      sheetArea: w * h,
+      fullSheetArea: sheetW * sheetH,
+      pieces: sheet.totalPieces,
+      wasteArea: sheet.wasteArea,
+      cuts,
+    };
+  });
+  if (!parents) return sheetGroups;
+  // two levels: whole parent sheets are bought; cuts of both levels are
+  // spread over them
+  const n = parents.parentCount;
+  if (n === 0) return [];
+  const pressCuts = sheetGroups.reduce((s, g) => s + g.cuts * g.count, 0);
+  return [
+    {
+      count: n,
+      sheetArea: sheetW * sheetH,
+      fullSheetArea: sheetW * sheetH,
+      pieces: parents.totalPieces / n,
+      wasteArea: parents.wasteArea / n,
+      cuts: parentCut.cutPlan.cutCount + pressCuts / n,
+    },
+  ];
+}
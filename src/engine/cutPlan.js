@@ -0,0 +1,253 @@
+/* ===== Guillotine cut sequence ===== */
+// Turns a layout into an ordered list of straight through-cuts. The sheet is
+// first trimmed to the pieces, then cut into strips along one axis; every
+// strip is taken up as its own stack and cut along the other axis, and so on
+// until only single pieces are left.
+
+import { formatDimension } from "./dimension.js";
+
+const EPS = 1e-6;
+
+const span = (r, axis) => (axis === "x" ? [r.x, r.x + r.w] : [r.y, r.y + r.h]);
+
+const pieceSpan = (p, axis) =>
+  axis === "x" ? [p.x, p.x + p.w] : [p.y, p.y + p.h];
+
+function subRegion(r, axis, lo, hi) {
+  return axis === "x"
+    ? { x: lo, y: r.y, w: Math.max(0, hi - lo), h: r.h }
+    : { x: r.x, y: lo, w: r.w, h: Math.max(0, hi - lo) };
+}
+
+function inside(p, r) {
+  return (
+    p.x >= r.x - EPS &&
+    p.y >= r.y - EPS &&
+    p.x + p.w <= r.x + r.w + EPS &&
+    p.y + p.h <= r.y + r.h + EPS
+  );
+}
+
+// Cut positions along `axis` that do not cross any piece. A cut at `c`
+// removes material [c, c + kerf]; the band may hang over the stack edge.
+function stageCuts(region, pieces, axis, kerf) {
+  const [lo, hi] = span(region, axis);
+  const intervals = pieces
+    .map((i) => pieceSpan(i.p, axis))
+    .sort((a, b) => a[0] - b[0]);
+
+  const blocks = [];
+  for (const [s, e] of intervals) {
+    const last = blocks[blocks.length - 1];
+    if (last && s < last[1] - EPS) last[1] = Math.max(last[1], e);
+    else blocks.push([s, e]);
+  }
+  if (blocks.length === 0) return [];
+
+  const cuts = [];
+  if (blocks[0][0] - lo > EPS) cuts.push(blocks[0][0] - kerf);
+  for (let i = 1; i < blocks.length; i++) {
+    const a = blocks[i - 1][1];
+    const b = blocks[i][0];
+    if (b - a < kerf - EPS) continue;
+    cuts.push(a);
+    // wide gap: take the waste out as its own strip
+    if (b - kerf > a + kerf + EPS) cuts.push(b - kerf);
+  }
+  const lastEnd = blocks[blocks.length - 1][1];
+  if (hi - lastEnd > EPS) cuts.push(lastEnd);
+  return cuts;
+}
+
+function trimCuts(region, pieces, kerf) {
+  // square the stack: remove the margins on all four sides first (a loop,
+  // as spreading 100k+ pieces into Math.min overflows the stack)
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const { p } of pieces) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x + p.w);
+    maxY = Math.max(maxY, p.y + p.h);
+  }
+  const trims = [];
+  if (minY - region.y > EPS)
+    trims.push({ axis: "y", at: minY - kerf, keep: "after" });
+  if (region.y + region.h - maxY > EPS)
+    trims.push({ axis: "y", at: maxY, keep: "before" });
+  if (minX - region.x > EPS)
+    trims.push({ axis: "x", at: minX - kerf, keep: "after" });
+  if (region.x + region.w - maxX > EPS)
+    trims.push({ axis: "x", at: maxX, keep: "before" });
+  return trims;
+}
+
+/*
+ * pieces: layout pieces ({ x, y, w, h }) in mm.
+ * Returns { steps, cutCount, rotations, stages, guillotine, blocked }.
+ * Each step: { index, axis ("x" = vertical cut), at, stack, stackLabel,
+ *   fence, cutOff, remainder, pieceIndices, trim, rotate }.
+ */
+export function buildCutPlan(sheet) {
+  return planCuts(sheet, true);
+}
+
+// Counts only, without the steps: for layouts that are compared but not cut
+export function cutStats(sheet) {
+  const { cutCount, rotations, stages, guillotine } = planCuts(sheet, false);
+  return { cutCount, rotations, stages, guillotine };
+}
+
+function planCuts({ sheetW, sheetH, pieces, bladeThickness }, keepSteps) {
+  const kerf = Math.max(0, bladeThickness || 0);
+  const steps = [];
+  const blocked = [];
+  let stages = 0;
+  let cutCount = 0;
+  let rotations = 0;
+  let lastAxis = null;
+
+  // `describe` builds the step, only called when the steps are kept
+  const pushStep = (axis, describe) => {
+    const rotate = lastAxis !== null && lastAxis !== axis;
+    if (keepSteps) steps.push({ ...describe(), axis, index: cutCount, rotate });
+    if (rotate) rotations++;
+    lastAxis = axis;
+    cutCount++;
+  };
+
+  const sheet = { x: 0, y: 0, w: sheetW, h: sheetH };
+  const all = pieces.map((p, index) => ({ p, index }));
+  if (all.length === 0) {
+    return {
+      steps,
+      cutCount: 0,
+      rotations: 0,
+      stages,
+      guillotine: true,
+      blocked,
+    };
+  }
+
+  // Trim cuts on the whole sheet
+  let region = sheet;
+  for (const trim of trimCuts(sheet, all, kerf)) {
+    const [lo, hi] = span(region, trim.axis);
+    const cutOff =
+      trim.keep === "after"
+        ? subRegion(region, trim.axis, lo, Math.max(lo, trim.at))
+        : subRegion(region, trim.axis, Math.min(hi, trim.at + kerf), hi);
+    const remainder =
+      trim.keep === "after"
+        ? subRegion(region, trim.axis, Math.min(hi, trim.at + kerf), hi)
+        : subRegion(region, trim.axis, lo, Math.max(lo, trim.at));
+    pushStep(trim.axis, () => ({
+      at: trim.at,
+      stack: region,
+      stackLabel: "Sheet",
+      fence: Math.max(0, trim.at - lo),
+      cutOff,
+      remainder,
+      pieceIndices: [],
+      trim: true,
+    }));
+    region = remainder;
+  }
+
+  const split = (stack, label, items, parentAxis) => {
+    if (items.length === 0) return;
+
+    const cutsX = stageCuts(stack, items, "x", kerf);
+    const cutsY = stageCuts(stack, items, "y", kerf);
+    if (cutsX.length === 0 && cutsY.length === 0) {
+      if (items.length > 1) blocked.push({ region: stack, label });
+      return;
+    }
+
+    // cut along the axis that separates the most, alternating on ties
+    let axis;
+    if (cutsX.length !== cutsY.length)
+      axis = cutsX.length > cutsY.length ? "x" : "y";
+    else axis = parentAxis === "x" ? "y" : "x";
+    const cuts = axis === "x" ? cutsX : cutsY;
+    stages++;
+
+    // strips between the cuts; each piece goes to the strip its start
+    // falls in (found by halving, as a stack can hold 100k+ pieces)
+    const [lo, hi] = span(stack, axis);
+    const from = (k) => (k === 0 ? lo : Math.min(hi, cuts[k - 1] + kerf));
+    const children = [...cuts, hi].map((c, k) => ({
+      region: subRegion(stack, axis, from(k), Math.max(from(k), c)),
+      items: [],
+    }));
+    for (const i of items) {
+      const [start] = pieceSpan(i.p, axis);
+      let a = 0;
+      let b = cuts.length;
+      while (a < b) {
+        const m = (a + b) >> 1;
+        if (cuts[m] + kerf <= start + EPS) a = m + 1;
+        else b = m;
+      }
+      if (inside(i.p, children[a].region)) children[a].items.push(i);
+    }
+    cuts.forEach((c, k) => {
+      const inCutOff = children[k].items;
+      pushStep(axis, () => ({
+        at: c,
+        stack: k === 0 ? stack : subRegion(stack, axis, from(k), hi),
+        stackLabel: label,
+        fence: Math.max(0, c - from(k)),
+        cutOff: children[k].region,
+        remainder: subRegion(stack, axis, from(k + 1), hi),
+        pieceIndices: inCutOff.map((i) => i.index),
+        trim: inCutOff.length === 0,
+      }));
+    });
+
+    let n = 0;
+    for (const child of children) {
+      if (child.items.length === 0) continue;
+      n++;
+      split(
+        child.region,
+        `${label === "Sheet" ? "" : label + "."}${n}`,
+        child.items,
+        axis,
+      );
+    }
+  };
+
+  split(region, "Sheet", all, null);
+
+  return {
+    steps,
+    cutCount,
+    rotations,
+    stages,
+    guillotine: blocked.length === 0,
+    blocked,
+  };
+}
+
+// Operator instruction for one step, e.g. "Take stack 2, rotate 90°, cut ...";
+// the fence position is shown to `precision` (see formatDimension)
+export function describeStep(step, prev, unit, precision) {
+  const parts = [];
+  if (!prev || prev.stackLabel !== step.stackLabel) {
+    parts.push(
+      step.stackLabel === "Sheet"
+        ? "Place the sheet"
+        : `Take stack ${step.stackLabel}`,
+    );
+  }
+  if (step.rotate) parts.push("rotate 90°");
+  const direction = step.axis === "x" ? "vertical" : "horizontal";
+  parts.push(
+    `${step.trim ? "trim" : "cut"} ${direction} at ${formatDimension(step.fence, unit, precision)} ${unit} from the fence`,
+  );
+  const text = parts.join(", ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
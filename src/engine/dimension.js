@@ -0,0 +1,261 @@
+/* ===== Typed dimensions ===== */
+// Parses what people type into a length field:
+// - decimals and fractions: 35.5, 35 1/2, 35-1/2, 35½, 1/16
+// - a unit after any number, overriding the display unit: 89cm, 12 mm, 3.5",
+//   9pt, 2pc, 300px (pixels at the display unit's dpi, else 96)
+// - feet and inches: 5'6", 2' 11", 5ft 6in, 5'6 (inches after feet), 5'-6"
+// - arithmetic: 25 - 0.25, 2 * 3 1/2, (48 - 3/8) / 2
+// "35-1/2" (no spaces) is the tape-measure way of writing 35½ and "5'-6"" of
+// 5' 6"; with spaces, "35 - 1/2" and "5' - 6"" subtract. Bare numbers are in the display unit.
+
+import {
+  DEFAULT_DPI,
+  UNIT_FACTORS,
+  toDisplay,
+  unitDpi,
+  unitFactor,
+} from "./units.js";
+
+// "px" stands for the pixel size of the unit being parsed in
+const SUFFIXES = [
+  [/^millimet(?:er|re)s?/i, 1],
+  [/^centimet(?:er|re)s?/i, 10],
+  [/^met(?:er|re)s?/i, 1000],
+  [/^inch(?:es)?/i, 25.4],
+  [/^(?:feet|foot|ft)/i, 304.8],
+  [/^(?:points?|pts?)/i, UNIT_FACTORS.pt],
+  [/^(?:picas?|pc)/i, UNIT_FACTORS.pc],
+  [/^(?:pixels?|px)/i, "px"],
+  [/^mm/i, 1],
+  [/^cm/i, 10],
+  [/^in/i, 25.4],
+  [/^m/i, 1000],
+  [/^"/, 25.4],
+  [/^'/, 304.8],
+];
+const FOOT = 304.8;
+const INCH = 25.4;
+
+const VULGAR = {
+  "½": "1/2",
+  "¼": "1/4",
+  "¾": "3/4",
+  "⅛": "1/8",
+  "⅜": "3/8",
+  "⅝": "5/8",
+  "⅞": "7/8",
+};
+
+// Unicode fractions and typographic quotes to plain ASCII
+function normalize(text) {
+  return String(text)
+    .replace(
+      /(\d?)([½¼¾⅛⅜⅝⅞])/g,
+      (_, d, f) => `${d}${d ? " " : ""}${VULGAR[f]}`,
+    )
+    .replace(/[’′]{2}|''|[”″]/g, '"')
+    .replace(/[’′]/g, "'")
+    .replace(/×/g, "*")
+    .trim();
+}
+
+// Numbers (with their unit) and operators; throws a message on bad input
+function tokenize(text, pxFactor) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const space = /^\s+/.exec(rest);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+    const mixed = /^(\d+)(?:\s+|-)(\d+)\/(\d+)(?![\d.])/.exec(rest);
+    const fraction = /^(\d+)\/(\d+)(?![\d.])/.exec(rest);
+    const decimal = /^(?:\d+(?:\.\d*)?|\.\d+)/.exec(rest);
+    const m = mixed || fraction || decimal;
+    if (m) {
+      let value;
+      if (mixed) value = Number(m[1]) + ratio(m[2], m[3]);
+      else if (fraction) value = ratio(m[1], m[2]);
+      else value = Number(m[0]);
+      i += m[0].length;
+      const gap = /^\s*/.exec(text.slice(i))[0].length;
+      const after = text.slice(i + gap);
+      const suffix = SUFFIXES.find(([re]) => re.test(after));
+      const word = suffix ? suffix[0].exec(after)[0] : "";
+      let factor = null;
+      // "5 inside" is not 5 in
+      if (suffix && !/^[a-z]/i.test(after.slice(word.length))) {
+        factor = suffix[1] === "px" ? pxFactor : suffix[1];
+        i += gap + word.length;
+        // the dash in 5'-6" joins feet and inches
+        if (factor === FOOT && /^-[\d.]/.test(text.slice(i))) i++;
+      } else if (/^[a-z]/i.test(after)) {
+        throw new Error(`Unknown unit “${/^[a-z]+/i.exec(after)[0]}”`);
+      }
+      tokens.push({ type: "num", value, factor, text: m[0] });
+      continue;
+    }
+    if ("+-*/()".includes(rest[0])) {
+      tokens.push({ type: "op", value: rest[0] });
+      i++;
+      continue;
+    }
+    throw new Error(`Unexpected “${/^[a-z]+|^./i.exec(rest)[0]}”`);
+  }
+  return tokens;
+}
+
+function ratio(a, b) {
+  if (Number(b) === 0) throw new Error("Cannot divide by zero");
+  return Number(a) / Number(b);
+}
+
+/*
+ * Recursive descent over the tokens. Values are { v, len }: lengths (len)
+ * are in mm, plain numbers are scaled by the display unit where they meet
+ * a length in a sum and at the end.
+ */
+function evaluate(tokens, unitFactor, allowUnits) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (t, ops) => t && t.type === "op" && ops.includes(t.value);
+  const asLength = (x) => (x.len ? x.v : x.v * unitFactor);
+
+  function expr() {
+    let a = term();
+    while (isOp(peek(), "+-")) {
+      const op = tokens[pos++].value;
+      const b = term();
+      const len = a.len || b.len;
+      const [x, y] = len ? [asLength(a), asLength(b)] : [a.v, b.v];
+      a = { v: op === "+" ? x + y : x - y, len };
+    }
+    return a;
+  }
+
+  function term() {
+    let a = unary();
+    while (isOp(peek(), "*/")) {
+      const op = tokens[pos++].value;
+      const b = unary();
+      if (op === "*") {
+        if (a.len && b.len) throw new Error("Cannot multiply two lengths");
+        a = { v: a.v * b.v, len: a.len || b.len };
+      } else {
+        if (b.v === 0) throw new Error("Cannot divide by zero");
+        if (b.len && !a.len) {
+          throw new Error("Cannot divide a number by a length");
+        }
+        a = { v: a.v / b.v, len: a.len && !b.len };
+      }
+    }
+    return a;
+  }
+
+  function unary() {
+    if (isOp(peek(), "-")) {
+      pos++;
+      const a = unary();
+      return { ...a, v: -a.v };
+    }
+    if (isOp(peek(), "+")) pos++;
+    return group();
+  }
+
+  // 5' 6" and 5ft 6in add up; a bare number right after feet is inches
+  function group() {
+    const t = peek();
+    if (isOp(t, "(")) {
+      pos++;
+      const a = expr();
+      if (!isOp(peek(), ")")) throw new Error("Missing “)”");
+      pos++;
+      return a;
+    }
+    if (!t) throw new Error("Missing a number at the end");
+    if (t.type !== "num") throw new Error(`Unexpected “${t.value}”`);
+    pos++;
+    let a = quantity(t);
+    let last = t;
+    while (peek() && peek().type === "num") {
+      const next = tokens[pos++];
+      if (last.factor == null) {
+        throw new Error(`Missing operator before “${next.text}”`);
+      }
+      const b =
+        next.factor == null && last.factor === FOOT
+          ? { v: next.value * INCH, len: true }
+          : quantity(next);
+      if (!b.len) throw new Error(`Missing operator before “${next.text}”`);
+      a = { v: a.v + b.v, len: true };
+      last = next;
+    }
+    return a;
+  }
+
+  function quantity(t) {
+    if (t.factor == null) return { v: t.value, len: false };
+    if (!allowUnits) throw new Error("Units are not allowed here");
+    return { v: t.value * t.factor, len: true };
+  }
+
+  const result = expr();
+  if (pos < tokens.length) {
+    const t = tokens[pos];
+    throw new Error(
+      isOp(t, ")") ? "Missing “(”" : `Unexpected “${t.text || t.value}”`,
+    );
+  }
+  return asLength(result);
+}
+
+/*
+ * { mm } for a typed dimension in `unit`, or { error } with a short message.
+ * `allowUnits: false` takes numbers and arithmetic only (money, percents).
+ */
+export function parseDimension(text, unit, { allowUnits = true } = {}) {
+  const clean = normalize(text);
+  if (clean === "") return { error: "Enter a number" };
+  try {
+    const px = 25.4 / (unitDpi(unit) || DEFAULT_DPI);
+    const mm = evaluate(tokenize(clean, px), unitFactor(unit) || 1, allowUnits);
+    return isFinite(mm) ? { mm } : { error: "Not a number" };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+// Plain decimal as typed in a field (no unit, no arithmetic)
+export const isPlainNumber = (text) => /^\s*(\d+\.?\d*|\.\d+)\s*$/.test(text);
+
+/*
+ * `mm` for display in `unit` to `precision`: decimals, or for inches a
+ * fraction to round to ("1/16", "1/32"), e.g. "35 1/2".
+ */
+export function formatDimension(mm, unit, precision = 3) {
+  if (typeof precision !== "string" || unit !== "inch") {
+    return toDisplay(mm, unit, typeof precision === "number" ? precision : 3);
+  }
+  const fraction = Number(precision.split("/")[1]) || 16;
+  const v = mm / INCH;
+  if (!isFinite(v)) return "";
+  const n = Math.round(Math.abs(v) * fraction);
+  const whole = Math.floor(n / fraction);
+  let num = n % fraction;
+  let den = fraction;
+  while (num > 0 && num % 2 === 0 && den % 2 === 0) {
+    num /= 2;
+    den /= 2;
+  }
+  const sign = v < 0 && n > 0 ? "-" : "";
+  if (num === 0) return `${sign}${whole}`;
+  return whole > 0 ? `${sign}${whole} ${num}/${den}` : `${sign}${num}/${den}`;
+}
+
+// mm of the figure formatDimension shows, to check what rounding hides
+export function shownMm(mm, unit, precision) {
+  const shown = parseDimension(formatDimension(mm, unit, precision), unit);
+  return shown.error == null ? shown.mm : mm;
+}
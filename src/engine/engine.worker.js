@@ -0,0 +1,23 @@
+/* ===== Web Worker running computeJob ===== */
+// Messages in: { id, input }. Messages out: { type: "progress", id, value },
+// { type: "done", id, result } or { type: "error", id, message }.
+
+import { computeJob } from "./computeJob.js";
+
+const PROGRESS_INTERVAL = 50; // ms between progress messages
+
+self.onmessage = (e) => {
+  const { id, input } = e.data;
+  let last = 0;
+  try {
+    const result = computeJob(input, (value) => {
+      const now = Date.now();
+      if (now - last < PROGRESS_INTERVAL) return;
+      last = now;
+      self.postMessage({ type: "progress", id, value });
+    });
+    self.postMessage({ type: "done", id, result });
+  } catch (err) {
+    self.postMessage({ type: "error", id, message: err.message });
+  }
+};
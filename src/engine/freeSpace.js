@@ -0,0 +1,64 @@
+/* ===== Free space around placed rectangles ===== */
+
+const EPS = 1e-6;
+
+/*
+ * Disjoint free rectangles of `bin` once `blocks` are taken out: the bin is
+ * split into columns at every block edge, each column keeps the spans no
+ * block covers, and equal spans of neighbouring columns are merged. Blocks
+ * are swept in x order so each column only looks at the blocks crossing it.
+ */
+export function freeRectangles(bin, blocks) {
+  const clipped = blocks
+    .map((b) => {
+      const x = Math.max(bin.x, b.x);
+      const y = Math.max(bin.y, b.y);
+      const x2 = Math.min(bin.x + bin.w, b.x + b.w);
+      const y2 = Math.min(bin.y + bin.h, b.y + b.h);
+      return { x, y, x2, y2 };
+    })
+    .filter((b) => b.x2 - b.x > EPS && b.y2 - b.y > EPS)
+    .sort((a, b) => a.x - b.x);
+
+  const xs = [
+    ...new Set([bin.x, bin.x + bin.w, ...clipped.flatMap((b) => [b.x, b.x2])]),
+  ].sort((a, b) => a - b);
+
+  const rects = [];
+  let open = new Map();
+  let active = [];
+  let next = 0;
+  for (let c = 0; c + 1 < xs.length; c++) {
+    const x0 = xs[c];
+    const x1 = xs[c + 1];
+    if (x1 - x0 <= EPS) continue;
+    while (next < clipped.length && clipped[next].x < x1 - EPS) {
+      active.push(clipped[next++]);
+    }
+    active = active.filter((b) => b.x2 > x0 + EPS);
+    const covering = [...active].sort((a, b) => a.y - b.y);
+    const spans = [];
+    let y = bin.y;
+    for (const b of covering) {
+      if (b.y - y > EPS) spans.push([y, b.y]);
+      y = Math.max(y, b.y2);
+    }
+    if (bin.y + bin.h - y > EPS) spans.push([y, bin.y + bin.h]);
+
+    const following = new Map();
+    for (const [y0, y1] of spans) {
+      const key = `${y0}|${y1}`;
+      const rect = open.get(key);
+      if (rect && Math.abs(rect.x + rect.w - x0) <= EPS) {
+        rect.w = x1 - rect.x;
+        following.set(key, rect);
+      } else {
+        const fresh = { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+        rects.push(fresh);
+        following.set(key, fresh);
+      }
+    }
+    open = following;
+  }
+  return rects;
+}
@@ -0,0 +1,47 @@
+/* ===== Grain direction constraints ===== */
+// Sheet grain runs along the sheet's width ("horizontal") or height
+// ("vertical"). A piece's grain requirement is relative to its width as
+// entered: "along" = the width follows the grain, "across" = it crosses it.
+// "normal" keeps the width on the x axis, "rotated" turns it onto y.
+
+export const SHEET_GRAINS = ["none", "horizontal", "vertical"];
+export const PIECE_GRAINS = ["any", "along", "across"];
+
+// shared arrays, so the result is stable enough for hook dependencies
+const BOTH = ["normal", "rotated"];
+const NORMAL = ["normal"];
+const ROTATED = ["rotated"];
+
+// Orientations a piece may be placed in
+export function allowedOrientations(sheetGrain, pieceGrain) {
+  if (sheetGrain === "horizontal") {
+    if (pieceGrain === "along") return NORMAL;
+    if (pieceGrain === "across") return ROTATED;
+  }
+  if (sheetGrain === "vertical") {
+    if (pieceGrain === "along") return ROTATED;
+    if (pieceGrain === "across") return NORMAL;
+  }
+  return BOTH;
+}
+
+/*
+ * Cut-list rows as nesting items. A grain requirement on a grained sheet
+ * decides the orientation; otherwise the row's rotation switch does. Rows
+ * that must turn are handed over pre-rotated with rotation locked.
+ */
+export function grainItems(rows, sheetGrain) {
+  return rows.map((r) => {
+    const allowed = allowedOrientations(sheetGrain, r.grain);
+    if (allowed.length === 2) {
+      return { w: r.wmm, h: r.hmm, qty: r.qty, allowRotation: r.allowRotation };
+    }
+    const turn = allowed[0] === "rotated";
+    return {
+      w: turn ? r.hmm : r.wmm,
+      h: turn ? r.wmm : r.hmm,
+      qty: r.qty,
+      allowRotation: false,
+    };
+  });
+}
@@ -0,0 +1,192 @@
+/* ===== Grid layout for a single cut size ===== */
+// One grid of pieces from the usable area's top-left corner; with rotation
+// the leftover right / bottom strips are filled with turned pieces.
+
+import { NO_MARGINS, usableArea } from "./margins.js";
+
+const EPS = 1e-9;
+
+// pieces that fit along `length` with `spacing` between them
+const fitCount = (length, piece, spacing) =>
+  piece <= 0 ? 0 : Math.floor((length + spacing + EPS) / (piece + spacing));
+
+function packIntoWaste({ strip, pieceW, pieceH, bladeThickness }) {
+  if (!strip || strip.w <= 0 || strip.h <= 0) return [];
+  const spacing = Math.max(0, bladeThickness);
+
+  const fitCountX = fitCount(strip.w, pieceW, spacing);
+  const fitCountY = fitCount(strip.h, pieceH, spacing);
+
+  const pieces = [];
+  for (let ix = 0; ix < fitCountX; ix++) {
+    for (let iy = 0; iy < fitCountY; iy++) {
+      const x = strip.x + ix * (pieceW + spacing);
+      const y = strip.y + iy * (pieceH + spacing);
+      pieces.push({ x, y, w: pieceW, h: pieceH, rotated: true });
+    }
+  }
+  return pieces;
+}
+
+/*
+ * Grid counts and the strips beside the grid, before any piece is placed.
+ * The fill strips (null without rotation) keep one kerf from the grid and
+ * between the two strips.
+ */
+function gridShape({
+  sheetW,
+  sheetH,
+  pieceW,
+  pieceH,
+  margins = NO_MARGINS,
+  bladeThickness,
+  enableRotation = false,
+}) {
+  const area = usableArea(sheetW, sheetH, margins);
+  const effW = area.w;
+  const effH = area.h;
+  const spacing = Math.max(0, bladeThickness);
+
+  const fitCountX = fitCount(effW, pieceW, spacing);
+  const fitCountY = fitCount(effH, pieceH, spacing);
+
+  const usedW = fitCountX * pieceW + Math.max(0, fitCountX - 1) * spacing;
+  const usedH = fitCountY * pieceH + Math.max(0, fitCountY - 1) * spacing;
+  const leftoverInsideW = Math.max(0, effW - usedW);
+  const leftoverInsideH = Math.max(0, effH - usedH);
+
+  const rightStrip =
+    leftoverInsideW > 0
+      ? {
+          x: area.x + usedW,
+          y: area.y,
+          w: leftoverInsideW,
+          h: effH,
+        }
+      : null;
+
+  const bottomStrip =
+    leftoverInsideH > 0
+      ? {
+          x: area.x,
+          y: area.y + usedH,
+          w: effW,
+          h: leftoverInsideH,
+        }
+      : null;
+
+  let rightFill = null;
+  let bottomFill = null;
+  if (enableRotation) {
+    const gap = fitCountX * fitCountY > 0 ? spacing : 0;
+    rightFill = rightStrip && {
+      x: rightStrip.x + gap,
+      y: rightStrip.y,
+      w: Math.max(0, rightStrip.w - gap),
+      h: Math.max(0, rightStrip.h - leftoverInsideH),
+    };
+    bottomFill = bottomStrip && {
+      x: bottomStrip.x,
+      y: bottomStrip.y + gap,
+      w: Math.max(0, bottomStrip.w - leftoverInsideW),
+      h: Math.max(0, bottomStrip.h - gap),
+    };
+  }
+
+  return {
+    area,
+    spacing,
+    fitCountX,
+    fitCountY,
+    usedW,
+    usedH,
+    leftoverInsideW,
+    leftoverInsideH,
+    rightStrip,
+    bottomStrip,
+    rightFill,
+    bottomFill,
+  };
+}
+
+// totalPieces of computeForOrientation, counted without placing the pieces
+export function countForOrientation(args) {
+  const g = gridShape(args);
+  // fill pieces are turned: pieceH across, pieceW down
+  const fill = (strip) =>
+    !strip || strip.w <= 0 || strip.h <= 0
+      ? 0
+      : fitCount(strip.w, args.pieceH, g.spacing) *
+        fitCount(strip.h, args.pieceW, g.spacing);
+  return g.fitCountX * g.fitCountY + fill(g.rightFill) + fill(g.bottomFill);
+}
+
+export function computeForOrientation(args) {
+  const { sheetW, sheetH, pieceW, pieceH } = args;
+  const {
+    area,
+    spacing,
+    fitCountX,
+    fitCountY,
+    usedW,
+    usedH,
+    leftoverInsideW,
+    leftoverInsideH,
+    rightStrip,
+    bottomStrip,
+    rightFill,
+    bottomFill,
+  } = gridShape(args);
+
+  const piecesPrimary = [];
+  for (let ix = 0; ix < fitCountX; ix++) {
+    for (let iy = 0; iy < fitCountY; iy++) {
+      const x = area.x + ix * (pieceW + spacing);
+      const y = area.y + iy * (pieceH + spacing);
+      piecesPrimary.push({ x, y, w: pieceW, h: pieceH, rotated: false });
+    }
+  }
+
+  const rotatedInRight = packIntoWaste({
+    strip: rightFill,
+    pieceW: pieceH,
+    pieceH: pieceW,
+    bladeThickness: spacing,
+  });
+  const rotatedInBottom = packIntoWaste({
+    strip: bottomFill,
+    pieceW: pieceH,
+    pieceH: pieceW,
+    bladeThickness: spacing,
+  });
+
+  const allPieces = [...piecesPrimary, ...rotatedInRight, ...rotatedInBottom];
+
+  const sheetArea = sheetW * sheetH;
+  const piecesAreaPrimary = piecesPrimary.length * pieceW * pieceH;
+  const rotatedPiecesArea =
+    (rotatedInRight.length + rotatedInBottom.length) * pieceW * pieceH;
+  const piecesArea = piecesAreaPrimary + rotatedPiecesArea;
+  const wasteArea = Math.max(0, sheetArea - piecesArea);
+  const wastePercent = sheetArea === 0 ? 0 : (wasteArea / sheetArea) * 100;
+
+  return {
+    pieceW,
+    pieceH,
+    fitCountX,
+    fitCountY,
+    totalPiecesPrimary: piecesPrimary.length,
+    totalPieces: allPieces.length,
+    pieces: allPieces,
+    rightStrip,
+    bottomStrip,
+    leftoverInsideW,
+    leftoverInsideH,
+    usedW,
+    usedH,
+    rotatedInRightCount: rotatedInRight.length,
+    rotatedInBottomCount: rotatedInBottom.length,
+    wasteArea,
+    wastePercent,
+  };
+}
@@ -0,0 +1,103 @@
+/* ===== Print imposition: bleed, gutter and crop marks (all in mm) ===== */
+// A piece is printed on its bleed box (the trim size grown by `bleed` on
+// every side) and cut on its trim lines. Bleed boxes of neighbouring pieces
+// are `gutter` apart. Crop marks mark the trim lines outside the imposed
+// block, starting at the bleed edge and running `cropMarks` long.
+
+export const NO_IMPOSITION = { bleed: 0, gutter: 0, cropMarks: 0 };
+
+export function hasImposition(imposition = NO_IMPOSITION) {
+  return (
+    imposition.bleed > 0 || imposition.gutter > 0 || imposition.cropMarks > 0
+  );
+}
+
+/*
+ * What the packers work with: every piece grows by `grow`, pieces sit
+ * `spacing` apart and the margins leave room for the crop marks. Two trim
+ * lines are never closer than one kerf, so the blade still fits.
+ */
+export function impositionPacking({ margins, bladeThickness, imposition }) {
+  const kerf = Math.max(0, bladeThickness || 0);
+  if (!hasImposition(imposition)) {
+    return { grow: 0, spacing: kerf, margins };
+  }
+  const bleed = Math.max(0, imposition.bleed);
+  const marks = Math.max(0, imposition.cropMarks);
+  return {
+    grow: 2 * bleed,
+    spacing: Math.max(0, imposition.gutter, kerf - 2 * bleed),
+    margins: {
+      top: margins.top + marks,
+      right: margins.right + marks,
+      bottom: margins.bottom + marks,
+      left: margins.left + marks,
+    },
+  };
+}
+
+/*
+ * Turns a layout packed with grown pieces back into trim boxes. Counts stay,
+ * the waste is everything on the sheet that is not a finished piece (bleed
+ * and gutters included). The layout keeps `bleed` / `cropMarks` for drawing.
+ */
+export function trimLayout(layout, imposition, sheetArea) {
+  if (!hasImposition(imposition)) return layout;
+  const bleed = Math.max(0, imposition.bleed);
+  const pieces = layout.pieces.map((p) => ({
+    ...p,
+    x: p.x + bleed,
+    y: p.y + bleed,
+    w: p.w - 2 * bleed,
+    h: p.h - 2 * bleed,
+  }));
+  const trimArea = pieces.reduce((s, p) => s + p.w * p.h, 0);
+  const wasteArea = Math.max(0, sheetArea - trimArea);
+  return {
+    ...layout,
+    ...(layout.pieceW != null && {
+      pieceW: layout.pieceW - 2 * bleed,
+      pieceH: layout.pieceH - 2 * bleed,
+    }),
+    pieces,
+    wasteArea,
+    wastePercent: sheetArea === 0 ? 0 : (wasteArea / sheetArea) * 100,
+    bleed,
+    cropMarks: Math.max(0, imposition.cropMarks),
+  };
+}
+
+/*
+ * Crop mark lines for a trimmed layout: every distinct trim line gets a
+ * mark on both outer sides of the imposed block, as on a gang run sheet.
+ */
+export function cropMarkLines(layout) {
+  const length = layout.cropMarks || 0;
+  if (!(length > 0) || layout.pieces.length === 0) return [];
+  const bleed = layout.bleed || 0;
+  const round = (v) => Math.round(v * 1e6) / 1e6;
+  const xs = new Set();
+  const ys = new Set();
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const p of layout.pieces) {
+    xs.add(round(p.x)).add(round(p.x + p.w));
+    ys.add(round(p.y)).add(round(p.y + p.h));
+    minX = Math.min(minX, p.x - bleed);
+    minY = Math.min(minY, p.y - bleed);
+    maxX = Math.max(maxX, p.x + p.w + bleed);
+    maxY = Math.max(maxY, p.y + p.h + bleed);
+  }
+  const lines = [];
+  for (const x of xs) {
+    lines.push({ x1: x, y1: minY - length, x2: x, y2: minY });
+    lines.push({ x1: x, y1: maxY, x2: x, y2: maxY + length });
+  }
+  for (const y of ys) {
+    lines.push({ x1: minX - length, y1: y, x2: minX, y2: y });
+    lines.push({ x1: maxX, y1: y, x2: maxX + length, y2: y });
+  }
+  return lines;
+}
@@ -0,0 +1,288 @@
+/* ===== Manual layout editing ===== */
+// An edit is { pieces, defects }: the layout's pieces (trim boxes, each with
+// a `locked` flag) and "no-go" defect zones on the sheet. Every change
+// returns a new edit, so a list of them is the undo history. Lengths in mm.
+//
+// Pieces keep the same clearance the packers use (one kerf, or bleed plus
+// gutter with an imposition) from each other and from defect zones, and
+// stay inside the usable area.
+
+import { NO_IMPOSITION, impositionPacking } from "./imposition.js";
+import { NO_MARGINS, usableArea } from "./margins.js";
+import { freeRectangles } from "./freeSpace.js";
+import { packInstances } from "./nesting.js";
+
+const EPS = 1e-6;
+
+// sheet: { sheetW, sheetH, margins, bladeThickness, imposition }
+function geometry({
+  sheetW,
+  sheetH,
+  margins = NO_MARGINS,
+  bladeThickness,
+  imposition = NO_IMPOSITION,
+}) {
+  const packing = impositionPacking({ margins, bladeThickness, imposition });
+  const bleed = packing.grow / 2;
+  const area = usableArea(sheetW, sheetH, packing.margins);
+  return {
+    packing,
+    bleed,
+    gap: packing.grow + packing.spacing,
+    // where trim boxes may lie: the usable area less the bleed
+    bounds: {
+      x: area.x + bleed,
+      y: area.y + bleed,
+      w: Math.max(0, area.w - 2 * bleed),
+      h: Math.max(0, area.h - 2 * bleed),
+    },
+  };
+}
+
+// true when a and b are closer than `gap`
+function tooClose(a, b, gap) {
+  return (
+    a.x < b.x + b.w + gap - EPS &&
+    b.x < a.x + a.w + gap - EPS &&
+    a.y < b.y + b.h + gap - EPS &&
+    b.y < a.y + a.h + gap - EPS
+  );
+}
+
+// true when `rect` leaves the area trim boxes may lie in
+function outside(rect, bounds) {
+  return (
+    rect.x < bounds.x - EPS ||
+    rect.y < bounds.y - EPS ||
+    rect.x + rect.w > bounds.x + bounds.w + EPS ||
+    rect.y + rect.h > bounds.y + bounds.h + EPS
+  );
+}
+
+// Editable copy of a computed layout
+export function startEdit(layout) {
+  return {
+    pieces: layout.pieces.map((p) => ({ ...p, locked: false })),
+    defects: layout.defects || [],
+  };
+}
+
+/*
+ * Why piece `index` cannot lie at `rect` ({ x, y, w, h }): "bounds",
+ * "piece" or "defect"; null when it fits.
+ */
+export function placementProblem(edit, index, rect, sheet) {
+  const { gap, bounds } = geometry(sheet);
+  if (outside(rect, bounds)) return "bounds";
+  if (edit.defects.some((d) => tooClose(rect, d, gap))) return "defect";
+  if (edit.pieces.some((p, i) => i !== index && tooClose(rect, p, gap))) {
+    return "piece";
+  }
+  return null;
+}
+
+/*
+ * Position for dragging piece `index` to (x, y): each axis snaps to the
+ * nearest edge within `tolerance` that leaves exactly the clearance to a
+ * neighbour (or lines up with it, or touches the usable edge). Returns
+ * { x, y, problem } with `problem` as in placementProblem.
+ */
+export function snapMove(edit, index, x, y, sheet, tolerance) {
+  const { gap, bounds } = geometry(sheet);
+  const piece = edit.pieces[index];
+  const others = [
+    ...edit.pieces.filter((_, i) => i !== index),
+    ...edit.defects,
+  ];
+
+  const snap = (value, size, lo, hi, key, len) => {
+    const targets = [lo, hi - size];
+    for (const o of others) {
+      targets.push(
+        o[key] + o[len] + gap,
+        o[key] - gap - size,
+        o[key],
+        o[key] + o[len] - size,
+      );
+    }
+    let best = value;
+    let dist = tolerance;
+    for (const t of targets) {
+      if (Math.abs(t - value) <= dist) {
+        best = t;
+        dist = Math.abs(t - value);
+      }
+    }
+    return best;
+  };
+
+  const sx = snap(x, piece.w, bounds.x, bounds.x + bounds.w, "x", "w");
+  const sy = snap(y, piece.h, bounds.y, bounds.y + bounds.h, "y", "h");
+  const rect = { x: sx, y: sy, w: piece.w, h: piece.h };
+  return { x: sx, y: sy, problem: placementProblem(edit, index, rect, sheet) };
+}
+
+export function movePiece(edit, index, x, y) {
+  return {
+    ...edit,
+    pieces: edit.pieces.map((p, i) => (i === index ? { ...p, x, y } : p)),
+  };
+}
+
+export function toggleLock(edit, index) {
+  return {
+    ...edit,
+    pieces: edit.pieces.map((p, i) =>
+      i === index ? { ...p, locked: !p.locked } : p,
+    ),
+  };
+}
+
+export function removePiece(edit, index) {
+  return { ...edit, pieces: edit.pieces.filter((_, i) => i !== index) };
+}
+
+// Adds a defect zone (clipped to the sheet); pieces are left where they are
+export function addDefect(edit, rect, { sheetW, sheetH }) {
+  const x = Math.max(0, Math.min(rect.x, rect.x + rect.w));
+  const y = Math.max(0, Math.min(rect.y, rect.y + rect.h));
+  const x2 = Math.min(sheetW, Math.max(rect.x, rect.x + rect.w));
+  const y2 = Math.min(sheetH, Math.max(rect.y, rect.y + rect.h));
+  if (x2 - x <= EPS || y2 - y <= EPS) return edit;
+  return {
+    ...edit,
+    defects: [...edit.defects, { x, y, w: x2 - x, h: y2 - y }],
+  };
+}
+
+export function removeDefect(edit, index) {
+  return { ...edit, defects: edit.defects.filter((_, i) => i !== index) };
+}
+
+// Indices of pieces that break the clearance, bounds or defect rules
+export function editConflicts(edit, sheet) {
+  const { gap, bounds } = geometry(sheet);
+  const pieces = edit.pieces;
+  const bad = new Set();
+  pieces.forEach((p, i) => {
+    if (outside(p, bounds) || edit.defects.some((d) => tooClose(p, d, gap))) {
+      bad.add(i);
+    }
+  });
+  // sweep along x so only pieces that can touch are compared (as verify.js)
+  const order = pieces
+    .map((_, i) => i)
+    .sort((a, b) => pieces[a].x - pieces[b].x);
+  for (let a = 0; a < order.length; a++) {
+    const p = pieces[order[a]];
+    for (let b = a + 1; b < order.length; b++) {
+      const q = pieces[order[b]];
+      if (q.x >= p.x + p.w + gap - EPS) break;
+      if (tooClose(p, q, gap)) {
+        bad.add(order[a]);
+        bad.add(order[b]);
+      }
+    }
+  }
+  return [...bad].sort((a, b) => a - b);
+}
+
+/*
+ * Re-packs everything that is not locked around the locked pieces and the
+ * defect zones. With `items` (cut-list items by sizeIndex, as for
+ * nestCutList) the sheet's unlocked pieces are placed again; with `fill`
+ * ({ w, h, orientations } for a single cut size) the free space is filled
+ * with as many pieces as fit. Pieces that no longer fit are dropped.
+ */
+export function repackEdit(edit, sheet, { items, fill }) {
+  const { packing, bleed, bounds } = geometry(sheet);
+  const { grow, spacing } = packing;
+  const locked = edit.pieces.filter((p) => p.locked);
+  const loose = edit.pieces.filter((p) => !p.locked);
+
+  // packers place grown boxes that take `spacing` extra right and below;
+  // obstacles are grown the same way so the clearance holds on every side
+  const bin = {
+    x: bounds.x - bleed,
+    y: bounds.y - bleed,
+    w: bounds.w + grow + spacing,
+    h: bounds.h + grow + spacing,
+  };
+  const blocks = [...locked, ...edit.defects].map((r) => ({
+    x: r.x - bleed,
+    y: r.y - bleed,
+    w: r.w + grow + spacing,
+    h: r.h + grow + spacing,
+  }));
+  const free = freeRectangles(bin, blocks);
+  const freeArea = free.reduce((s, f) => s + f.w * f.h, 0);
+
+  const instances = [];
+  if (fill) {
+    const canTurn = fill.orientations.length > 1;
+    const turn = !canTurn && fill.orientations[0] === "rotated";
+    const w = (turn ? fill.h : fill.w) + grow;
+    const h = (turn ? fill.w : fill.h) + grow;
+    const count = Math.floor(
+      (freeArea + EPS) / Math.max(EPS, (w + spacing) * (h + spacing)),
+    );
+    for (let i = 0; i < count; i++) {
+      instances.push({ w, h, allowRotation: canTurn, sizeIndex: 0 });
+    }
+  } else {
+    for (const p of loose) {
+      const item = items && items[p.sizeIndex];
+      instances.push({
+        w: (item ? item.w : p.w) + grow,
+        h: (item ? item.h : p.h) + grow,
+        allowRotation: item ? !!item.allowRotation : false,
+        sizeIndex: p.sizeIndex,
+      });
+    }
+  }
+
+  const packed = packInstances({ free, instances, spacing });
+  const placed = packed.placed.map(({ sizeIndex, ...p }) => {
+    const piece = {
+      ...p,
+      ...(!fill && { sizeIndex }),
+      x: p.x + bleed,
+      y: p.y + bleed,
+      w: p.w - grow,
+      h: p.h - grow,
+      locked: false,
+    };
+    // a single size is flagged relative to the size as entered
+    if (fill) {
+      piece.rotated =
+        Math.abs(fill.w - fill.h) > EPS && Math.abs(piece.w - fill.w) > EPS;
+    }
+    return piece;
+  });
+  return { ...edit, pieces: [...locked, ...placed] };
+}
+
+/*
+ * The computed layout with the edit applied: pieces, counts and waste are
+ * recomputed, grid strips dropped and the defect zones kept for drawing.
+ */
+export function editedLayout(base, edit, sheetArea) {
+  const trimArea = edit.pieces.reduce((s, p) => s + p.w * p.h, 0);
+  const wasteArea = Math.max(0, sheetArea - trimArea);
+  return {
+    ...base,
+    pieces: edit.pieces,
+    totalPieces: edit.pieces.length,
+    ...(base.placedCounts && {
+      placedCounts: base.placedCounts.map(
+        (_, i) => edit.pieces.filter((p) => p.sizeIndex === i).length,
+      ),
+    }),
+    wasteArea,
+    wastePercent: sheetArea === 0 ? 0 : (wasteArea / sheetArea) * 100,
+    rightStrip: null,
+    bottomStrip: null,
+    wasteRects: null,
+    defects: edit.defects,
+  };
+}
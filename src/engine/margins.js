@@ -0,0 +1,12 @@
+/* ===== Sheet margins (trim / gripper edges), all values in mm ===== */
+export const NO_MARGINS = { top: 0, right: 0, bottom: 0, left: 0 };
+
+// Part of the sheet that pieces may occupy once each side's margin is removed
+export function usableArea(sheetW, sheetH, margins = NO_MARGINS) {
+  return {
+    x: margins.left,
+    y: margins.top,
+    w: Math.max(0, sheetW - margins.left - margins.right),
+    h: Math.max(0, sheetH - margins.top - margins.bottom),
+  };
+}
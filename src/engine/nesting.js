@@ -0,0 +1,239 @@
+/* ===== Mixed-size nesting (guillotine bin packing) ===== */
+// Every placement splits its free rectangle with a single straight cut, so the
+// resulting layouts can always be produced on a guillotine.
+
+import { NO_IMPOSITION, impositionPacking, trimLayout } from "./imposition.js";
+import { NO_MARGINS, usableArea } from "./margins.js";
+
+const EPS = 1e-9;
+
+// How the free rectangle left over after a placement is divided
+const SPLIT_RULES = {
+  shorterLeftover: (rw, rh) => rw <= rh,
+  longerLeftover: (rw, rh) => rw > rh,
+  minArea: (rw, rh, pw, ph) => pw * rh > rw * ph,
+};
+
+// Which free rectangle receives the next piece (lower score wins)
+const FIT_RULES = {
+  bestArea: (f, pw, ph) => [f.w * f.h - pw * ph, Math.min(f.w - pw, f.h - ph)],
+  bestShortSide: (f, pw, ph) => [
+    Math.min(f.w - pw, f.h - ph),
+    Math.max(f.w - pw, f.h - ph),
+  ],
+};
+
+// Order in which piece instances are fed to the packer
+const SORT_RULES = {
+  area: (a, b) => b.w * b.h - a.w * a.h,
+  longSide: (a, b) => Math.max(b.w, b.h) - Math.max(a.w, a.h),
+  shortSide: (a, b) => Math.min(b.w, b.h) - Math.min(a.w, a.h),
+  perimeter: (a, b) => b.w + b.h - (a.w + a.h),
+};
+
+function scoreLess(a, b) {
+  if (a[0] !== b[0]) return a[0] < b[0];
+  return a[1] < b[1];
+}
+
+function packOnce({ freeRects, instances, spacing, fitRule, splitRule }) {
+  let free = [...freeRects];
+  const placed = [];
+  const skipped = [];
+
+  for (const inst of instances) {
+    const orientations = [
+      { pw: inst.w + spacing, ph: inst.h + spacing, rotated: false },
+    ];
+    if (inst.allowRotation && Math.abs(inst.w - inst.h) > EPS) {
+      orientations.push({
+        pw: inst.h + spacing,
+        ph: inst.w + spacing,
+        rotated: true,
+      });
+    }
+
+    let bestIdx = -1;
+    let bestScore = null;
+    let bestOri = null;
+    for (let i = 0; i < free.length; i++) {
+      const f = free[i];
+      for (const o of orientations) {
+        if (o.pw > f.w + EPS || o.ph > f.h + EPS) continue;
+        const score = fitRule(f, o.pw, o.ph);
+        if (bestScore === null || scoreLess(score, bestScore)) {
+          bestIdx = i;
+          bestScore = score;
+          bestOri = o;
+        }
+      }
+    }
+
+    if (bestIdx < 0) {
+      skipped.push(inst);
+      continue;
+    }
+
+    const f = free[bestIdx];
+    const { pw, ph, rotated } = bestOri;
+    placed.push({
+      x: f.x,
+      y: f.y,
+      w: rotated ? inst.h : inst.w,
+      h: rotated ? inst.w : inst.h,
+      rotated,
+      sizeIndex: inst.sizeIndex,
+    });
+
+    const rw = f.w - pw;
+    const rh = f.h - ph;
+    let right;
+    let bottom;
+    if (splitRule(rw, rh, pw, ph)) {
+      // horizontal cut first: bottom part spans the full free width
+      right = { x: f.x + pw, y: f.y, w: rw, h: ph };
+      bottom = { x: f.x, y: f.y + ph, w: f.w, h: rh };
+    } else {
+      // vertical cut first: right part spans the full free height
+      right = { x: f.x + pw, y: f.y, w: rw, h: f.h };
+      bottom = { x: f.x, y: f.y + ph, w: pw, h: rh };
+    }
+
+    free.splice(bestIdx, 1);
+    if (right.w > EPS && right.h > EPS) free.push(right);
+    if (bottom.w > EPS && bottom.h > EPS) free.push(bottom);
+  }
+
+  return { placed, skipped, free };
+}
+
+/*
+ * Packs `instances` ({ w, h, allowRotation, sizeIndex }) into disjoint
+ * `free` rectangles. Every piece takes `spacing` extra on its right and
+ * bottom, so the rectangles reach that far past the usable edge. Every
+ * heuristic combination runs on small jobs, a reduced set on large ones;
+ * the run placing the most area wins. Returns { placed, area }.
+ */
+export function packInstances({ free, instances, spacing }) {
+  const sortKeys = Object.keys(SORT_RULES);
+  const fitKeys = Object.keys(FIT_RULES);
+  const splitKeys = Object.keys(SPLIT_RULES);
+  const combos = [];
+  for (const s of sortKeys)
+    for (const f of fitKeys) for (const p of splitKeys) combos.push([s, f, p]);
+  const budget = instances.length > 600 ? 4 : combos.length;
+
+  let best = null;
+  for (const [sortKey, fitKey, splitKey] of combos.slice(0, budget)) {
+    const ordered = [...instances].sort(
+      (a, b) => SORT_RULES[sortKey](a, b) || a.sizeIndex - b.sizeIndex,
+    );
+    const run = packOnce({
+      freeRects: free,
+      instances: ordered,
+      spacing,
+      fitRule: FIT_RULES[fitKey],
+      splitRule: SPLIT_RULES[splitKey],
+    });
+    const area = run.placed.reduce((s, p) => s + p.w * p.h, 0);
+    if (
+      !best ||
+      area > best.area + EPS ||
+      (Math.abs(area - best.area) <= EPS &&
+        run.placed.length > best.placed.length)
+    ) {
+      best = { placed: run.placed, area };
+    }
+  }
+  return best || { placed: [], area: 0 };
+}
+
+let nextRowId = 1;
+
+// Cut-list row as edited in the UI (sizes in mm, grain as in grain.js)
+export function makeCutListRow(
+  wmm,
+  hmm,
+  qty = 1,
+  allowRotation = true,
+  grain = "any",
+  label = "",
+) {
+  return { id: nextRowId++, wmm, hmm, qty, allowRotation, grain, label };
+}
+
+/*
+ * items: [{ w, h, qty, allowRotation }] in mm; margins per side in mm.
+ * Sizes are trim sizes; with an imposition they are nested with their
+ * bleed. Returns every placed piece (tagged with the item's sizeIndex) plus
+ * per-item placed / unplaced counts.
+ */
+export function nestCutList({
+  sheetW,
+  sheetH,
+  items,
+  margins = NO_MARGINS,
+  bladeThickness,
+  imposition = NO_IMPOSITION,
+}) {
+  const packing = impositionPacking({ margins, bladeThickness, imposition });
+  const area = usableArea(sheetW, sheetH, packing.margins);
+  const effW = area.w;
+  const effH = area.h;
+  const spacing = packing.spacing;
+  const effArea = effW * effH;
+
+  // Expand quantities into instances, capped at what could possibly fit by area
+  const instances = [];
+  items.forEach((item, sizeIndex) => {
+    if (!(item.w > 0) || !(item.h > 0) || !(item.qty > 0)) return;
+    const w = item.w + packing.grow;
+    const h = item.h + packing.grow;
+    const maxByArea = Math.floor((effArea + EPS) / (w * h));
+    const count = Math.min(Math.floor(item.qty), maxByArea);
+    for (let i = 0; i < count; i++) {
+      instances.push({
+        w,
+        h,
+        allowRotation: !!item.allowRotation,
+        sizeIndex,
+      });
+    }
+  });
+
+  const best = packInstances({
+    free: [{ x: 0, y: 0, w: effW + spacing, h: effH + spacing }],
+    instances,
+    spacing,
+  });
+  const pieces = best.placed.map((p) => ({
+    ...p,
+    x: area.x + p.x,
+    y: area.y + p.y,
+  }));
+
+  const placedCounts = items.map(() => 0);
+  for (const p of pieces) placedCounts[p.sizeIndex]++;
+  const unplacedCounts = items.map((item, i) =>
+    item.qty > 0 ? Math.max(0, Math.floor(item.qty) - placedCounts[i]) : 0,
+  );
+
+  const sheetArea = sheetW * sheetH;
+  const piecesArea = best.area;
+  const wasteArea = Math.max(0, sheetArea - piecesArea);
+  const wastePercent = sheetArea === 0 ? 0 : (wasteArea / sheetArea) * 100;
+
+  return trimLayout(
+    {
+      totalPieces: pieces.length,
+      pieces,
+      placedCounts,
+      unplacedCounts,
+      totalUnplaced: unplacedCounts.reduce((s, n) => s + n, 0),
+      wasteArea,
+      wastePercent,
+    },
+    imposition,
+    sheetArea,
+  );
+}
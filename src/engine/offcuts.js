@@ -0,0 +1,43 @@
+/* ===== Offcuts (reusable remnants) left on a cut sheet ===== */
+// Pieces are cut out of their bounding box first (see cutPlan.js), so the
+// material beyond the box on the right and at the bottom comes off as two
+// clean rectangles. The shared corner goes to whichever strip is larger.
+
+/*
+ * Rectangles (mm, sheet coordinates) worth keeping: both sides at least
+ * `minSide`. A sheet without pieces is not an offcut source.
+ */
+export function offcutsFromLayout({
+  sheetW,
+  sheetH,
+  layout,
+  bladeThickness,
+  minSide,
+}) {
+  if (layout.pieces.length === 0) return [];
+  const kerf = Math.max(0, bladeThickness || 0);
+  let maxX = 0;
+  let maxY = 0;
+  for (const p of layout.pieces) {
+    maxX = Math.max(maxX, p.x + p.w);
+    maxY = Math.max(maxY, p.y + p.h);
+  }
+  const rightW = Math.max(0, sheetW - maxX - kerf);
+  const bottomH = Math.max(0, sheetH - maxY - kerf);
+
+  // right strip full height, or bottom strip full width
+  const rightFirst = rightW * sheetH >= bottomH * sheetW;
+  const right = {
+    x: sheetW - rightW,
+    y: 0,
+    w: rightW,
+    h: rightFirst ? sheetH : sheetH - bottomH - kerf,
+  };
+  const bottom = {
+    x: 0,
+    y: sheetH - bottomH,
+    w: rightFirst ? sheetW - rightW - kerf : sheetW,
+    h: bottomH,
+  };
+  return [right, bottom].filter((r) => Math.min(r.w, r.h) >= minSide);
+}
@@ -0,0 +1,231 @@
+/* ===== Multi-sheet job planning ===== */
+import { NO_MARGINS, usableArea } from "./margins.js";
+import { nestCutList } from "./nesting.js";
+import { NO_IMPOSITION } from "./imposition.js";
+
+const MAX_SHEETS = 100000;
+
+function piecesArea(pieces) {
+  return pieces.reduce((s, p) => s + p.w * p.h, 0);
+}
+
+function withWaste(sheet, sheetArea) {
+  const wasteArea = Math.max(0, sheetArea - piecesArea(sheet.pieces));
+  return {
+    ...sheet,
+    totalPieces: sheet.pieces.length,
+    wasteArea,
+    wastePercent: sheetArea === 0 ? 0 : (wasteArea / sheetArea) * 100,
+  };
+}
+
+function layoutSignature(sheet) {
+  const stock = sheet.stock ? `${sheet.stock.id}:` : "";
+  return (
+    stock +
+    sheet.pieces
+      .map((p) => `${p.x},${p.y},${p.w},${p.h},${p.sizeIndex ?? ""}`)
+      .join(";")
+  );
+}
+
+// Collapse consecutive identical sheets into { from, to, count, sheet } groups
+function groupSheets(sheets) {
+  const groups = [];
+  let lastSig = null;
+  sheets.forEach((sheet, i) => {
+    const sig = sheet === sheets[i - 1] ? lastSig : layoutSignature(sheet);
+    const prev = groups[groups.length - 1];
+    if (prev && sig === lastSig) {
+      prev.to = i;
+      prev.count++;
+    } else {
+      groups.push({ from: i, to: i, count: 1, sheet });
+    }
+    lastSig = sig;
+  });
+  return groups;
+}
+
+// Sheets on inventory offcuts carry their own size in `stock`
+function sheetAreaOf(sheet, sheetW, sheetH) {
+  return sheet.stock ? sheet.stock.w * sheet.stock.h : sheetW * sheetH;
+}
+
+function summarize(sheets, sheetW, sheetH, extra) {
+  const totalPieces = sheets.reduce((s, sh) => s + sh.totalPieces, 0);
+  const totalWasteArea = sheets.reduce((s, sh) => s + sh.wasteArea, 0);
+  const jobArea = sheets.reduce(
+    (s, sh) => s + sheetAreaOf(sh, sheetW, sheetH),
+    0,
+  );
+  return {
+    sheets,
+    groups: groupSheets(sheets),
+    sheetCount: sheets.length,
+    offcutCount: sheets.filter((sh) => sh.stock).length,
+    totalPieces,
+    totalWasteArea,
+    totalWastePercent: jobArea === 0 ? 0 : (totalWasteArea / jobArea) * 100,
+    ...extra,
+  };
+}
+
+/*
+ * Repeat a single-size sheet layout until `targetQty` pieces are produced.
+ * Inventory `offcuts` ([{ id, w, h }], one entry per physical offcut) are
+ * filled first using `layoutFor(w, h)`. The last sheet only carries the
+ * remaining pieces; the rest of it counts as waste.
+ */
+export function planSingleSizeJob({
+  layout,
+  targetQty,
+  sheetW,
+  sheetH,
+  offcuts = [],
+  layoutFor,
+}) {
+  const perSheet = layout.totalPieces;
+  const target = Math.max(0, Math.floor(targetQty));
+  let remaining = target;
+
+  const sheets = [];
+  const layouts = new Map();
+  for (const stock of offcuts) {
+    if (remaining <= 0) break;
+    const key = `${stock.w}x${stock.h}`;
+    if (!layouts.has(key)) layouts.set(key, layoutFor(stock.w, stock.h));
+    const onOffcut = layouts.get(key);
+    if (onOffcut.totalPieces === 0) continue;
+    const n = Math.min(remaining, onOffcut.totalPieces);
+    sheets.push(
+      withWaste(
+        {
+          ...onOffcut,
+          pieces: onOffcut.pieces.slice(0, n),
+          partial: n < onOffcut.totalPieces,
+          stock,
+        },
+        stock.w * stock.h,
+      ),
+    );
+    remaining -= n;
+  }
+
+  if (remaining > 0 && perSheet <= 0) {
+    return summarize(sheets, sheetW, sheetH, {
+      targetQty: target,
+      perSheet,
+      unplaced: remaining,
+    });
+  }
+
+  const sheetArea = sheetW * sheetH;
+  const fullCount = Math.floor(remaining / perSheet) || 0;
+  const remainder = remaining - fullCount * perSheet;
+  if (fullCount + (remainder > 0 ? 1 : 0) > MAX_SHEETS) {
+    return summarize([], sheetW, sheetH, {
+      targetQty: target,
+      perSheet,
+      unplaced: target,
+      tooManySheets: true,
+    });
+  }
+
+  if (fullCount > 0) {
+    const full = withWaste(layout, sheetArea);
+    for (let i = 0; i < fullCount; i++) sheets.push(full);
+  }
+  if (remainder > 0) {
+    sheets.push(
+      withWaste(
+        { ...layout, pieces: layout.pieces.slice(0, remainder), partial: true },
+        sheetArea,
+      ),
+    );
+  }
+
+  return summarize(sheets, sheetW, sheetH, {
+    targetQty: target,
+    perSheet,
+    unplaced: 0,
+  });
+}
+
+/*
+ * Nest a mixed cut list onto as many sheets as needed, inventory `offcuts`
+ * first. Each sheet takes the best nesting of what is still outstanding;
+ * rows that cannot fit even on an empty sheet are reported in
+ * `unplacedCounts`.
+ */
+export function planCutListJob({
+  sheetW,
+  sheetH,
+  items,
+  margins = NO_MARGINS,
+  bladeThickness,
+  imposition = NO_IMPOSITION,
+  offcuts = [],
+}) {
+  const sheetArea = sheetW * sheetH;
+  const remaining = items.map((it) =>
+    it.w > 0 && it.h > 0 && it.qty > 0 ? Math.floor(it.qty) : 0,
+  );
+  // a sheet can never hold more of a row than fits by area
+  const area = usableArea(sheetW, sheetH, margins);
+  const effArea = area.w * area.h;
+  const caps = items.map((it) =>
+    it.w > 0 && it.h > 0 ? Math.floor(effArea / (it.w * it.h)) : 0,
+  );
+  const sheets = [];
+
+  for (const stock of offcuts) {
+    if (!remaining.some((n) => n > 0)) break;
+    const result = nestCutList({
+      sheetW: stock.w,
+      sheetH: stock.h,
+      items: items.map((it, i) => ({ ...it, qty: remaining[i] })),
+      margins,
+      bladeThickness,
+      imposition,
+    });
+    if (result.totalPieces === 0) continue;
+    result.placedCounts.forEach((n, i) => {
+      remaining[i] -= n;
+    });
+    sheets.push(withWaste({ ...result, stock }, stock.w * stock.h));
+  }
+
+  // identical outstanding demand always nests the same way, so reuse it
+  const cache = new Map();
+
+  while (remaining.some((n) => n > 0) && sheets.length < MAX_SHEETS) {
+    const demand = remaining.map((n, i) => Math.min(n, caps[i]));
+    const key = demand.join(",");
+    let sheet = cache.get(key);
+    if (!sheet) {
+      const result = nestCutList({
+        sheetW,
+        sheetH,
+        items: items.map((it, i) => ({ ...it, qty: demand[i] })),
+        margins,
+        bladeThickness,
+        imposition,
+      });
+      sheet = withWaste(result, sheetArea);
+      cache.set(key, sheet);
+    }
+    if (sheet.totalPieces === 0) break;
+    sheet.placedCounts.forEach((n, i) => {
+      remaining[i] -= n;
+    });
+    sheets.push(sheet);
+  }
+
+  const unplacedCounts = remaining;
+  return summarize(sheets, sheetW, sheetH, {
+    targetQty: items.reduce((s, it) => s + (it.qty > 0 ? it.qty : 0), 0),
+    unplacedCounts,
+    unplaced: unplacedCounts.reduce((s, n) => s + n, 0),
+  });
+}
@@ -0,0 +1,63 @@
+/* ===== Parent sheet → press sheets → pieces (two-level planning) ===== */
+// The parent sheet is first cut into press sheets (level 1), then pieces are
+// imposed on every press sheet (level 2). Both levels are ordinary layouts;
+// this combines them into one yield / waste picture for the job.
+
+/*
+ * parentLayout: press sheets laid out on the parent (pieces = press sheets).
+ * pressSheets: the job's press-sheet layouts in cutting order (one entry per
+ * physical press sheet). The last parent only gives the press sheets still
+ * needed; the rest of it counts as waste. Returns the summary plus the
+ * parent layouts actually cut (for booking stock out).
+ */
+export function planParentSheets({
+  parentW,
+  parentH,
+  parentLayout,
+  pressW,
+  pressH,
+  pressSheets,
+}) {
+  const perParent = parentLayout.totalPieces;
+  const pressCount = pressSheets.length;
+  const parentCount = perParent > 0 ? Math.ceil(pressCount / perParent) : 0;
+  const parentArea = parentW * parentH;
+  const pressArea = pressW * pressH;
+
+  let totalPieces = 0;
+  let pressWasteArea = 0;
+  for (const sheet of pressSheets) {
+    totalPieces += sheet.totalPieces;
+    pressWasteArea += sheet.wasteArea;
+  }
+  const piecesArea = pressCount * pressArea - pressWasteArea;
+
+  const parents = [];
+  for (let i = 0; i < parentCount; i++) {
+    const n = Math.min(perParent, pressCount - i * perParent);
+    parents.push(
+      n === perParent
+        ? parentLayout
+        : { ...parentLayout, pieces: parentLayout.pieces.slice(0, n) },
+    );
+  }
+
+  const jobArea = parentCount * parentArea;
+  const wasteArea = Math.max(0, jobArea - piecesArea);
+  return {
+    perParent,
+    pressCount,
+    parentCount,
+    // yield of the first (full) parent
+    piecesPerParent: pressSheets
+      .slice(0, perParent)
+      .reduce((s, sh) => s + sh.totalPieces, 0),
+    totalPieces: perParent > 0 ? totalPieces : 0,
+    parentWastePercent: parentLayout.wastePercent,
+    pressWastePercent:
+      pressCount === 0 ? 0 : (pressWasteArea / (pressCount * pressArea)) * 100,
+    wasteArea,
+    wastePercent: jobArea === 0 ? 0 : (wasteArea / jobArea) * 100,
+    parents,
+  };
+}
@@ -0,0 +1,140 @@
+/* ===== Recursive guillotine packing for a single cut size ===== */
+// Instead of one grid plus a single pass into the right / bottom strips, every
+// rectangle is filled with a block of pieces and the two leftover areas are
+// packed again, trying both split directions and every block width / height.
+// Results are memoised per rectangle size; once the search budget is spent
+// only full blocks are tried, so the result is never worse than the grid.
+
+import { NO_MARGINS, usableArea } from "./margins.js";
+
+const EPS = 1e-9;
+const MAX_STATES = 4000;
+
+const keyOf = (W, H) => `${Math.round(W * 1e6)}:${Math.round(H * 1e6)}`;
+
+export function packRecursive({
+  sheetW,
+  sheetH,
+  pieceW,
+  pieceH,
+  margins = NO_MARGINS,
+  bladeThickness,
+  orientations: allowed = ["normal", "rotated"],
+}) {
+  const area = usableArea(sheetW, sheetH, margins);
+  const spacing = Math.max(0, bladeThickness);
+  // kerf is folded into every piece (and once into the area) so that
+  // pieces touching in the inflated space are exactly one kerf apart
+  const a = pieceW + spacing;
+  const b = pieceH + spacing;
+  const orientations = [];
+  if (allowed.includes("normal")) {
+    orientations.push({ p: a, q: b, rotated: false });
+  }
+  if (
+    allowed.includes("rotated") &&
+    !(orientations.length && Math.abs(a - b) <= EPS)
+  ) {
+    orientations.push({ p: b, q: a, rotated: true });
+  }
+
+  const memo = new Map();
+  const unitArea = a * b;
+  const minSide = Math.min(a, b);
+  let expanded = 0;
+  const EMPTY = { count: 0 };
+
+  const solve = (W, H) => {
+    if (!(pieceW > 0 && pieceH > 0) || W + EPS < minSide || H + EPS < minSide)
+      return EMPTY;
+    const key = keyOf(W, H);
+    const cached = memo.get(key);
+    if (cached) return cached;
+
+    const upper = Math.floor((W * H + EPS) / unitArea);
+    const exhaustive = ++expanded <= MAX_STATES;
+    let best = EMPTY;
+
+    for (const o of orientations) {
+      const nx = Math.floor((W + EPS) / o.p);
+      const ny = Math.floor((H + EPS) / o.q);
+      if (nx === 0 || ny === 0) continue;
+
+      const blocks = [[nx, ny]];
+      if (exhaustive) {
+        for (let i = nx - 1; i >= 1; i--) blocks.push([i, ny]);
+        for (let j = ny - 1; j >= 1; j--) blocks.push([nx, j]);
+      }
+
+      for (const [cx, cy] of blocks) {
+        const bw = cx * o.p;
+        const bh = cy * o.q;
+        const base = cx * cy;
+        // vertical split: right part takes the full height
+        const v = base + solve(W - bw, H).count + solve(bw, H - bh).count;
+        if (v > best.count) best = { count: v, o, cx, cy, split: "v" };
+        // horizontal split: bottom part takes the full width
+        const h = base + solve(W - bw, bh).count + solve(W, H - bh).count;
+        if (h > best.count) best = { count: h, o, cx, cy, split: "h" };
+        if (best.count >= upper) break;
+      }
+      if (best.count >= upper) break;
+    }
+
+    memo.set(key, best);
+    return best;
+  };
+
+  const pieces = [];
+  const wasteRects = [];
+
+  const place = (x, y, W, H) => {
+    if (W - spacing <= EPS || H - spacing <= EPS) return;
+    const node = solve(W, H);
+    if (node.count === 0) {
+      wasteRects.push({ x, y, w: W - spacing, h: H - spacing });
+      return;
+    }
+    const { o, cx, cy, split } = node;
+    for (let ix = 0; ix < cx; ix++) {
+      for (let iy = 0; iy < cy; iy++) {
+        pieces.push({
+          x: x + ix * o.p,
+          y: y + iy * o.q,
+          w: o.p - spacing,
+          h: o.q - spacing,
+          rotated: o.rotated,
+        });
+      }
+    }
+    const bw = cx * o.p;
+    const bh = cy * o.q;
+    if (split === "v") {
+      place(x + bw, y, W - bw, H);
+      place(x, y + bh, bw, H - bh);
+    } else {
+      place(x + bw, y, W - bw, bh);
+      place(x, y + bh, W, H - bh);
+    }
+  };
+
+  place(area.x, area.y, area.w + spacing, area.h + spacing);
+
+  const sheetArea = sheetW * sheetH;
+  const piecesArea = pieces.length * pieceW * pieceH;
+  const wasteArea = Math.max(0, sheetArea - piecesArea);
+  const wastePercent = sheetArea === 0 ? 0 : (wasteArea / sheetArea) * 100;
+
+  return {
+    pieceW,
+    pieceH,
+    totalPieces: pieces.length,
+    pieces,
+    wasteRects,
+    rightStrip: null,
+    bottomStrip: null,
+    wasteArea,
+    wastePercent,
+    searchComplete: expanded <= MAX_STATES,
+  };
+}
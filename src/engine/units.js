@@ -0,0 +1,60 @@
+/* ===== Unit helpers ===== */
+// mm per unit. Points and picas are PostScript (72 pt = 6 pc = 1 in); "px"
+// is a CSS pixel (96 per inch), "px@300" a pixel at 300 dpi.
+export const UNIT_FACTORS = {
+  mm: 1,
+  cm: 10,
+  meter: 1000,
+  inch: 25.4,
+  ft: 304.8,
+  pt: 25.4 / 72,
+  pc: 25.4 / 6,
+  px: 25.4 / 96,
+};
+
+export const DEFAULT_DPI = 96;
+
+// "px@300" → 300, other units → null
+export function unitDpi(unit) {
+  if (unit === "px") return DEFAULT_DPI;
+  const m = /^px@(\d+(?:\.\d+)?)$/.exec(unit || "");
+  return m && Number(m[1]) > 0 ? Number(m[1]) : null;
+}
+
+export const pxUnit = (dpi) =>
+  Number(dpi) > 0 && Number(dpi) !== DEFAULT_DPI ? `px@${Number(dpi)}` : "px";
+
+// unit without its dpi ("px@300" → "px"), for picking options per unit
+export const baseUnit = (unit) => (unitDpi(unit) ? "px" : unit);
+
+// mm per `unit`, undefined for an unknown unit
+export function unitFactor(unit) {
+  const dpi = unitDpi(unit);
+  if (dpi) return 25.4 / dpi;
+  return Object.hasOwn(UNIT_FACTORS, unit) ? UNIT_FACTORS[unit] : undefined;
+}
+
+export const isUnit = (unit) => unitFactor(unit) !== undefined;
+
+// units for a select, keeping a px@dpi unit that is in use
+export const unitOptions = (current) =>
+  isUnit(current) && !Object.hasOwn(UNIT_FACTORS, current)
+    ? [...Object.keys(UNIT_FACTORS), current]
+    : Object.keys(UNIT_FACTORS);
+
+// Only the text is rounded; the mm value it came from stays as it was
+export function toDisplay(mmValue, unit, decimals = 3) {
+  const v = mmValue / (unitFactor(unit) || 1);
+  if (!isFinite(v)) return "";
+  // snap float noise (254 mm = 9.999999999999998 in) before rounding
+  const clean = Number(v.toPrecision(12));
+  return Number.isInteger(clean)
+    ? String(clean)
+    : clean.toFixed(decimals).replace(/(?:\.0+|(\.\d+?)0+)$/, "$1");
+}
+
+export function toMM(displayValue, unit) {
+  const n = Number(displayValue);
+  if (isNaN(n)) return 0;
+  return n * (unitFactor(unit) || 1);
+}
@@ -0,0 +1,94 @@
+/* ===== Layout invariants ===== */
+// Checks a finished layout against the rules every packer must keep, so a
+// wrong number is caught before expensive stock is cut:
+// - no two pieces overlap
+// - every piece lies within the sheet minus its margins
+// - pieces are at least one kerf apart (bleed and gutter with an imposition)
+// - piece count × area plus the waste area equals the sheet area
+// Lengths in mm.
+
+import { NO_IMPOSITION, impositionPacking } from "./imposition.js";
+import { NO_MARGINS, usableArea } from "./margins.js";
+
+const EPS = 1e-6;
+
+/*
+ * sheet: { sheetW, sheetH, margins, bladeThickness, imposition }
+ * Returns a list of problems, empty when the layout is sound:
+ * { rule: "overlap" | "kerf" | "bounds" | "area", pieces: [indices], message }
+ */
+export function verifyLayout(
+  layout,
+  {
+    sheetW,
+    sheetH,
+    margins = NO_MARGINS,
+    bladeThickness,
+    imposition = NO_IMPOSITION,
+  },
+) {
+  const packing = impositionPacking({ margins, bladeThickness, imposition });
+  const bleed = packing.grow / 2;
+  const gap = packing.grow + packing.spacing;
+  const area = usableArea(sheetW, sheetH, packing.margins);
+  const pieces = layout.pieces;
+  const problems = [];
+
+  // bounds: trim boxes plus their bleed inside the usable area
+  pieces.forEach((p, i) => {
+    if (
+      p.x - bleed < area.x - EPS ||
+      p.y - bleed < area.y - EPS ||
+      p.x + p.w + bleed > area.x + area.w + EPS ||
+      p.y + p.h + bleed > area.y + area.h + EPS
+    ) {
+      problems.push({
+        rule: "bounds",
+        pieces: [i],
+        message: `Piece ${i + 1} is outside the usable area`,
+      });
+    }
+  });
+
+  // overlap / kerf: sweep along x so only pieces that can touch are compared
+  const order = pieces
+    .map((_, i) => i)
+    .sort((a, b) => pieces[a].x - pieces[b].x);
+  for (let a = 0; a < order.length; a++) {
+    const p = pieces[order[a]];
+    for (let b = a + 1; b < order.length; b++) {
+      const q = pieces[order[b]];
+      if (q.x >= p.x + p.w + gap - EPS) break;
+      if (q.y >= p.y + p.h + gap - EPS || p.y >= q.y + q.h + gap - EPS) {
+        continue;
+      }
+      const overlap =
+        q.x < p.x + p.w - EPS && q.y < p.y + p.h - EPS && p.y < q.y + q.h - EPS;
+      const pair = [order[a], order[b]].sort((x, y) => x - y);
+      problems.push({
+        rule: overlap ? "overlap" : "kerf",
+        pieces: pair,
+        message: overlap
+          ? `Pieces ${pair[0] + 1} and ${pair[1] + 1} overlap`
+          : `Pieces ${pair[0] + 1} and ${pair[1] + 1} are closer than the kerf`,
+      });
+    }
+  }
+
+  // area: pieces plus waste make up the sheet
+  const piecesArea = pieces.reduce((s, p) => s + p.w * p.h, 0);
+  const sheetArea = sheetW * sheetH;
+  if (
+    layout.totalPieces !== pieces.length ||
+    Math.abs(piecesArea + layout.wasteArea - sheetArea) >
+      EPS * Math.max(1, sheetArea)
+  ) {
+    problems.push({
+      rule: "area",
+      pieces: [],
+      message: "Piece and waste areas do not add up to the sheet area",
+    });
+  }
+
+  return problems;
+}
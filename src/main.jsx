@@ -6,6 +6,8 @@ import Layout from "./layout";
 import Home from "./components/Home/Home";
 import CuttingEngine from "./components/Cutting/Cutting";
 import About from "./components/About/About";
+import Jobs from "./components/Jobs/Jobs";
+import Inventory from "./components/Inventory/Inventory";
 
 const router = createBrowserRouter([
   {
@@ -14,6 +16,8 @@ const router = createBrowserRouter([
     children: [
       { path: "/", element: <Home /> },
       { path: "/cuttingCenter", element: <CuttingEngine /> },
+      { path: "/jobs", element: <Jobs /> },
+      { path: "/inventory", element: <Inventory /> },
       { path: "/about", element: <About/> },
     ],
   },
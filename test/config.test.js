@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_CONFIG,
+  configFromParams,
+} from "../src/components/Cutting/config.js";
+
+const fromQuery = (query) => configFromParams(new URLSearchParams(query));
+
+test("infinite sizes keep the defaults and warn", () => {
+  const { config, warnings } = fromQuery(
+    "sheet=Infinityx100&cut=10xInfinity&press=Infinityx5&kerf=Infinity" +
+      "&margins=0,Infinity,0,0&bleed=Infinity",
+  );
+  assert.equal(config.sheetWmm, DEFAULT_CONFIG.sheetWmm);
+  assert.equal(config.sheetHmm, DEFAULT_CONFIG.sheetHmm);
+  assert.equal(config.cutWmm, DEFAULT_CONFIG.cutWmm);
+  assert.equal(config.cutHmm, DEFAULT_CONFIG.cutHmm);
+  assert.deepEqual(config.press, DEFAULT_CONFIG.press);
+  assert.equal(config.bladeThickness, 0);
+  assert.deepEqual(config.margins, DEFAULT_CONFIG.margins);
+  assert.deepEqual(config.imposition, DEFAULT_CONFIG.imposition);
+  assert.deepEqual(
+    warnings.map((w) => /^Ignored (\w+)=/.exec(w)[1]),
+    ["sheet", "cut", "margins", "kerf", "bleed", "press"],
+  );
+});
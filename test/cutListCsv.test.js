@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectUnit,
+  guessMapping,
+  readTable,
+} from "../src/components/Cutting/cutListCsv.js";
+
+const unitFor = (text, fallback) => {
+  const table = readTable(text);
+  return detectUnit(table, guessMapping(table), fallback);
+};
+
+test("small sizes are metres only when the current unit is small", () => {
+  const cards = "Business card,3.5,2,500\nFlyer,4,4.5,100";
+  assert.deepEqual(unitFor(cards, "inch"), { unit: "inch", source: null });
+  assert.deepEqual(unitFor(cards, "ft"), { unit: "ft", source: null });
+  assert.deepEqual(unitFor(cards, "mm"), { unit: "meter", source: "sizes" });
+  assert.deepEqual(unitFor(cards, "cm"), { unit: "meter", source: "sizes" });
+});
+
+test("suffixes and large sizes still decide the unit", () => {
+  assert.equal(unitFor('Card,3.5",2",500', "mm").unit, "inch");
+  assert.equal(unitFor("Panel,1200,600,4", "inch").unit, "mm");
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCandidates } from "../src/engine/candidates.js";
+import { buildCutPlan } from "../src/engine/cutPlan.js";
+import { computeForOrientation } from "../src/engine/grid.js";
+import { forAll, randomSheet } from "./helpers.js";
+
+test("a grid is cut in strips, then pieces", () => {
+  const layout = computeForOrientation({
+    sheetW: 300,
+    sheetH: 200,
+    pieceW: 100,
+    pieceH: 100,
+    bladeThickness: 0,
+  });
+  const plan = buildCutPlan({
+    sheetW: 300,
+    sheetH: 200,
+    pieces: layout.pieces,
+    bladeThickness: 0,
+  });
+  assert.equal(plan.guillotine, true);
+  // 2 cuts across the width, then 1 per strip of 3
+  assert.equal(plan.cutCount, 5);
+});
+
+// a label roll: spreading this many pieces into Math.min overflowed the stack
+test("plans 130k pieces", () => {
+  const sheet = { sheetW: 20000, sheetH: 330, bladeThickness: 0 };
+  const layout = computeForOrientation({ ...sheet, pieceW: 10, pieceH: 5 });
+  assert.ok(layout.totalPieces > 125000);
+  const plan = buildCutPlan({ ...sheet, pieces: layout.pieces });
+  assert.equal(plan.guillotine, true);
+  assert.ok(plan.cutCount > 0);
+});
+
+test("candidate counts match the full cut plan", () => {
+  forAll(30, (rng) => {
+    const sheet = randomSheet(rng);
+    const candidates = buildCandidates({
+      ...sheet,
+      pieceW: rng.between(40, 500),
+      pieceH: rng.between(40, 500),
+    });
+    for (const c of candidates) {
+      const plan = buildCutPlan({ ...sheet, pieces: c.layout.pieces });
+      const { cutCount, rotations, stages, guillotine } = plan;
+      assert.deepEqual(c.cuts, { cutCount, rotations, stages, guillotine });
+      assert.equal(plan.steps.length, cutCount);
+      assert.equal(plan.steps.filter((s) => s.rotate).length, rotations);
+    }
+  });
+});
@@ -0,0 +1,202 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { layoutToDxf } from "../src/components/Cutting/exportDxf.js";
+import { computeForOrientation } from "../src/engine/grid.js";
+import { buildCutPlan } from "../src/engine/cutPlan.js";
+
+// Group-code / value pairs into entities with their layer and points
+function parseDxf(text) {
+  const lines = text.split("\n");
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    pairs.push([Number(lines[i]), lines[i + 1]]);
+  }
+  const header = {};
+  const entities = [];
+  let section = null;
+  let current = null;
+  let polyline = null;
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+    if (code === 2 && pairs[i - 1]?.[1] === "SECTION") section = value;
+    if (section === "HEADER" && code === 9) header[value] = pairs[i + 1][1];
+    if (section !== "ENTITIES") continue;
+    if (code === 0) {
+      if (value === "POLYLINE") {
+        polyline = { type: "POLYLINE", points: [] };
+        current = polyline;
+        entities.push(polyline);
+      } else if (value === "VERTEX") {
+        current = { point: {} };
+        polyline.points.push(current.point);
+      } else if (value === "LINE") {
+        current = { type: "LINE", points: [{}, {}] };
+        entities.push(current);
+      } else {
+        current = null;
+      }
+      continue;
+    }
+    if (!current) continue;
+    if (code === 8 && current.type) current.layer = value;
+    const n = Number(value);
+    if (current.point) {
+      if (code === 10) current.point.x = n;
+      if (code === 20) current.point.y = n;
+    } else if (current.type === "LINE") {
+      if (code === 10) current.points[0].x = n;
+      if (code === 20) current.points[0].y = n;
+      if (code === 11) current.points[1].x = n;
+      if (code === 21) current.points[1].y = n;
+    }
+  }
+  return { header, entities };
+}
+
+// polyline → { x, y, w, h } in sheet coordinates (y down) and `factor` mm
+const rectOf = (e, sheetH, factor = 1) => {
+  const xs = e.points.map((p) => p.x * factor);
+  const ys = e.points.map((p) => sheetH - p.y * factor);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+};
+
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+const sameRect = (a, b) =>
+  close(a.x, b.x) && close(a.y, b.y) && close(a.w, b.w) && close(a.h, b.h);
+const overlaps = (a, b) =>
+  a.x < b.x + b.w - 1e-6 &&
+  b.x < a.x + a.w - 1e-6 &&
+  a.y < b.y + b.h - 1e-6 &&
+  b.y < a.y + a.h - 1e-6;
+
+function job({ sheetW, sheetH, pieceW, pieceH, kerf, unit = "mm" }) {
+  const layout = computeForOrientation({
+    sheetW,
+    sheetH,
+    pieceW,
+    pieceH,
+    bladeThickness: kerf,
+    enableRotation: true,
+  });
+  const cutPlan = buildCutPlan({
+    sheetW,
+    sheetH,
+    pieces: layout.pieces,
+    bladeThickness: kerf,
+  });
+  const dxf = layoutToDxf({
+    sheetW,
+    sheetH,
+    layout,
+    bladeThickness: kerf,
+    cutPlan,
+    unit,
+  });
+  return { layout, cutPlan, ...parseDxf(dxf) };
+}
+
+const onLayer = (entities, layer) => entities.filter((e) => e.layer === layer);
+
+test("pieces come out at their coordinates with Y flipped", () => {
+  const sheet = { sheetW: 1000, sheetH: 700, pieceW: 90, pieceH: 50, kerf: 3 };
+  const { layout, entities } = job(sheet);
+  const pieces = onLayer(entities, "PIECES").map((e) => rectOf(e, 700));
+  assert.equal(pieces.length, layout.pieces.length);
+  layout.pieces.forEach((p, i) => assert.ok(sameRect(pieces[i], p), `${i}`));
+  const [outline] = onLayer(entities, "SHEET");
+  assert.ok(sameRect(rectOf(outline, 700), { x: 0, y: 0, w: 1000, h: 700 }));
+});
+
+test("waste never covers a piece and leaves room for the kerf", () => {
+  // the rotation fill puts pieces into the grid's leftover strips
+  const { layout, entities } = job({
+    sheetW: 1000,
+    sheetH: 700,
+    pieceW: 90,
+    pieceH: 50,
+    kerf: 3,
+  });
+  assert.ok(layout.pieces.some((p) => p.rotated));
+  const waste = onLayer(entities, "WASTE").map((e) => rectOf(e, 700));
+  assert.ok(waste.length > 0);
+  for (const w of waste) {
+    for (const p of layout.pieces) {
+      const cut = { x: p.x, y: p.y, w: p.w + 3, h: p.h + 3 };
+      assert.ok(!overlaps(w, cut), `${JSON.stringify(w)} covers a piece`);
+    }
+  }
+  for (let i = 0; i < waste.length; i++) {
+    for (let j = i + 1; j < waste.length; j++) {
+      assert.ok(!overlaps(waste[i], waste[j]), "waste rectangles overlap");
+    }
+  }
+  // pieces with their kerf plus the waste make up the sheet
+  const clipped = layout.pieces.reduce(
+    (s, p) =>
+      s +
+      (Math.min(1000, p.x + p.w + 3) - p.x) *
+        (Math.min(700, p.y + p.h + 3) - p.y),
+    0,
+  );
+  const wasteArea = waste.reduce((s, r) => s + r.w * r.h, 0);
+  assert.ok(close(clipped + wasteArea, 1000 * 700));
+});
+
+test("cut lines run along the blade centre of every step", () => {
+  const { cutPlan, entities } = job({
+    sheetW: 500,
+    sheetH: 300,
+    pieceW: 120,
+    pieceH: 70,
+    kerf: 4,
+  });
+  const cuts = onLayer(entities, "CUTS");
+  assert.equal(cuts.length, cutPlan.steps.length);
+  cutPlan.steps.forEach((step, i) => {
+    const [a, b] = cuts[i].points;
+    const c = step.at + 2;
+    if (step.axis === "x") {
+      assert.ok(close(a.x, c) && close(b.x, c));
+    } else {
+      assert.ok(close(300 - a.y, c) && close(300 - b.y, c));
+    }
+  });
+});
+
+test("toolpaths are the pieces offset by half the kerf", () => {
+  const sheet = { sheetW: 500, sheetH: 300, pieceW: 120, pieceH: 70 };
+  const { layout, entities } = job({ ...sheet, kerf: 4 });
+  const paths = onLayer(entities, "TOOLPATH").map((e) => rectOf(e, 300));
+  assert.equal(paths.length, layout.pieces.length);
+  layout.pieces.forEach((p, i) =>
+    assert.ok(
+      sameRect(paths[i], { x: p.x - 2, y: p.y - 2, w: p.w + 4, h: p.h + 4 }),
+    ),
+  );
+  assert.equal(
+    onLayer(job({ ...sheet, kerf: 0 }).entities, "TOOLPATH").length,
+    0,
+  );
+});
+
+test("coordinates are written in the selected unit", () => {
+  const { layout, header, entities } = job({
+    sheetW: 254,
+    sheetH: 127,
+    pieceW: 50.8,
+    pieceH: 25.4,
+    kerf: 0,
+    unit: "inch",
+  });
+  assert.equal(header.$ACADVER, "AC1009");
+  assert.equal(header.$INSUNITS, undefined);
+  const pieces = onLayer(entities, "PIECES");
+  const [first] = pieces[0].points;
+  assert.ok(close(first.x, layout.pieces[0].x / 25.4));
+  assert.ok(close(first.y, 5 - layout.pieces[0].y / 25.4));
+  pieces.forEach((e, i) =>
+    assert.ok(sameRect(rectOf(e, 127, 25.4), layout.pieces[i])),
+  );
+});
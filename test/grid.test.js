@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeForOrientation,
+  countForOrientation,
+} from "../src/engine/grid.js";
+import { assertSound, forAll, randomSheet } from "./helpers.js";
+
+test("grid layouts keep the invariants", () => {
+  forAll(200, (rng) => {
+    const sheet = randomSheet(rng);
+    const layout = computeForOrientation({
+      ...sheet,
+      pieceW: rng.between(40, 600),
+      pieceH: rng.between(40, 600),
+      enableRotation: rng.next() < 0.5,
+    });
+    assertSound(layout, { ...sheet, spacing: sheet.bladeThickness });
+  });
+});
+
+test("counting matches the pieces laid out", () => {
+  forAll(300, (rng) => {
+    const args = {
+      ...randomSheet(rng),
+      pieceW: rng.between(5, 600),
+      pieceH: rng.between(5, 600),
+      enableRotation: rng.next() < 0.5,
+    };
+    assert.equal(
+      countForOrientation(args),
+      computeForOrientation(args).totalPieces,
+    );
+  });
+});
+
+test("an exact fit uses the whole sheet", () => {
+  const layout = computeForOrientation({
+    sheetW: 1000,
+    sheetH: 700,
+    pieceW: 100,
+    pieceH: 70,
+    bladeThickness: 0,
+  });
+  assert.equal(layout.totalPieces, 100);
+  assert.equal(layout.wasteArea, 0);
+});
+
+test("kerf between pieces but not after the last one", () => {
+  // 4 × 247 + 3 × 4 = 1000
+  const layout = computeForOrientation({
+    sheetW: 1000,
+    sheetH: 247,
+    pieceW: 247,
+    pieceH: 247,
+    bladeThickness: 4,
+  });
+  assert.equal(layout.fitCountX, 4);
+  assert.deepEqual(
+    layout.pieces.map((p) => p.x),
+    [0, 251, 502, 753],
+  );
+});
+
+// the rotation fill used to start right at the grid's edge
+test("leaves one kerf between the grid and the rotation fill", () => {
+  const sheet = { sheetW: 1000, sheetH: 700, bladeThickness: 3 };
+  const layout = computeForOrientation({
+    ...sheet,
+    pieceW: 90,
+    pieceH: 50,
+    enableRotation: true,
+  });
+  const fill = layout.pieces.filter((p) => p.rotated);
+  assert.ok(fill.length > 0);
+  const gridRight = Math.max(
+    ...layout.pieces.filter((p) => !p.rotated).map((p) => p.x + p.w),
+  );
+  for (const p of fill.filter((q) => q.x >= gridRight)) {
+    assert.ok(p.x >= gridRight + 3 - 1e-9, `fill piece at x=${p.x}`);
+  }
+  assertSound(layout, { ...sheet, spacing: 3 });
+});
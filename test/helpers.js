@@ -0,0 +1,99 @@
+/* ===== Test helpers ===== */
+import assert from "node:assert/strict";
+import { NO_MARGINS, usableArea } from "../src/engine/margins.js";
+
+const EPS = 1e-6;
+
+// Seeded generator (mulberry32) so a failing case can be replayed
+export function random(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    // float in [min, max), rounded to `step`
+    between: (min, max, step = 0.5) =>
+      Number(
+        (Math.round((min + next() * (max - min)) / step) * step).toPrecision(
+          12,
+        ),
+      ),
+    pick: (list) => list[Math.floor(next() * list.length)],
+  };
+}
+
+// Runs `check(rng, i)` for `count` seeded cases; the seed is in the message
+export function forAll(count, check, firstSeed = 1) {
+  for (let i = 0; i < count; i++) {
+    const seed = firstSeed + i;
+    try {
+      check(random(seed), i);
+    } catch (e) {
+      e.message = `seed ${seed}: ${e.message}`;
+      throw e;
+    }
+  }
+}
+
+/*
+ * The layout invariants, checked pair by pair (independent of verify.js):
+ * inside the sheet minus its margins, no overlap, at least `spacing` apart,
+ * pieces plus waste make up the sheet.
+ */
+export function assertSound(
+  layout,
+  { sheetW, sheetH, margins = NO_MARGINS, spacing = 0 },
+) {
+  const area = usableArea(sheetW, sheetH, margins);
+  const pieces = layout.pieces;
+  pieces.forEach((p, i) => {
+    assert.ok(
+      p.x >= area.x - EPS &&
+        p.y >= area.y - EPS &&
+        p.x + p.w <= area.x + area.w + EPS &&
+        p.y + p.h <= area.y + area.h + EPS,
+      `piece ${i} ${JSON.stringify(p)} is outside ${JSON.stringify(area)}`,
+    );
+  });
+  for (let i = 0; i < pieces.length; i++) {
+    for (let j = i + 1; j < pieces.length; j++) {
+      const p = pieces[i];
+      const q = pieces[j];
+      const apart =
+        q.x >= p.x + p.w + spacing - EPS ||
+        p.x >= q.x + q.w + spacing - EPS ||
+        q.y >= p.y + p.h + spacing - EPS ||
+        p.y >= q.y + q.h + spacing - EPS;
+      assert.ok(
+        apart,
+        `pieces ${i} and ${j} are closer than ${spacing}: ` +
+          `${JSON.stringify(p)} ${JSON.stringify(q)}`,
+      );
+    }
+  }
+  const piecesArea = pieces.reduce((s, p) => s + p.w * p.h, 0);
+  assert.equal(layout.totalPieces, pieces.length);
+  assert.ok(
+    Math.abs(piecesArea + layout.wasteArea - sheetW * sheetH) <=
+      EPS * Math.max(1, sheetW * sheetH),
+    `pieces ${piecesArea} + waste ${layout.wasteArea} ≠ sheet ${sheetW * sheetH}`,
+  );
+}
+
+// Random sheet, margins and kerf in mm
+export function randomSheet(rng) {
+  const sheetW = rng.between(100, 1500);
+  const sheetH = rng.between(100, 1500);
+  const m = () => (rng.next() < 0.5 ? 0 : rng.between(0, 20));
+  return {
+    sheetW,
+    sheetH,
+    margins: { top: m(), right: m(), bottom: m(), left: m() },
+    bladeThickness: rng.pick([0, 0, 1, 3, 4.5]),
+  };
+}
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeForOrientation } from "../src/engine/grid.js";
+import {
+  addDefect,
+  editConflicts,
+  movePiece,
+  placementProblem,
+  repackEdit,
+  startEdit,
+} from "../src/engine/manualEdit.js";
+import { assertSound, forAll, randomSheet } from "./helpers.js";
+
+test("conflicts are the pieces placementProblem rejects", () => {
+  forAll(60, (rng) => {
+    const sheet = randomSheet(rng);
+    const layout = computeForOrientation({
+      ...sheet,
+      pieceW: rng.between(40, 300),
+      pieceH: rng.between(40, 300),
+    });
+    let edit = startEdit(layout);
+    for (let i = 0; i < 5 && edit.pieces.length > 0; i++) {
+      const index = Math.floor(rng.next() * edit.pieces.length);
+      edit = movePiece(
+        edit,
+        index,
+        rng.between(-50, sheet.sheetW),
+        rng.between(-50, sheet.sheetH),
+      );
+    }
+    if (rng.next() < 0.5) {
+      edit = addDefect(
+        edit,
+        { x: rng.between(0, 200), y: rng.between(0, 200), w: 40, h: 40 },
+        sheet,
+      );
+    }
+    const slow = edit.pieces
+      .map((p, i) => (placementProblem(edit, i, p, sheet) ? i : -1))
+      .filter((i) => i >= 0);
+    assert.deepEqual(editConflicts(edit, sheet), slow);
+  });
+});
+
+test("an untouched layout has no conflicts", () => {
+  const sheet = { sheetW: 1000, sheetH: 700, bladeThickness: 3 };
+  const layout = computeForOrientation({
+    ...sheet,
+    pieceW: 90,
+    pieceH: 50,
+    enableRotation: true,
+  });
+  assert.deepEqual(editConflicts(startEdit(layout), sheet), []);
+});
+
+test("re-packing around a defect keeps the invariants", () => {
+  const sheet = { sheetW: 600, sheetH: 400, bladeThickness: 2 };
+  const layout = computeForOrientation({ ...sheet, pieceW: 95, pieceH: 60 });
+  const edit = addDefect(
+    startEdit(layout),
+    { x: 200, y: 100, w: 80, h: 80 },
+    sheet,
+  );
+  const packed = repackEdit(edit, sheet, {
+    fill: { w: 95, h: 60, orientations: ["normal", "rotated"] },
+  });
+  assert.deepEqual(editConflicts(packed, sheet), []);
+  assertSound(
+    {
+      pieces: packed.pieces,
+      totalPieces: packed.pieces.length,
+      wasteArea: 600 * 400 - packed.pieces.reduce((s, p) => s + p.w * p.h, 0),
+    },
+    { ...sheet, spacing: 2 },
+  );
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nestCutList } from "../src/engine/nesting.js";
+import { assertSound, forAll, randomSheet } from "./helpers.js";
+
+const randomItems = (rng) =>
+  Array.from({ length: 1 + Math.floor(rng.next() * 4) }, () => ({
+    w: rng.between(40, 400),
+    h: rng.between(40, 400),
+    qty: 1 + Math.floor(rng.next() * 12),
+    allowRotation: rng.next() < 0.7,
+  }));
+
+test("nested cut lists keep the invariants", () => {
+  forAll(60, (rng) => {
+    const sheet = randomSheet(rng);
+    const items = randomItems(rng);
+    const layout = nestCutList({ ...sheet, items });
+    assertSound(layout, { ...sheet, spacing: sheet.bladeThickness });
+  });
+});
+
+test("placed and unplaced counts add up to the quantities", () => {
+  forAll(60, (rng) => {
+    const items = randomItems(rng);
+    const layout = nestCutList({ ...randomSheet(rng), items });
+    items.forEach((item, i) => {
+      assert.equal(layout.placedCounts[i] + layout.unplacedCounts[i], item.qty);
+      assert.equal(
+        layout.pieces.filter((p) => p.sizeIndex === i).length,
+        layout.placedCounts[i],
+      );
+    });
+  });
+});
+
+test("pieces keep their size unless rotation is allowed", () => {
+  const layout = nestCutList({
+    sheetW: 300,
+    sheetH: 100,
+    items: [{ w: 100, h: 50, qty: 6, allowRotation: false }],
+    bladeThickness: 0,
+  });
+  assert.equal(layout.totalPieces, 6);
+  for (const p of layout.pieces) assert.deepEqual([p.w, p.h], [100, 50]);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeForOrientation } from "../src/engine/grid.js";
+import { packRecursive } from "../src/engine/recursive.js";
+import { assertSound, forAll, randomSheet } from "./helpers.js";
+
+test("recursive layouts keep the invariants", () => {
+  forAll(100, (rng) => {
+    const sheet = randomSheet(rng);
+    const layout = packRecursive({
+      ...sheet,
+      pieceW: rng.between(40, 500),
+      pieceH: rng.between(40, 500),
+      orientations: rng.pick([["normal", "rotated"], ["normal"], ["rotated"]]),
+    });
+    assertSound(layout, { ...sheet, spacing: sheet.bladeThickness });
+  });
+});
+
+test("never fewer pieces than the plain grid", () => {
+  forAll(100, (rng) => {
+    const sheet = randomSheet(rng);
+    const size = { pieceW: rng.between(40, 500), pieceH: rng.between(40, 500) };
+    const grid = computeForOrientation({ ...sheet, ...size });
+    const recursive = packRecursive({ ...sheet, ...size });
+    assert.ok(
+      recursive.totalPieces >= grid.totalPieces,
+      `${recursive.totalPieces} < ${grid.totalPieces}`,
+    );
+  });
+});
+
+test("mixes orientations where that fits more", () => {
+  // 5 × 3 upright leaves a 20-wide strip that takes the pieces turned
+  const layout = packRecursive({
+    sheetW: 120,
+    sheetH: 60,
+    pieceW: 20,
+    pieceH: 30,
+    bladeThickness: 0,
+  });
+  assert.equal(layout.totalPieces, 12);
+});
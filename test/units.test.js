@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { UNIT_FACTORS, toDisplay, toMM } from "../src/engine/units.js";
+import { formatDimension, parseDimension } from "../src/engine/dimension.js";
+import { forAll } from "./helpers.js";
+
+const UNITS = [...Object.keys(UNIT_FACTORS), "px@300"];
+
+test("a typed value shows again as typed in its unit", () => {
+  forAll(300, (rng) => {
+    const unit = rng.pick(UNITS);
+    const typed = rng.between(0, 5000, 0.001);
+    assert.equal(toDisplay(toMM(typed, unit), unit), String(typed), unit);
+  });
+});
+
+test("mm → unit → mm is within half the shown precision", () => {
+  forAll(300, (rng) => {
+    const unit = rng.pick(UNITS);
+    const decimals = rng.pick([0, 1, 2, 3, 4]);
+    const mm = rng.between(0, 3000, 1e-6);
+    const back = toMM(Number(toDisplay(mm, unit, decimals)), unit);
+    const half = (toMM(1, unit) * 10 ** -decimals) / 2;
+    assert.ok(Math.abs(back - mm) <= half + 1e-9, `${mm} ${unit} → ${back}`);
+  });
+});
+
+test("switching units back and forth does not drift", () => {
+  forAll(100, (rng) => {
+    const precision = rng.pick([0, 2, 3, "1/16", "1/32"]);
+    // what a field holds after being shown and read again in every unit
+    let mm = rng.between(1, 3000, 1e-6);
+    const pass = () =>
+      UNITS.map((unit) => {
+        const parsed = parseDimension(
+          formatDimension(mm, unit, precision),
+          unit,
+        );
+        assert.equal(parsed.error, undefined);
+        mm = parsed.mm;
+        return mm;
+      });
+    // the first pass rounds the value; after that it must not move
+    pass();
+    const settled = pass();
+    for (let i = 0; i < 5; i++) assert.deepEqual(pass(), settled);
+  });
+});
+
+test("parseDimension reads its own output back to the same text", () => {
+  forAll(300, (rng) => {
+    const unit = rng.pick(UNITS);
+    const precision = unit === "inch" ? rng.pick([3, "1/16", "1/32"]) : 3;
+    const text = formatDimension(rng.between(0, 3000, 1e-4), unit, precision);
+    const { mm } = parseDimension(text, unit);
+    assert.equal(formatDimension(mm, unit, precision), text);
+  });
+});
+
+test("parseDimension handles fractions, feet and inches and arithmetic", () => {
+  const cases = [
+    ["35 1/2", "inch", 901.7],
+    ["35-1/2", "inch", 901.7],
+    ["35 - 1/2", "inch", 876.3],
+    [`5'6"`, "mm", 1676.4],
+    [`5'-6"`, "mm", 1676.4],
+    [`5'-6 1/2"`, "inch", 1689.1],
+    [`5' - 6"`, "mm", 1371.6],
+    ["89cm", "inch", 890],
+    ["(48 - 3/8) / 2", "inch", 604.8375],
+    ["72pt", "mm", 25.4],
+    ["300px", "px@300", 25.4],
+  ];
+  for (const [text, unit, mm] of cases) {
+    const parsed = parseDimension(text, unit);
+    assert.ok(Math.abs(parsed.mm - mm) < 1e-9, `${text}: ${parsed.mm}`);
+  }
+  assert.match(parseDimension("2cm * 3cm", "mm").error, /two lengths/);
+  assert.match(parseDimension("5yd", "mm").error, /Unknown unit/);
+  assert.match(parseDimension("1/0", "mm").error, /zero/);
+});
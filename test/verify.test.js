@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeJob } from "../src/engine/computeJob.js";
+import { NO_IMPOSITION } from "../src/engine/imposition.js";
+import { verifyLayout } from "../src/engine/verify.js";
+import { forAll, randomSheet } from "./helpers.js";
+
+const sheet = { sheetW: 100, sheetH: 100, bladeThickness: 2 };
+const layout = (pieces) => ({
+  pieces,
+  totalPieces: pieces.length,
+  wasteArea: 10000 - pieces.reduce((s, p) => s + p.w * p.h, 0),
+});
+
+test("reports each broken rule", () => {
+  const rules = (pieces) =>
+    verifyLayout(layout(pieces), sheet).map((p) => p.rule);
+  assert.deepEqual(
+    rules([
+      { x: 0, y: 0, w: 40, h: 40 },
+      { x: 42, y: 0, w: 40, h: 40 },
+    ]),
+    [],
+  );
+  assert.deepEqual(
+    rules([
+      { x: 0, y: 0, w: 40, h: 40 },
+      { x: 30, y: 10, w: 40, h: 40 },
+    ]),
+    ["overlap"],
+  );
+  assert.deepEqual(
+    rules([
+      { x: 0, y: 0, w: 40, h: 40 },
+      { x: 41, y: 0, w: 40, h: 40 },
+    ]),
+    ["kerf"],
+  );
+  assert.deepEqual(rules([{ x: 70, y: 0, w: 40, h: 40 }]), ["bounds"]);
+  assert.deepEqual(
+    verifyLayout({ ...layout([]), wasteArea: 1 }, sheet).map((p) => p.rule),
+    ["area"],
+  );
+});
+
+test("computed jobs come back without problems", () => {
+  forAll(40, (rng) => {
+    const s = randomSheet(rng);
+    const result = computeJob({
+      mode: rng.next() < 0.5 ? "single" : "list",
+      sheetW: s.sheetW,
+      sheetH: s.sheetH,
+      cutW: rng.between(40, 500),
+      cutH: rng.between(40, 500),
+      cutList: [
+        { wmm: rng.between(40, 300), hmm: rng.between(40, 300), qty: 5 },
+        { wmm: rng.between(40, 300), hmm: rng.between(40, 300), qty: 3 },
+      ].map((r) => ({ ...r, allowRotation: true, grain: "any" })),
+      targetQty: rng.next() < 0.3 ? "40" : "",
+      margins: s.margins,
+      bladeThickness: s.bladeThickness,
+      imposition: NO_IMPOSITION,
+      sheetGrain: "none",
+      pieceGrain: "any",
+      algorithm: rng.pick(["grid", "recursive"]),
+      enableRotation: rng.next() < 0.5,
+      selectedCandidate: null,
+      offcuts: [],
+      press: { enabled: false, wmm: 0, hmm: 0 },
+    });
+    assert.deepEqual(result.problems, []);
+  });
+});